@@ -0,0 +1,534 @@
+// Layer compositor: one WebGL context for the whole 5-layer stack
+//
+// Each role renders into its own framebuffer (beginLayer(role) -> draw), then composite()
+// blends the layers bottom-to-top with a shader and presents the result on the
+// compositor canvas. The blended frame stays in an offscreen framebuffer, so
+// readPixels() captures exactly what is on screen.
+//
+// A compositor scene puts several stacks (one per system) on a single canvas and
+// context: each stack composites into its own framebuffer and the scene presents the
+// shown stacks, revealing one over another during a transition.
+//
+// Layer textures are treated as premultiplied alpha (what a canvas with the default
+// premultipliedAlpha: true hands to the page compositor), and the separable blend
+// modes follow the W3C Compositing spec.
+
+import { getProgram, isWebGL2, releaseProgram } from './shaders.js';
+
+export const LAYER_ROLES = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
+export const BLEND_MODES = ['normal', 'add', 'screen', 'multiply', 'difference', 'overlay'];
+
+// Blend modes of the default roles; the layered systems' default stacks use the same
+export const DEFAULT_BLEND_MODES = {
+  background: 'normal',
+  shadow: 'multiply',
+  content: 'normal',
+  highlight: 'screen',
+  accent: 'overlay'
+};
+
+// u_mode values; 'copy' is the internal present pass
+const MODE_IDS = { copy: 0, normal: 1, add: 2, screen: 3, multiply: 4, difference: 5, overlay: 6 };
+
+// How a scene brings a stack in over the ones below it (see setReveal())
+export const REVEAL_TYPES = ['crossfade', 'dissolve', 'wipe'];
+
+// u_reveal values; 0 draws the stack as it is
+const REVEAL_IDS = { crossfade: 1, dissolve: 2, wipe: 3 };
+
+// Wipe edges move towards the named side
+const WIPE_DIRECTIONS = { right: [1, 0], left: [-1, 0], up: [0, 1], down: [0, -1] };
+
+const vertexSource = `
+in vec2 a_pos;
+out vec2 v_uv;
+void main() {
+  v_uv = a_pos * 0.5 + 0.5;
+  gl_Position = vec4(a_pos, 0.0, 1.0);
+}`;
+
+const fragmentSource = `
+in vec2 v_uv;
+uniform sampler2D u_base;
+uniform sampler2D u_layer;
+uniform int u_mode;
+uniform float u_opacity;
+
+vec3 unpremultiply(vec4 c) {
+  return c.a > 0.0 ? clamp(c.rgb / c.a, 0.0, 1.0) : vec3(0.0);
+}
+
+vec3 blendColor(vec3 cb, vec3 cs) {
+  if (u_mode == 3) return cb + cs - cb * cs;                 // screen
+  if (u_mode == 4) return cb * cs;                           // multiply
+  if (u_mode == 5) return abs(cb - cs);                      // difference
+  if (u_mode == 6) {                                         // overlay
+    return mix(2.0 * cb * cs, 1.0 - 2.0 * (1.0 - cb) * (1.0 - cs), step(0.5, cb));
+  }
+  return cs;                                                 // normal
+}
+
+void main() {
+  vec4 src = texture(u_layer, v_uv) * u_opacity;
+  if (u_mode == 0) {
+    fragColor = src;
+    return;
+  }
+
+  vec4 dst = texture(u_base, v_uv);
+  if (u_mode == 2) {
+    fragColor = min(dst + src, vec4(1.0));
+    return;
+  }
+
+  vec3 mixed = blendColor(unpremultiply(dst), unpremultiply(src));
+  vec3 rgb = (1.0 - src.a) * dst.rgb + (1.0 - dst.a) * src.rgb + src.a * dst.a * mixed;
+  fragColor = vec4(rgb, src.a + dst.a * (1.0 - src.a));
+}`;
+
+// Scene present pass: one stack's blended frame, premultiplied, masked by its reveal.
+// The dissolve thresholds a coarse noise grid, smoothed between cells, by progress.
+const revealSource = `
+in vec2 v_uv;
+uniform sampler2D u_image;
+uniform int u_reveal;
+uniform float u_progress;
+uniform vec2 u_direction;
+uniform float u_seed;
+
+const vec2 DISSOLVE_CELLS = vec2(64.0, 36.0);
+const float DISSOLVE_SOFTNESS = 0.15;
+
+float cellNoise(vec2 cell) {
+  vec2 p = fract((cell + u_seed) * vec2(0.1031, 0.1030));
+  p += dot(p, p.yx + 33.33);
+  return fract((p.x + p.y) * p.x);
+}
+
+float dissolveNoise(vec2 uv) {
+  vec2 p = uv * DISSOLVE_CELLS - 0.5;
+  vec2 i = floor(p);
+  vec2 f = p - i;
+  return mix(
+    mix(cellNoise(i), cellNoise(i + vec2(1.0, 0.0)), f.x),
+    mix(cellNoise(i + vec2(0.0, 1.0)), cellNoise(i + vec2(1.0, 1.0)), f.x),
+    f.y
+  );
+}
+
+float revealAlpha() {
+  if (u_reveal == 1) return u_progress;
+  if (u_reveal == 2) {
+    float edge = u_progress * (1.0 + DISSOLVE_SOFTNESS);
+    return clamp((edge - dissolveNoise(v_uv)) / DISSOLVE_SOFTNESS, 0.0, 1.0);
+  }
+  if (u_reveal == 3) {
+    // Distance along the wipe, 0 on the side it starts from
+    float along = dot(v_uv - 0.5, u_direction) + 0.5;
+    return 1.0 - step(u_progress, along);
+  }
+  return 1.0;
+}
+
+void main() {
+  fragColor = texture(u_image, v_uv) * revealAlpha();
+}`;
+
+function createTarget(gl, width, height) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return { texture, framebuffer };
+}
+
+function deleteTarget(gl, target) {
+  if (!target) return;
+  gl.deleteFramebuffer(target.framebuffer);
+  gl.deleteTexture(target.texture);
+}
+
+function createContext(canvas, contextAttributes) {
+  const attributes = { alpha: true, premultipliedAlpha: true, antialias: false, ...contextAttributes };
+  const gl = canvas.getContext('webgl2', attributes) || canvas.getContext('webgl', attributes);
+  if (!gl) throw new Error('Layer compositor: WebGL not supported');
+  return gl;
+}
+
+// Fullscreen triangle for a program's a_pos. On WebGL2 it lives in its own vertex
+// array, so drawing never rewrites the attribute state of a VAO a system left bound.
+function createTriangle(gl, program) {
+  const positionLocation = gl.getAttribLocation(program, 'a_pos');
+  const vao = isWebGL2(gl) ? gl.createVertexArray() : null;
+  if (vao) gl.bindVertexArray(vao);
+
+  const vbo = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+
+  function bindAttribute() {
+    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+    gl.enableVertexAttribArray(positionLocation);
+    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+  }
+
+  if (vao) {
+    bindAttribute();
+    gl.bindVertexArray(null);
+  }
+
+  return {
+    bind() {
+      if (vao) {
+        gl.bindVertexArray(vao);
+      } else {
+        bindAttribute();
+      }
+    },
+    unbind() {
+      if (vao) gl.bindVertexArray(null);
+    },
+    dispose() {
+      gl.deleteBuffer(vbo);
+      if (vao) gl.deleteVertexArray(vao);
+    }
+  };
+}
+
+// canvas: the single visible canvas. options: { roles, blendModes, contextAttributes },
+// or { gl, present } to composite in a context someone else owns (see
+// createCompositorScene()): the canvas is then left unsized and present() replaces
+// drawing the frame onto it.
+export function createLayerCompositor(canvas, options = {}) {
+  const roles = [...(options.roles || LAYER_ROLES)];
+  const shared = !!options.gl;
+  const gl = options.gl || createContext(canvas, options.contextAttributes);
+
+  const program = getProgram(gl, { vertex: vertexSource, fragment: fragmentSource, label: 'LayerCompositor' });
+  if (!program) throw new Error('Layer compositor: composite shader failed to compile');
+
+  const uniforms = {
+    base: gl.getUniformLocation(program, 'u_base'),
+    layer: gl.getUniformLocation(program, 'u_layer'),
+    mode: gl.getUniformLocation(program, 'u_mode'),
+    opacity: gl.getUniformLocation(program, 'u_opacity')
+  };
+  const triangle = createTriangle(gl, program);
+
+  const layers = new Map(roles.map(role => [role, {
+    target: null,
+    blendMode: options.blendModes?.[role] || DEFAULT_BLEND_MODES[role] || 'normal',
+    opacity: 1
+  }]));
+  let accumulators = [];
+  let output = null;
+  let width = 0;
+  let height = 0;
+
+  function allocate(nextWidth, nextHeight) {
+    layers.forEach(layer => deleteTarget(gl, layer.target));
+    accumulators.forEach(target => deleteTarget(gl, target));
+
+    width = nextWidth;
+    height = nextHeight;
+    layers.forEach(layer => { layer.target = createTarget(gl, width, height); });
+    accumulators = [createTarget(gl, width, height), createTarget(gl, width, height)];
+    output = null;
+  }
+
+  function layerFor(role) {
+    const layer = layers.get(role);
+    if (!layer) throw new Error(`Layer compositor: unknown role "${role}"`);
+    return layer;
+  }
+
+  function drawPass(target, baseTexture, layerTexture, mode, opacity) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.viewport(0, 0, width, height);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, baseTexture);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, layerTexture);
+
+    gl.uniform1i(uniforms.base, 0);
+    gl.uniform1i(uniforms.layer, 1);
+    gl.uniform1i(uniforms.mode, MODE_IDS[mode]);
+    gl.uniform1f(uniforms.opacity, opacity);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  // Size the canvas (unless it is shared) and every framebuffer (device pixels)
+  function resize(nextWidth = canvas.clientWidth, nextHeight = canvas.clientHeight) {
+    const w = Math.max(1, Math.floor(nextWidth));
+    const h = Math.max(1, Math.floor(nextHeight));
+    if (w === width && h === height) return;
+
+    if (!shared) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    allocate(w, h);
+  }
+
+  // Route subsequent draws into role's framebuffer, cleared to transparent. Color blends
+  // with the source alpha, alpha with ONE so the target stays premultiplied (alpha a,
+  // not a * a, for a draw over transparent).
+  function beginLayer(role) {
+    const layer = layerFor(role);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, layer.target.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  // Blend all layers bottom-to-top into the output framebuffer and present it
+  function composite() {
+    gl.disable(gl.BLEND);
+    gl.useProgram(program);
+    triangle.bind();
+
+    let current = 0;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, accumulators[current].framebuffer);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    roles.forEach(role => {
+      const layer = layers.get(role);
+      if (layer.opacity <= 0) return;
+
+      const next = 1 - current;
+      drawPass(accumulators[next], accumulators[current].texture, layer.target.texture, layer.blendMode, layer.opacity);
+      current = next;
+    });
+
+    output = accumulators[current];
+
+    if (!shared) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      drawPass(null, null, output.texture, 'copy', 1);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    triangle.unbind();
+
+    if (shared) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      options.present?.();
+    }
+  }
+
+  // Pixels of the last composite(), RGBA premultiplied; rows top-down unless flipY is false
+  function readPixels({ flipY = true } = {}) {
+    const pixels = new Uint8Array(width * height * 4);
+    if (!output) return { width, height, data: pixels };
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (flipY) {
+      const stride = width * 4;
+      const row = new Uint8Array(stride);
+      for (let top = 0, bottom = height - 1; top < bottom; top++, bottom--) {
+        row.set(pixels.subarray(top * stride, top * stride + stride));
+        pixels.copyWithin(top * stride, bottom * stride, bottom * stride + stride);
+        pixels.set(row, bottom * stride);
+      }
+    }
+
+    return { width, height, data: pixels };
+  }
+
+  function setBlendMode(role, mode) {
+    if (!BLEND_MODES.includes(mode)) throw new Error(`Layer compositor: unknown blend mode "${mode}"`);
+    layerFor(role).blendMode = mode;
+  }
+
+  function getBlendMode(role) {
+    return layerFor(role).blendMode;
+  }
+
+  // Insert a layer on top, or at index in the bottom-to-top order
+  function addLayer(role, { blendMode = 'normal', index = roles.length } = {}) {
+    if (layers.has(role)) throw new Error(`Layer compositor: role "${role}" already exists`);
+    if (!BLEND_MODES.includes(blendMode)) throw new Error(`Layer compositor: unknown blend mode "${blendMode}"`);
+
+    layers.set(role, { target: createTarget(gl, width, height), blendMode, opacity: 1 });
+    roles.splice(Math.max(0, Math.min(index, roles.length)), 0, role);
+  }
+
+  function removeLayer(role) {
+    deleteTarget(gl, layerFor(role).target);
+    layers.delete(role);
+    roles.splice(roles.indexOf(role), 1);
+  }
+
+  function dispose() {
+    layers.forEach(layer => deleteTarget(gl, layer.target));
+    accumulators.forEach(target => deleteTarget(gl, target));
+    triangle.dispose();
+    releaseProgram(gl, program);
+    accumulators = [];
+    output = null;
+  }
+
+  resize(canvas.width || canvas.clientWidth, canvas.height || canvas.clientHeight);
+
+  return {
+    gl,
+    canvas,
+    roles,
+    get width() { return width; },
+    get height() { return height; },
+    // Texture of the last composite(), null before the first one
+    get texture() { return output ? output.texture : null; },
+    resize, beginLayer, composite, readPixels,
+    setBlendMode, getBlendMode, addLayer, removeLayer, dispose
+  };
+}
+
+// canvas: the visible canvas every stack shares. options: { contextAttributes }.
+// Stacks are created per id (e.g. a system id) with compositorFor(id) and presented
+// bottom-to-top in the order they were shown; each composite() of a stack presents the
+// whole scene again.
+export function createCompositorScene(canvas, options = {}) {
+  const gl = createContext(canvas, options.contextAttributes);
+
+  const program = getProgram(gl, { vertex: vertexSource, fragment: revealSource, label: 'CompositorScene' });
+  if (!program) throw new Error('Compositor scene: present shader failed to compile');
+
+  const uniforms = {
+    image: gl.getUniformLocation(program, 'u_image'),
+    reveal: gl.getUniformLocation(program, 'u_reveal'),
+    progress: gl.getUniformLocation(program, 'u_progress'),
+    direction: gl.getUniformLocation(program, 'u_direction'),
+    seed: gl.getUniformLocation(program, 'u_seed')
+  };
+  const triangle = createTriangle(gl, program);
+
+  const stacks = new Map(); // id -> { compositor, reveal }
+  let shown = [];           // ids, bottom to top
+  let width = 0;
+  let height = 0;
+
+  function stackFor(id) {
+    const stack = stacks.get(id);
+    if (!stack) throw new Error(`Compositor scene: unknown stack "${id}"`);
+    return stack;
+  }
+
+  // Draw every shown stack that has composited onto the canvas
+  function present() {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(program);
+    triangle.bind();
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(uniforms.image, 0);
+
+    shown.forEach(id => {
+      const stack = stacks.get(id);
+      if (!stack?.compositor.texture) return;
+
+      const { compositor, reveal } = stack;
+      const [dx, dy] = WIPE_DIRECTIONS[reveal?.direction] || WIPE_DIRECTIONS.right;
+      gl.bindTexture(gl.TEXTURE_2D, compositor.texture);
+      gl.uniform1i(uniforms.reveal, reveal ? REVEAL_IDS[reveal.type] : 0);
+      gl.uniform1f(uniforms.progress, reveal ? reveal.progress : 1);
+      gl.uniform2f(uniforms.direction, dx, dy);
+      gl.uniform1f(uniforms.seed, reveal?.seed ?? 0);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    });
+
+    gl.disable(gl.BLEND);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    triangle.unbind();
+  }
+
+  // The id's layer compositor, created on first use. options: { roles, blendModes }
+  function compositorFor(id, stackOptions = {}) {
+    if (!stacks.has(id)) {
+      const compositor = createLayerCompositor(canvas, { ...stackOptions, gl, present });
+      compositor.resize(width, height);
+      stacks.set(id, { compositor, reveal: null });
+    }
+    return stacks.get(id).compositor;
+  }
+
+  // Present a stack on top of the ones already shown; an id may be shown before its
+  // stack exists and is drawn once it has composited
+  function show(id) {
+    shown = [...shown.filter(other => other !== id), id];
+    present();
+  }
+
+  function hide(id) {
+    shown = shown.filter(other => other !== id);
+    if (stacks.has(id)) stacks.get(id).reveal = null;
+    present();
+  }
+
+  // Mask a stack while it comes in: { type, progress, direction, seed }, null for none.
+  // type is one of REVEAL_TYPES; progress runs 0..1; direction ('right', 'left', 'up',
+  // 'down') applies to wipes and seed picks the dissolve pattern.
+  function setReveal(id, reveal) {
+    if (reveal && !REVEAL_TYPES.includes(reveal.type)) {
+      throw new Error(`Compositor scene: unknown reveal "${reveal.type}" (expected ${REVEAL_TYPES.join(', ')})`);
+    }
+    stackFor(id).reveal = reveal ? { ...reveal } : null;
+    present();
+  }
+
+  // Size the canvas and every stack (device pixels)
+  function resize(nextWidth = canvas.clientWidth, nextHeight = canvas.clientHeight) {
+    width = Math.max(1, Math.floor(nextWidth));
+    height = Math.max(1, Math.floor(nextHeight));
+    canvas.width = width;
+    canvas.height = height;
+    stacks.forEach(({ compositor }) => compositor.resize(width, height));
+    present();
+  }
+
+  function dispose() {
+    stacks.forEach(({ compositor }) => compositor.dispose());
+    stacks.clear();
+    shown = [];
+    triangle.dispose();
+    releaseProgram(gl, program);
+  }
+
+  resize(canvas.width || canvas.clientWidth, canvas.height || canvas.clientHeight);
+
+  return {
+    gl,
+    canvas,
+    get width() { return width; },
+    get height() { return height; },
+    get shown() { return [...shown]; },
+    compositorFor, show, hide, setReveal, resize, present, dispose
+  };
+}
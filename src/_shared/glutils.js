@@ -1,30 +1,206 @@
 // WebGL utility functions for shader compilation
-export function compileProgram(gl, vertexSource, fragmentSource) {
-  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
-  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+//
+// Errors are structured: a failed compile throws/reports a ShaderCompileError whose
+// diagnostics ({ stage, line, column, message, file }) point at the original source
+// lines, using the lineMap produced by shaders.js buildShader() when one is given.
+
+const EXCERPT_CONTEXT = 2;
+
+export class ShaderCompileError extends Error {
+  constructor(stage, infoLog, diagnostics, excerpt, label) {
+    const first = diagnostics[0];
+    const where = first ? `${first.file}:${first.line}${first.column != null ? `:${first.column}` : ''}` : stage;
+    super(`${label ? `${label}: ` : ''}${stage} shader failed to compile at ${where}: ${first ? first.message : infoLog}`);
+
+    this.name = 'ShaderCompileError';
+    this.stage = stage;
+    this.infoLog = infoLog;
+    this.diagnostics = diagnostics;
+    this.excerpt = excerpt;
+
+    // Shorthand for the first diagnostic
+    this.line = first?.line ?? null;
+    this.column = first?.column ?? null;
+  }
+
+  format() {
+    return this.excerpt ? `${this.message}\n${this.excerpt}` : this.message;
+  }
+}
+
+export class ProgramLinkError extends Error {
+  constructor(infoLog, label) {
+    super(`${label ? `${label}: ` : ''}program failed to link: ${infoLog}`);
+    this.name = 'ProgramLinkError';
+    this.infoLog = infoLog;
+  }
+
+  format() {
+    return this.message;
+  }
+}
+
+// Parse a driver info log into { line, column, severity, message } entries.
+// Handles ANGLE/Chrome ("ERROR: 0:12: ..."), Mesa ("0:12(5): error: ...")
+// and NVIDIA ("0(12) : error C1008: ...") formats; line/column are driver lines (1-based).
+export function parseShaderLog(infoLog) {
+  const entries = [];
+
+  (infoLog || '').split('\n').forEach(raw => {
+    const text = raw.trim().replace(/\0/g, '');
+    if (!text) return;
+
+    let match = text.match(/^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i);
+    if (match) {
+      entries.push({ line: +match[2], column: null, severity: match[1].toLowerCase(), message: match[3] });
+      return;
+    }
+
+    match = text.match(/^\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i);
+    if (match) {
+      entries.push({ line: +match[1], column: +match[2], severity: match[3].toLowerCase(), message: match[4] });
+      return;
+    }
+
+    match = text.match(/^\d+\((\d+)\)\s*:\s*(error|warning)\s*\w*:\s*(.*)$/i);
+    if (match) {
+      entries.push({ line: +match[1], column: null, severity: match[2].toLowerCase(), message: match[3] });
+      return;
+    }
+
+    entries.push({ line: null, column: null, severity: 'error', message: text });
+  });
+
+  return entries;
+}
+
+// Source lines around each reported line, the failing line marked with ">".
+// Numbers are lines of the compiled source; the header names the original file/line.
+function formatExcerpt(source, entries, diagnostics) {
+  const lines = source.split('\n');
+  const width = String(lines.length).length;
+  const seen = new Set();
+
+  return entries
+    .map((entry, index) => ({ entry, origin: diagnostics[index] }))
+    .filter(({ entry }) => {
+      if (entry.line == null || entry.line > lines.length || seen.has(entry.line)) return false;
+      seen.add(entry.line);
+      return true;
+    })
+    .map(({ entry, origin }) => {
+      const from = Math.max(1, entry.line - EXCERPT_CONTEXT);
+      const to = Math.min(lines.length, entry.line + EXCERPT_CONTEXT);
+      const out = [`  at ${origin.file}:${origin.line} (compiled line ${entry.line})`];
+
+      for (let n = from; n <= to; n++) {
+        const marker = n === entry.line ? '>' : ' ';
+        out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+        if (n === entry.line && entry.column != null) {
+          out.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0, entry.column - 1))}^`);
+        }
+      }
+      return out.join('\n');
+    })
+    .join('\n');
+}
+
+function compileShader(gl, type, source, lineMap, label) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return shader;
+
+  const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+  const infoLog = gl.getShaderInfoLog(shader) || '';
+  gl.deleteShader(shader);
+
+  const entries = parseShaderLog(infoLog).filter(entry => entry.severity === 'error');
+  const diagnostics = entries.map(entry => {
+    const origin = entry.line != null ? lineMap?.[entry.line - 1] : null;
+    return {
+      stage,
+      file: origin?.file ?? '<source>',
+      line: origin?.line ?? entry.line,
+      column: entry.column,
+      message: entry.message
+    };
+  });
+
+  throw new ShaderCompileError(stage, infoLog, diagnostics, formatExcerpt(source, entries, diagnostics), label);
+}
+
+// Compile and link, throwing ShaderCompileError / ProgramLinkError.
+// options: { lineMaps: { vertex, fragment }, label }
+export function createProgram(gl, vertexSource, fragmentSource, { lineMaps = {}, label } = {}) {
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource, lineMaps.vertex, label);
+
+  let fragmentShader;
+  try {
+    fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource, lineMaps.fragment, label);
+  } catch (error) {
+    gl.deleteShader(vertexShader);
+    throw error;
+  }
 
   const program = gl.createProgram();
   gl.attachShader(program, vertexShader);
   gl.attachShader(program, fragmentShader);
   gl.linkProgram(program);
 
+  // The program keeps what it needs once linked
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
   if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    console.error('Program link failed:', gl.getProgramInfoLog(program));
-    return null;
+    const infoLog = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new ProgramLinkError(infoLog, label);
   }
 
   return program;
 }
 
-function compileShader(gl, type, source) {
-  const shader = gl.createShader(type);
-  gl.shaderSource(shader, source);
-  gl.compileShader(shader);
+// Returns the program, or null after logging the annotated error.
+// options: { lineMaps, label, onError(error) }
+export function compileProgram(gl, vertexSource, fragmentSource, options = {}) {
+  try {
+    return createProgram(gl, vertexSource, fragmentSource, options);
+  } catch (error) {
+    if (!(error instanceof ShaderCompileError || error instanceof ProgramLinkError)) throw error;
 
-  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-    console.error('Shader compile failed:', gl.getShaderInfoLog(shader));
+    console.error(error.format());
+    options.onError?.(error);
     return null;
   }
+}
+
+// Try shader variants in order until one compiles, e.g. a full-quality variant
+// followed by a simpler one. variants: [{ name, vertex, fragment, lineMaps }]
+// Returns { program, variant, errors }; program is null when every variant failed.
+export function compileProgramWithFallback(gl, variants, { label } = {}) {
+  const errors = [];
+
+  for (const variant of variants) {
+    const variantLabel = label ? `${label} (${variant.name})` : variant.name;
+    try {
+      const program = createProgram(gl, variant.vertex, variant.fragment, {
+        lineMaps: variant.lineMaps,
+        label: variantLabel
+      });
+
+      if (errors.length) {
+        console.warn(`⚠️ ${variantLabel}: using fallback shader after ${errors.length} failed variant(s)`);
+      }
+      return { program, variant, errors };
+    } catch (error) {
+      if (!(error instanceof ShaderCompileError || error instanceof ProgramLinkError)) throw error;
+
+      console.error(error.format());
+      errors.push(error);
+    }
+  }
 
-  return shader;
-}
\ No newline at end of file
+  return { program: null, variant: null, errors };
+}
@@ -0,0 +1,132 @@
+// Layer stack: ordered per-role appearance for the layered systems
+//
+// Each layered system seeds a stack from its default table (background, shadow,
+// content, highlight, accent); layers can then be tuned, added or removed by role.
+// A layer config holds the color tint, scale, opacity and blend mode shared by every
+// system plus the system's own shader fields (phase/amplitude/projection for
+// Aetheric, refractionIndex/dispersionStrength/projection for Prismatic).
+
+import { BLEND_MODES } from './compositor.js';
+
+function validate(role, config, fields) {
+  Object.entries(config).forEach(([key, value]) => {
+    if (!fields.includes(key)) {
+      throw new Error(`Layer "${role}": unknown field "${key}" (expected ${fields.join(', ')})`);
+    }
+    if (key === 'blendMode') {
+      if (!BLEND_MODES.includes(value)) throw new Error(`Layer "${role}": unknown blend mode "${value}"`);
+    } else if (key === 'color') {
+      if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        throw new Error(`Layer "${role}": color must be [r, g, b]`);
+      }
+    } else if (!Number.isFinite(value)) {
+      throw new Error(`Layer "${role}": ${key} must be a finite number`);
+    }
+  });
+}
+
+function copy(config) {
+  return { ...config, color: [...config.color] };
+}
+
+// defaults: { role: config } in bottom-to-top order. fallback: config for added layers;
+// its keys are the fields every layer accepts.
+export function createLayerStack(defaults, fallback) {
+  const fields = Object.keys(fallback);
+  const layers = new Map(Object.entries(defaults).map(([role, config]) => [role, copy({ ...fallback, ...config })]));
+
+  function layerFor(role) {
+    const layer = layers.get(role);
+    if (!layer) throw new Error(`Unknown layer "${role}"`);
+    return layer;
+  }
+
+  // Bottom-to-top role order
+  function roles() {
+    return [...layers.keys()];
+  }
+
+  function has(role) {
+    return layers.has(role);
+  }
+
+  // Live config for rendering; use getConfig() for a copy
+  function get(role) {
+    return layers.get(role) || fallback;
+  }
+
+  function getConfig(role) {
+    return copy(layerFor(role));
+  }
+
+  function set(role, patch) {
+    validate(role, patch, fields);
+    const layer = layerFor(role);
+    Object.assign(layer, patch);
+    if (patch.color) layer.color = [...patch.color];
+    return copy(layer);
+  }
+
+  // Insert a layer on top, or below an existing role with { before }
+  function add(role, config = {}, { before } = {}) {
+    if (typeof role !== 'string' || !role) throw new Error('Layer role must be a non-empty string');
+    if (layers.has(role)) throw new Error(`Layer "${role}" already exists`);
+    validate(role, config, fields);
+
+    const entries = [...layers.entries()];
+    const index = before != null ? entries.findIndex(([name]) => name === before) : entries.length;
+    if (index < 0) throw new Error(`Unknown layer "${before}"`);
+
+    entries.splice(index, 0, [role, copy({ ...fallback, ...config })]);
+    layers.clear();
+    entries.forEach(([name, layer]) => layers.set(name, layer));
+    return index;
+  }
+
+  function remove(role) {
+    layerFor(role);
+    layers.delete(role);
+  }
+
+  return { fields, roles, has, get, getConfig, set, add, remove };
+}
+
+// Make a layered system's stack match layers ([{ role, ...config }], bottom to top)
+// through its layer API. Same roles in the same order are updated in place; anything
+// else is removed or (re)inserted.
+export function replaceLayers(system, layers) {
+  const roles = layers.map(layer => layer.role);
+  system.getLayerRoles()
+    .filter(role => !roles.includes(role))
+    .forEach(role => system.removeLayer(role));
+
+  layers.forEach(({ role, ...config }, index) => {
+    const current = system.getLayerRoles();
+    if (current[index] === role) {
+      system.setLayerConfig(role, config);
+      return;
+    }
+    if (current.includes(role)) system.removeLayer(role);
+    system.addLayer(role, config, { before: system.getLayerRoles()[index] });
+  });
+}
+
+// Make the compositor's roles and blend modes match the stack (a compositor may be
+// shared between systems, so each system re-applies its own stack on activation)
+export function syncCompositorLayers(compositor, stack) {
+  const roles = stack.roles();
+
+  [...compositor.roles].forEach(role => {
+    if (!roles.includes(role)) compositor.removeLayer(role);
+  });
+
+  roles.forEach((role, index) => {
+    const { blendMode } = stack.get(role);
+    if (compositor.roles[index] === role) {
+      compositor.setBlendMode(role, blendMode);
+      return;
+    }
+    if (compositor.roles.includes(role)) compositor.removeLayer(role);
+    compositor.addLayer(role, { blendMode, index });
+  });
+}
@@ -0,0 +1,258 @@
+// 4D rotation math mirroring the GLSL in AethericSystem / PrismaticSystem
+//
+// Conventions (identical to the shaders, so CPU results match what is rendered):
+// - Vectors are [x, y, z, w].
+// - Matrices are flat column-major arrays of 16 numbers, in the same order as the
+//   GLSL mat4(...) constructor arguments; they can be uploaded with uniformMatrix4fv.
+// - A rotation in plane AB by angle a maps  A' = cos(a)*A + sin(a)*B,  B' = -sin(a)*A + cos(a)*B
+//   (rotateXW, rotateYW, ... in the shaders).
+// - transform4D composes  XW * YW * ZW * XY * XZ * YZ,  so YZ is applied to the vector first.
+//   ROTATION_ORDER is the single definition of that order.
+//
+// Note: the WebGL1 fallback shader in PrismaticVisualizer (rotate4D) applies the planes in the
+// reverse order with the opposite sign; it is not what this module computes.
+
+export const PLANES = ['XW', 'YW', 'ZW', 'XY', 'XZ', 'YZ'];
+
+// Left-to-right multiplication order of transform4D()
+export const ROTATION_ORDER = ['XW', 'YW', 'ZW', 'XY', 'XZ', 'YZ'];
+
+const AXIS = { X: 0, Y: 1, Z: 2, W: 3 };
+
+// ---------- matrices ----------
+
+export function identity() {
+  return [
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1
+  ];
+}
+
+// a * b (column-major)
+export function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+export function transpose(m) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) out[col * 4 + row] = m[row * 4 + col];
+  }
+  return out;
+}
+
+// General 4x4 inverse; returns null for singular matrices
+export function invert(m) {
+  const [
+    a00, a01, a02, a03,
+    a10, a11, a12, a13,
+    a20, a21, a22, a23,
+    a30, a31, a32, a33
+  ] = m;
+
+  const b00 = a00 * a11 - a01 * a10;
+  const b01 = a00 * a12 - a02 * a10;
+  const b02 = a00 * a13 - a03 * a10;
+  const b03 = a01 * a12 - a02 * a11;
+  const b04 = a01 * a13 - a03 * a11;
+  const b05 = a02 * a13 - a03 * a12;
+  const b06 = a20 * a31 - a21 * a30;
+  const b07 = a20 * a32 - a22 * a30;
+  const b08 = a20 * a33 - a23 * a30;
+  const b09 = a21 * a32 - a22 * a31;
+  const b10 = a21 * a33 - a23 * a31;
+  const b11 = a22 * a33 - a23 * a32;
+
+  const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+  if (Math.abs(det) < 1e-12) return null;
+  const inv = 1 / det;
+
+  return [
+    (a11 * b11 - a12 * b10 + a13 * b09) * inv,
+    (a02 * b10 - a01 * b11 - a03 * b09) * inv,
+    (a31 * b05 - a32 * b04 + a33 * b03) * inv,
+    (a22 * b04 - a21 * b05 - a23 * b03) * inv,
+    (a12 * b08 - a10 * b11 - a13 * b07) * inv,
+    (a00 * b11 - a02 * b08 + a03 * b07) * inv,
+    (a32 * b02 - a30 * b05 - a33 * b01) * inv,
+    (a20 * b05 - a22 * b02 + a23 * b01) * inv,
+    (a10 * b10 - a11 * b08 + a13 * b06) * inv,
+    (a01 * b08 - a00 * b10 - a03 * b06) * inv,
+    (a30 * b04 - a31 * b02 + a33 * b00) * inv,
+    (a21 * b02 - a20 * b04 - a23 * b00) * inv,
+    (a11 * b07 - a10 * b09 - a12 * b06) * inv,
+    (a00 * b09 - a01 * b07 + a02 * b06) * inv,
+    (a31 * b01 - a30 * b03 - a32 * b00) * inv,
+    (a20 * b03 - a21 * b01 + a22 * b00) * inv
+  ];
+}
+
+// Rotations are orthonormal: the inverse is the transpose
+export function invertRotation(m) {
+  return transpose(m);
+}
+
+// m * v
+export function transformVec4(m, v) {
+  const out = [0, 0, 0, 0];
+  for (let row = 0; row < 4; row++) {
+    out[row] = m[row] * v[0] + m[4 + row] * v[1] + m[8 + row] * v[2] + m[12 + row] * v[3];
+  }
+  return out;
+}
+
+// Single-plane rotation matrix, e.g. rotationMatrix('XW', 0.5) === shader rotateXW(0.5)
+export function rotationMatrix(plane, angle) {
+  const a = AXIS[plane[0]];
+  const b = AXIS[plane[1]];
+  if (a === undefined || b === undefined || a === b) {
+    throw new Error(`Unknown rotation plane "${plane}"`);
+  }
+
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const m = identity();
+
+  m[a * 4 + a] = c;
+  m[b * 4 + b] = c;
+  m[a * 4 + b] = -s; // column a, row b
+  m[b * 4 + a] = s;  // column b, row a
+  return m;
+}
+
+// Read a plane angle from { XW } or parameter-style { rot4dXW } objects.
+// The legacy light-factory names (rotXW, rotYW, rotZW) are accepted as aliases.
+export function readAngle(angles, plane) {
+  return angles[plane] ?? angles[`rot4d${plane}`] ?? angles[`rot${plane}`] ?? 0;
+}
+
+// Same angle in -PI..PI
+export function wrapAngle(angle) {
+  return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+// Full 6-plane rotation, the CPU twin of transform4D()'s matrix
+export function composeRotations(angles) {
+  return ROTATION_ORDER.reduce(
+    (m, plane) => multiply(m, rotationMatrix(plane, readAngle(angles, plane))),
+    identity()
+  );
+}
+
+export function transform4D(angles, v) {
+  return transformVec4(composeRotations(angles), v);
+}
+
+// Perspective projection, the CPU twin of project4Dto3D()
+export function project4Dto3D(v, projectionDistance) {
+  let w = v[3] + projectionDistance;
+  if (Math.abs(w) < 0.001) w = 0.001;
+  return [v[0] / w, v[1] / w, v[2] / w];
+}
+
+// ---------- quaternions / double-quaternion (rotor) form ----------
+//
+// Quaternions are stored [x, y, z, w] with w the scalar part, so a 4D vector is read directly
+// as the quaternion  x*i + y*j + z*k + w.  Every 4D rotation can be written  v -> left * v * right
+// with unit quaternions left and right (the pair is unique up to a shared sign).
+
+export function quatMultiply(p, q) {
+  const [px, py, pz, pw] = p;
+  const [qx, qy, qz, qw] = q;
+  return [
+    pw * qx + px * qw + py * qz - pz * qy,
+    pw * qy - px * qz + py * qw + pz * qx,
+    pw * qz + px * qy - py * qx + pz * qw,
+    pw * qw - px * qx - py * qy - pz * qz
+  ];
+}
+
+export function quatNormalize(q) {
+  const len = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+  return [q[0] / len, q[1] / len, q[2] / len, q[3] / len];
+}
+
+// Matrix of v -> q * v
+export function leftMatrix(q) {
+  const m = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    const basis = [0, 0, 0, 0];
+    basis[col] = 1;
+    const image = quatMultiply(q, basis);
+    for (let row = 0; row < 4; row++) m[col * 4 + row] = image[row];
+  }
+  return m;
+}
+
+// Matrix of v -> v * q
+export function rightMatrix(q) {
+  const m = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    const basis = [0, 0, 0, 0];
+    basis[col] = 1;
+    const image = quatMultiply(basis, q);
+    for (let row = 0; row < 4; row++) m[col * 4 + row] = image[row];
+  }
+  return m;
+}
+
+export function fromDoubleQuaternion({ left, right }) {
+  return multiply(leftMatrix(left), rightMatrix(right));
+}
+
+// The 16 matrices leftMatrix(e_i) * rightMatrix(e_j) are orthogonal with squared norm 4, so the
+// coefficients of a rotation in that basis form the rank-one "associate" matrix left * right^T.
+const ASSOCIATE_BASIS = (() => {
+  const basis = [];
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      const ei = [0, 0, 0, 0];
+      const ej = [0, 0, 0, 0];
+      ei[i] = 1;
+      ej[j] = 1;
+      basis.push(multiply(leftMatrix(ei), rightMatrix(ej)));
+    }
+  }
+  return basis;
+})();
+
+export function toDoubleQuaternion(m) {
+  const associate = ASSOCIATE_BASIS.map(b => b.reduce((sum, value, k) => sum + value * m[k], 0) / 4);
+
+  // Largest row of left * right^T is a scaled copy of right
+  let bestRow = 0;
+  let bestNorm = -1;
+  for (let i = 0; i < 4; i++) {
+    const row = associate.slice(i * 4, i * 4 + 4);
+    const norm = Math.hypot(...row);
+    if (norm > bestNorm) {
+      bestNorm = norm;
+      bestRow = i;
+    }
+  }
+
+  const right = quatNormalize(associate.slice(bestRow * 4, bestRow * 4 + 4));
+  const left = quatNormalize([0, 1, 2, 3].map(i =>
+    right.reduce((sum, r, j) => sum + associate[i * 4 + j] * r, 0)
+  ));
+
+  // Canonical sign: non-negative scalar part on the left quaternion
+  if (left[3] < 0) {
+    return { left: left.map(v => -v), right: right.map(v => -v) };
+  }
+  return { left, right };
+}
+
+export function rotationsToDoubleQuaternion(angles) {
+  return toDoubleQuaternion(composeRotations(angles));
+}
@@ -0,0 +1,193 @@
+// Parameter schema: the single description of every visual parameter
+//
+// Each entry gives type ('int' | 'float' | 'angle'), min/max, default, slider step,
+// whether the value wraps around its range instead of clamping, a display unit and
+// a group. Systems take their defaults from here, the reactivity layer its limits,
+// and the pages their slider bounds (applySchemaToInput).
+//
+// A few light factories were tuned with different defaults; SYSTEM_OVERRIDES holds
+// those per-system differences keyed by registry id.
+
+const TAU = Math.PI * 2;
+
+const angle = label => ({ type: 'angle', min: -TAU, max: TAU, default: 0, step: 0.01, wrap: true, unit: 'rad', group: 'rotation', label });
+
+export const PARAMETER_SCHEMA = {
+  // 4D rotation planes
+  rot4dXW: angle('X-W Rotation'),
+  rot4dYW: angle('Y-W Rotation'),
+  rot4dZW: angle('Z-W Rotation'),
+  rot4dXY: angle('X-Y Rotation'),
+  rot4dXZ: angle('X-Z Rotation'),
+  rot4dYZ: angle('Y-Z Rotation'),
+
+  // Core
+  geometry:    { type: 'int',   min: 0,    max: 9,   default: 0,   step: 1,    wrap: false, unit: null, group: 'core', label: 'Geometry' },
+  gridDensity: { type: 'float', min: 1,    max: 64,  default: 15,  step: 1,    wrap: false, unit: null, group: 'core', label: 'Grid Density' },
+  morphFactor: { type: 'float', min: 0,    max: 2,   default: 0.5, step: 0.01, wrap: false, unit: null, group: 'core', label: 'Morph Factor' },
+  chaos:       { type: 'float', min: 0,    max: 1,   default: 0.2, step: 0.01, wrap: false, unit: null, group: 'core', label: 'Chaos' },
+  speed:       { type: 'float', min: 0.1,  max: 3,   default: 1,   step: 0.1,  wrap: false, unit: 'x',  group: 'core', label: 'Speed' },
+  scale:       { type: 'float', min: 0.25, max: 3,   default: 1,   step: 0.01, wrap: false, unit: 'x',  group: 'core', label: 'Scale' },
+
+  // Color
+  hue:         { type: 'float', min: 0,    max: 360, default: 200, step: 1,    wrap: true,  unit: 'deg', group: 'color', label: 'Hue' },
+  intensity:   { type: 'float', min: 0,    max: 2,   default: 0.9, step: 0.01, wrap: false, unit: null,  group: 'color', label: 'Intensity' },
+  saturation:  { type: 'float', min: 0,    max: 1,   default: 0.6, step: 0.01, wrap: false, unit: null,  group: 'color', label: 'Saturation' },
+
+  // Aetheric interference
+  coherenceLength:   { type: 'float', min: 0.01, max: 1, default: 0.1, step: 0.01, wrap: false, unit: null, group: 'aetheric', label: 'Coherence Length' },
+  dispersionRate:    { type: 'float', min: 0,    max: 1, default: 0.3, step: 0.01, wrap: false, unit: null, group: 'aetheric', label: 'Dispersion Rate' },
+  fieldCoupling:     { type: 'float', min: 0,    max: 2, default: 0.5, step: 0.01, wrap: false, unit: null, group: 'aetheric', label: 'Field Coupling' },
+  dimensionalBridge: { type: 'float', min: 0,    max: 3, default: 1,   step: 0.01, wrap: false, unit: null, group: 'aetheric', label: 'Dimensional Bridge' },
+
+  // Prismatic optics
+  wavelengthRange:      { type: 'float', min: 100,   max: 500, default: 300,  step: 10,    wrap: false, unit: 'nm',  group: 'prismatic', label: 'Wavelength Range' },
+  cauchyCoefficient:    { type: 'float', min: 0.001, max: 0.1, default: 0.01, step: 0.001, wrap: false, unit: 'µm²', group: 'prismatic', label: 'Cauchy Coefficient' },
+  subsurfaceScattering: { type: 'float', min: 0,     max: 1,   default: 0.3,  step: 0.01,  wrap: false, unit: null,  group: 'prismatic', label: 'Subsurface Scattering' },
+  fresnelPower:         { type: 'float', min: 1,     max: 5,   default: 2,    step: 0.1,   wrap: false, unit: null,  group: 'prismatic', label: 'Fresnel Power' },
+  causticIntensity:     { type: 'float', min: 0,     max: 2,   default: 0.5,  step: 0.01,  wrap: false, unit: null,  group: 'prismatic', label: 'Caustic Intensity' },
+  materialDensity:      { type: 'float', min: 0.1,   max: 2,   default: 0.8,  step: 0.01,  wrap: false, unit: null,  group: 'prismatic', label: 'Material Density' },
+  surfaceRoughness:     { type: 'float', min: 0,     max: 1,   default: 0.1,  step: 0.01,  wrap: false, unit: null,  group: 'prismatic', label: 'Surface Roughness' },
+
+  // Ray marching (Prismatic)
+  marchingSteps:     { type: 'int',   min: 16,     max: 128,  default: 64,    step: 4,      wrap: false, unit: null, group: 'raymarch', label: 'Marching Steps' },
+  marchingPrecision: { type: 'float', min: 0.0001, max: 0.01, default: 0.001, step: 0.0001, wrap: false, unit: null, group: 'raymarch', label: 'Marching Precision' },
+  maxDistance:       { type: 'float', min: 5,      max: 50,   default: 20,    step: 1,      wrap: false, unit: null, group: 'raymarch', label: 'Max Distance' }
+};
+
+export const ROTATION_PARAMETERS = ['rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ'];
+
+export const CORE_PARAMETERS = [
+  'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation', 'scale'
+];
+
+// Parameters each registered system reads, by registry id
+export const SYSTEM_PARAMETERS = {
+  aetheric: [
+    'geometry', ...ROTATION_PARAMETERS, ...CORE_PARAMETERS,
+    'coherenceLength', 'dispersionRate', 'fieldCoupling', 'dimensionalBridge'
+  ],
+  prismatic: [
+    'geometry', ...ROTATION_PARAMETERS, ...CORE_PARAMETERS,
+    'wavelengthRange', 'cauchyCoefficient', 'subsurfaceScattering', 'fresnelPower',
+    'causticIntensity', 'materialDensity', 'surfaceRoughness',
+    'marchingSteps', 'marchingPrecision', 'maxDistance'
+  ],
+  AETHERIC: [...ROTATION_PARAMETERS, ...CORE_PARAMETERS],
+  PRISMATIC: [...ROTATION_PARAMETERS, ...CORE_PARAMETERS.filter(name => name !== 'scale')]
+};
+
+// Per-system differences from the shared schema, by registry id
+export const SYSTEM_OVERRIDES = {
+  AETHERIC: {
+    morphFactor: { default: 1 },
+    saturation: { default: 0.5 }
+  }
+};
+
+// Full spec of a parameter (with the system's overrides), or null if unknown
+export function getParameterSpec(name, system) {
+  const spec = PARAMETER_SCHEMA[name];
+  if (!spec) return null;
+
+  const override = system ? SYSTEM_OVERRIDES[system]?.[name] : null;
+  return override ? { ...spec, ...override } : spec;
+}
+
+// Names of the parameters matching a filter, e.g. listParameters({ group: 'color' })
+// or listParameters({ system: 'prismatic' })
+export function listParameters({ group, system } = {}) {
+  const names = system ? SYSTEM_PARAMETERS[system] || [] : Object.keys(PARAMETER_SCHEMA);
+  return group ? names.filter(name => PARAMETER_SCHEMA[name]?.group === group) : [...names];
+}
+
+export function getDefault(name, system) {
+  return getParameterSpec(name, system)?.default;
+}
+
+// { name: default } for a system's parameters (or the given names)
+export function getDefaults(system, names = listParameters({ system })) {
+  return Object.fromEntries(names.map(name => [name, getDefault(name, system)]));
+}
+
+// Values for names, taking each from values (object or Map) and falling back to the
+// schema default. Uses ??, so a legitimate 0 is kept.
+export function withDefaults(values, names, system) {
+  const read = values instanceof Map ? name => values.get(name) : name => values?.[name];
+  return Object.fromEntries(names.map(name => [name, read(name) ?? getDefault(name, system)]));
+}
+
+// Distance over which a wrapping parameter repeats: a full turn for angles, else its range
+function wrapPeriod(spec) {
+  return spec.type === 'angle' ? TAU : spec.max - spec.min;
+}
+
+// Bring a value into the parameter's range: wrap or clamp, and round ints.
+// Unknown parameters and non-finite values pass through unchanged.
+export function constrainValue(name, value, system) {
+  const spec = getParameterSpec(name, system);
+  if (!spec || !Number.isFinite(value)) return value;
+
+  const { min, max } = spec;
+  if (spec.wrap) {
+    // In-range values are left exact; out-of-range ones move by whole periods (a full
+    // turn for angles, as in shortestDelta()), so 3π becomes π and never -π
+    if (value < min || value > max) {
+      const period = wrapPeriod(spec);
+      value = value > max
+        ? value - Math.ceil((value - max) / period) * period
+        : value + Math.ceil((min - value) / period) * period;
+    }
+  } else {
+    value = Math.max(min, Math.min(max, value));
+  }
+
+  return spec.type === 'int' ? Math.round(value) : value;
+}
+
+// to - from, the shorter way around for wrapping parameters (hue 350 -> 10 is +20)
+export function shortestDelta(name, from, to, system) {
+  const spec = getParameterSpec(name, system);
+  const delta = to - from;
+  if (!spec?.wrap) return delta;
+
+  const period = wrapPeriod(spec);
+  return ((delta % period) + period * 1.5) % period - period / 2;
+}
+
+// Value at t (0..1) between from and to. Wrapping parameters (hue, rotations) take the
+// shorter way around, e.g. hue 350 -> 10 passes through 0. Ints are discrete (geometry
+// 0 -> 7 must not show every geometry in between), so they switch at the midpoint.
+export function interpolateValue(name, from, to, t, system) {
+  if (getParameterSpec(name, system)?.type === 'int') {
+    return constrainValue(name, t < 0.5 ? from : to, system);
+  }
+  return constrainValue(name, from + shortestDelta(name, from, to, system) * t, system);
+}
+
+// interpolateValue() for every numeric value in from or to; a value present on one side
+// only is kept as is
+export function interpolateParameters(from, to, t, system) {
+  const values = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(name => {
+    const a = from[name];
+    const b = to[name];
+    if (typeof a === 'number' && typeof b === 'number') {
+      values[name] = interpolateValue(name, a, b, t, system);
+    } else {
+      values[name] = b ?? a;
+    }
+  });
+  return values;
+}
+
+// Set a range input's min/max/step from the schema; returns false for unknown ids
+export function applySchemaToInput(input, system) {
+  const spec = getParameterSpec(input.id, system);
+  if (!spec) return false;
+
+  input.min = String(spec.min);
+  input.max = String(spec.max);
+  input.step = String(spec.step);
+  return true;
+}
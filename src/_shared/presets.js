@@ -0,0 +1,234 @@
+// Preset format: a shareable JSON snapshot of a look
+//
+//   {
+//     format: 'vib34d-preset', version: 1, name, createdAt,
+//     system: 'prismatic', geometry: 3,
+//     parameters: { rot4dXW, ..., gridDensity, ..., cauchyCoefficient, ... },
+//     layers: [{ role: 'background', color, scale, opacity, blendMode, ... }, ...],  // bottom to top
+//     reactivity: { modulation: [{ id, source, target, amount, curve, mode, min, max, enabled }, ...],
+//                   modulators: { bpm, tempoSignal, modulators: { name: { type, ... } } },
+//                   breathing: { enabled }, keyHueOffset,
+//                   smoothing: { halfLives: { rotations, core, color, advanced }, filter },
+//                   rotation: { rot4dXW: { mode, drive, friction, maxSpeed, autoRotate }, ... } }
+//   }
+//
+// layers and reactivity are optional. Older presets are upgraded by MIGRATIONS, one
+// version step at a time, before they are validated against the parameter schema, so
+// UnifiedReactivitySystem.importSettings() only reads the current reactivity format.
+// Version 1 reactivity may still hold relationship multipliers,
+// relationships: { audioBass: { rot4dXW: 2, ... } }, in place of modulation routes, and
+// breathing: { cycles: { slow: { period, amplitude, params }, ... } } in place of modulators.
+
+import { PARAMETER_SCHEMA, constrainValue } from './parameters.js';
+import {
+  BREATHING,
+  RELATIONSHIPS,
+  breathingModulator,
+  breathingRoutes,
+  defaultRoutes,
+  relationshipRoutes
+} from './reactivity.js';
+
+export const PRESET_FORMAT = 'vib34d-preset';
+export const PRESET_VERSION = 2;
+
+const LEGACY_NAMES = { rotXW: 'rot4dXW', rotYW: 'rot4dYW', rotZW: 'rot4dZW' };
+
+// Reactivity saved before the modulation matrix: the default routes, with the amounts
+// of the saved relationship multipliers (unknown relationships and parameters are dropped)
+function relationshipsToRoutes(relationships = {}) {
+  const amounts = {};
+  Object.entries(relationships).forEach(([name, multipliers]) => {
+    const relationship = RELATIONSHIPS[name];
+    if (!relationship) return;
+
+    const known = Object.fromEntries(Object.entries(multipliers).filter(([param]) => param in relationship.multipliers));
+    relationshipRoutes(name, { ...relationship, multipliers: known }).forEach(route => {
+      amounts[route.id] = route.amount;
+    });
+  });
+  return defaultRoutes().map(route => (route.id in amounts ? { ...route, amount: amounts[route.id] } : route));
+}
+
+// Reactivity saved before the modulators: breathing cycles set the rates of the breathing
+// LFOs and the amount and targets of their routes
+function cyclesToModulators({ modulators, modulation }, cycles) {
+  const bank = modulators
+    ? structuredClone(modulators)
+    : { modulators: Object.fromEntries(Object.keys(BREATHING).map(name => [`breathing.${name}`, breathingModulator(name)])) };
+  let routes = modulation;
+
+  Object.entries(cycles).forEach(([name, cycle]) => {
+    const lfo = bank.modulators?.[`breathing.${name}`];
+    if (!BREATHING[name] || !lfo) return;
+    if (Number.isFinite(cycle.period) && cycle.period > 0) lfo.rate = 1000 / cycle.period;
+
+    const source = `mod.breathing.${name}`;
+    const current = routes.filter(route => route.source === source);
+    const amplitude = Number.isFinite(cycle.amplitude) ? cycle.amplitude : current[0]?.amount ?? BREATHING[name].amplitude;
+    const params = Array.isArray(cycle.params)
+      ? cycle.params.filter(param => param in PARAMETER_SCHEMA)
+      : current.map(route => route.target);
+    routes = [...routes.filter(route => route.source !== source), ...breathingRoutes(name, { amplitude, params })];
+  });
+
+  return { modulators: bank, modulation: routes };
+}
+
+// MIGRATIONS[n] turns a version n preset into version n + 1
+export const MIGRATIONS = {
+  // v0: a bare parameter object, e.g. the old index-advanced state.parameters
+  0(data) {
+    const { system = null, geometry = 0, ...rest } = data;
+    const parameters = {};
+    Object.entries(rest).forEach(([name, value]) => {
+      parameters[LEGACY_NAMES[name] ?? name] = value;
+    });
+    return { format: PRESET_FORMAT, version: 1, system, geometry, parameters };
+  },
+
+  // v1: reactivity may carry relationship multipliers instead of modulation routes and
+  // breathing cycles instead of modulators
+  1(data) {
+    const preset = { ...data, version: 2 };
+    let reactivity = data.reactivity;
+    if (!reactivity) return preset;
+
+    if (!Array.isArray(reactivity.modulation)) {
+      const { relationships, ...rest } = reactivity;
+      reactivity = { ...rest, modulation: relationshipsToRoutes(relationships) };
+    }
+    if (reactivity.breathing?.cycles) {
+      const { cycles, ...breathing } = reactivity.breathing;
+      reactivity = { ...reactivity, breathing, ...cyclesToModulators(reactivity, cycles) };
+    }
+
+    preset.reactivity = reactivity;
+    return preset;
+  }
+};
+
+function presetVersion(data) {
+  if (data.format === PRESET_FORMAT) return data.version;
+  if (data.format != null) throw new Error(`Not a VIB34D preset (format "${data.format}")`);
+  return 0;
+}
+
+// Upgrade any known version to PRESET_VERSION
+export function migratePreset(data) {
+  let preset = data;
+  let version = presetVersion(preset);
+
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid preset version "${version}"`);
+  if (version > PRESET_VERSION) {
+    throw new Error(`Preset version ${version} is newer than supported version ${PRESET_VERSION}`);
+  }
+
+  while (version < PRESET_VERSION) {
+    preset = MIGRATIONS[version](preset);
+    version = preset.version;
+  }
+  return preset;
+}
+
+// Keep known, finite parameters, brought into their schema range
+function cleanParameters(parameters = {}) {
+  const clean = {};
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (!PARAMETER_SCHEMA[name]) {
+      console.warn(`⚠️ Preset: ignoring unknown parameter "${name}"`);
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      console.warn(`⚠️ Preset: ignoring non-numeric ${name}`);
+      return;
+    }
+    clean[name] = constrainValue(name, value);
+  });
+  return clean;
+}
+
+// JSON string or object -> current-version preset, validated
+export function parsePreset(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Preset must be a JSON object');
+
+  const preset = migratePreset(data);
+
+  if (preset.layers != null && !Array.isArray(preset.layers)) throw new Error('Preset layers must be an array');
+  (preset.layers || []).forEach(layer => {
+    if (!layer || typeof layer.role !== 'string') throw new Error('Every preset layer needs a role');
+  });
+
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name: preset.name ?? null,
+    createdAt: preset.createdAt ?? null,
+    system: preset.system ?? null,
+    geometry: constrainValue('geometry', Number(preset.geometry) || 0),
+    parameters: cleanParameters(preset.parameters),
+    layers: preset.layers ? preset.layers.map(layer => ({ ...layer })) : null,
+    reactivity: preset.reactivity ?? null
+  };
+}
+
+export function createPreset({ system, parameters = {}, layers = null, reactivity = null, name = null }) {
+  const { geometry = 0, ...rest } = parameters;
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    system,
+    geometry,
+    parameters: rest,
+    layers,
+    reactivity
+  };
+}
+
+export function serializePreset(preset) {
+  return JSON.stringify(preset, null, 2);
+}
+
+// Snapshot a layered system (its parameters and layer stack)
+// options: { name, reactivity, parameters }
+//   reactivity - from UnifiedReactivitySystem.exportSettings()
+//   parameters - values to store instead of the live ones, e.g. the reactivity base values
+//                (only the system's own parameters are kept)
+export function exportSystemPreset(system, { name = null, reactivity = null, parameters = {} } = {}) {
+  const current = system.getCurrentParameters();
+  Object.keys(current).forEach(key => {
+    if (key in parameters) current[key] = parameters[key];
+  });
+
+  return createPreset({
+    system: system.name,
+    parameters: current,
+    layers: system.getLayers(),
+    reactivity,
+    name
+  });
+}
+
+// Apply a preset to a layered system; returns the parsed preset so callers can pass
+// preset.reactivity on to the reactivity system
+export function importSystemPreset(system, input) {
+  const preset = parsePreset(input);
+
+  // Layer shader fields differ between systems, so a foreign preset brings only its parameters
+  const foreign = preset.system && preset.system !== system.name;
+  if (foreign) {
+    console.warn(`⚠️ Preset for "${preset.system}" applied to "${system.name}": keeping the current layers`);
+  }
+
+  system.updateParameter('geometry', preset.geometry);
+  Object.entries(preset.parameters).forEach(([name, value]) => system.updateParameter(name, value));
+
+  if (preset.layers && !foreign) {
+    system.setLayers(preset.layers);
+  }
+
+  return preset;
+}
@@ -0,0 +1,129 @@
+// Default reactivity routing: the parameter relationships and breathing cycles that
+// UnifiedReactivitySystem seeds its modulation matrix and modulators with
+//
+// Presets saved before the modulation matrix stored relationship multipliers and breathing
+// cycles instead of routes and LFOs; the preset migration rebuilds them from these tables.
+
+// ULTRA-INTELLIGENT PARAMETER RELATIONSHIPS - the default modulation routes: every
+// multiplier becomes a route '<relationship>.<parameter>' from the relationship's signal,
+// with a negative amount for the inverse (negative) parameters
+export const RELATIONSHIPS = {
+  // AUDIO BASS -> Multiple parameter effects
+  audioBass: {
+    signal: 'audio.bass',
+    positive: ['rot4dXW', 'rot4dYW', 'scale', 'intensity'],  // Increase with bass
+    negative: ['gridDensity', 'saturation', 'speed'],         // Decrease with bass (inverse)
+    multipliers: { rot4dXW: 2.0, rot4dYW: 1.5, scale: 0.5, intensity: 0.3, gridDensity: -0.3, saturation: -0.2, speed: -0.2 }
+  },
+
+  // AUDIO MID -> Morph and chaos effects
+  audioMid: {
+    signal: 'audio.mid',
+    positive: ['morphFactor', 'chaos', 'rot4dZW', 'rot4dXY'],
+    negative: ['gridDensity'],
+    multipliers: { morphFactor: 1.0, chaos: 0.8, rot4dZW: 1.2, rot4dXY: 1.0, gridDensity: -0.2 }
+  },
+
+  // AUDIO HIGH -> Color and fine details
+  audioHigh: {
+    signal: 'audio.high',
+    positive: ['hue', 'rot4dXZ', 'rot4dYZ', 'speed'],
+    negative: ['scale', 'morphFactor'],
+    multipliers: { hue: 50, rot4dXZ: 0.8, rot4dYZ: 0.8, speed: 0.4, scale: -0.2, morphFactor: -0.3 }
+  },
+
+  // TOUCH VELOCITY -> Chaos and energy
+  touchVelocity: {
+    signal: 'touch.velocity',
+    positive: ['chaos', 'intensity', 'speed'],
+    negative: ['saturation', 'gridDensity'],
+    multipliers: { chaos: 0.6, intensity: 0.4, speed: 0.3, saturation: -0.3, gridDensity: -0.4 }
+  },
+
+  // GYROSCOPE TILT -> Spatial transformations
+  gyroscopeTilt: {
+    signal: 'gyro.tilt',
+    positive: ['morphFactor', 'hue', 'scale'],
+    negative: ['speed', 'chaos'],
+    multipliers: { morphFactor: 0.8, hue: 30, scale: 0.3, speed: -0.2, chaos: -0.2 }
+  },
+
+  // PINCH GESTURE -> Scale and detail
+  pinchGesture: {
+    signal: 'touch.pinch',
+    positive: ['scale', 'gridDensity', 'intensity'],
+    negative: ['chaos', 'speed'],
+    multipliers: { scale: 1.0, gridDensity: 0.5, intensity: 0.3, chaos: -0.4, speed: -0.3 }
+  },
+
+  // BEAT DETECTION -> Synchronized bursts
+  beatDetected: {
+    signal: 'audio.beat',
+    positive: ['intensity', 'chaos', 'speed', 'scale'],
+    negative: ['saturation'],
+    multipliers: { intensity: 0.8, chaos: 0.6, speed: 0.5, scale: 0.4, saturation: -0.2 }
+  },
+
+  // HARMONIC RESONANCE -> Color harmony
+  harmonicResonance: {
+    signal: 'audio.harmonicResonance',
+    positive: ['hue', 'saturation', 'intensity'],
+    negative: ['chaos'],
+    multipliers: { hue: 20, saturation: 0.3, intensity: 0.2, chaos: -0.3 }
+  },
+
+  // MUSICAL KEY -> Hue on the color wheel (share of the way from the base hue);
+  // reactivity.keyHue is -1..1 for -180..180 degrees, hence the scale
+  harmonicKey: {
+    signal: 'reactivity.keyHue',
+    mode: 'bipolar',
+    scale: 180,
+    positive: ['hue'],
+    negative: [],
+    multipliers: { hue: 0.8 }
+  }
+};
+
+// BREATHING PATTERNS - Natural parameter oscillations: each cycle is a sine LFO
+// 'breathing.<cycle>' routed to its parameters with the cycle's amplitude
+export const BREATHING = {
+  slow: { period: 8000, amplitude: 0.1, params: ['intensity', 'saturation'] },
+  medium: { period: 4000, amplitude: 0.05, params: ['morphFactor', 'scale'] },
+  fast: { period: 2000, amplitude: 0.03, params: ['hue', 'chaos'] }
+};
+
+// LFO of one breathing cycle, added as modulator 'breathing.<cycle>'
+export function breathingModulator(name, { period } = BREATHING[name]) {
+  return { type: 'lfo', shape: 'sine', rate: 1000 / period };
+}
+
+// Modulation routes of one breathing cycle
+export function breathingRoutes(name, { amplitude, params } = BREATHING[name]) {
+  return params.map(target => ({
+    id: `breathing.${name}.${target}`,
+    source: `mod.breathing.${name}`,
+    target,
+    amount: amplitude,
+    mode: 'bipolar'
+  }));
+}
+
+// Modulation routes of one relationship
+export function relationshipRoutes(name, relationship = RELATIONSHIPS[name]) {
+  const { signal, mode = 'unipolar', scale = 1, negative, multipliers } = relationship;
+  return Object.entries(multipliers).map(([target, multiplier]) => ({
+    id: `${name}.${target}`,
+    source: signal,
+    target,
+    amount: (negative.includes(target) ? -Math.abs(multiplier) : multiplier) * scale,
+    mode
+  }));
+}
+
+// Every relationship's and breathing cycle's routes
+export function defaultRoutes() {
+  return [
+    ...Object.keys(RELATIONSHIPS).flatMap(name => relationshipRoutes(name)),
+    ...Object.keys(BREATHING).flatMap(name => breathingRoutes(name))
+  ];
+}
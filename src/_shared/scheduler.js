@@ -0,0 +1,83 @@
+// Frame scheduler: one requestAnimationFrame loop for every per-frame task
+//
+// Input modules and the reactivity system add their per-frame work here instead of each
+// running its own loop, so they all see the same frame time and run in a fixed order
+// (lower `order` first: inputs publish before the reactivity system reads them).
+// Tasks get (deltaMs, timestamp): deltaMs is the time since the previous frame, 0 on the
+// first frame and capped at maxDelta, so a backgrounded tab does not come back with a jump.
+// The loop runs while there are tasks and stops when the last one is removed.
+
+// options: { requestFrame, cancelFrame, maxDelta = 100 (ms) }
+export function createFrameScheduler(options = {}) {
+  const requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+  const cancelFrame = options.cancelFrame || (id => cancelAnimationFrame(id));
+  const maxDelta = options.maxDelta ?? 100;
+
+  let tasks = []; // [{ callback, order, name }] sorted by order
+  let frame = null;
+  let lastTimestamp = null;
+
+  function loop(timestamp) {
+    frame = null;
+    tick(timestamp);
+    if (tasks.length && frame === null) frame = requestFrame(loop);
+  }
+
+  // Run every task once for a frame at timestamp (ms); the loop calls this, tests and
+  // offline renders may call it directly
+  function tick(timestamp) {
+    const deltaMs = lastTimestamp === null ? 0 : Math.max(0, Math.min(maxDelta, timestamp - lastTimestamp));
+    lastTimestamp = timestamp;
+
+    // A task may add or remove tasks; changes take effect next frame
+    tasks.slice().forEach(task => {
+      if (!tasks.includes(task)) return;
+      try {
+        task.callback(deltaMs, timestamp);
+      } catch (error) {
+        console.error(`❌ Frame scheduler: ${task.name} failed`, error);
+      }
+    });
+  }
+
+  // Returns a function that removes the task. A callback that is already registered
+  // keeps its place, so it never runs twice a frame.
+  function add(callback, { order = 0, name = callback.name || 'task' } = {}) {
+    if (tasks.some(task => task.callback === callback)) return () => remove(callback);
+
+    // Going from idle to running starts a new timeline; a task added while others run
+    // (even during a tick) joins the current one, so nobody gets a zero-delta frame
+    if (!tasks.length) lastTimestamp = null;
+
+    const task = { callback, order, name };
+    const index = tasks.findIndex(other => other.order > order);
+    tasks.splice(index < 0 ? tasks.length : index, 0, task);
+
+    if (frame === null) frame = requestFrame(loop);
+    return () => remove(callback);
+  }
+
+  function remove(callback) {
+    tasks = tasks.filter(task => task.callback !== callback);
+    if (!tasks.length && frame !== null) {
+      cancelFrame(frame);
+      frame = null;
+    }
+  }
+
+  function isRunning() {
+    return frame !== null;
+  }
+
+  function list() {
+    return tasks.map(({ name, order }) => ({ name, order }));
+  }
+
+  return { add, remove, tick, isRunning, list };
+}
+
+// Shared by AudioReactivity6D, TouchGyroscope6D and UnifiedReactivitySystem
+export const frameScheduler = createFrameScheduler();
+
+// Task order: inputs first, then what reads them
+export const FRAME_ORDER = { input: 0, reactivity: 10 };
@@ -0,0 +1,252 @@
+// Shader module system: .glsl loading, #include resolution, WebGL1/WebGL2 preludes
+// and a per-context program cache.
+//
+// Shader sources are written once, GLSL ES 3.00 style, without a #version line:
+//   - vertex inputs/outputs use `in` / `out`, the fragment output is `fragColor`
+//   - `#include "rot4d.glsl"` pulls in src/shaders/include/rot4d.glsl (each file once)
+// buildShader() then adds the prelude for the target context, so the same file
+// compiles on WebGL2 and on the WebGL1 fallback path.
+
+import { compileProgram } from './glutils.js';
+
+// Default location of the .glsl files (src/shaders/)
+export const SHADER_BASE_URL = new URL('../shaders/', import.meta.url).href;
+
+const INCLUDE_DIR = 'include/';
+const INCLUDE_PATTERN = /^\s*#include\s+["<]([^">]+)[">]\s*$/;
+
+const sources = new Map();  // name -> GLSL source
+const pending = new Map();  // url -> Promise<string>
+const programCache = new WeakMap(); // gl -> Map(key -> { program, refs, result })
+
+export function isWebGL2(gl) {
+  return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+}
+
+// ---------- sources ----------
+
+// Include names without a directory resolve to src/shaders/include/
+function includeName(name) {
+  return name.includes('/') ? name : INCLUDE_DIR + name;
+}
+
+// Register a source by name, e.g. registerShaderSource('include/noise.glsl', src)
+export function registerShaderSource(name, source) {
+  sources.set(name, source);
+}
+
+export function getShaderSource(name) {
+  return sources.get(name) ?? null;
+}
+
+function findIncludes(source) {
+  return source.split('\n')
+    .map(line => line.match(INCLUDE_PATTERN))
+    .filter(Boolean)
+    .map(match => includeName(match[1]));
+}
+
+// Fetch a .glsl file (and everything it includes) into the source registry
+export async function loadShaderSource(name, { baseUrl = SHADER_BASE_URL } = {}) {
+  if (sources.has(name)) return sources.get(name);
+
+  const url = new URL(name, baseUrl).href;
+  if (!pending.has(url)) {
+    pending.set(url, fetch(url).then(response => {
+      if (!response.ok) throw new Error(`Failed to load shader "${name}" (${response.status})`);
+      return response.text();
+    }));
+  }
+
+  let source;
+  try {
+    source = await pending.get(url);
+  } finally {
+    pending.delete(url);
+  }
+
+  sources.set(name, source);
+  await Promise.all(findIncludes(source).map(include => loadShaderSource(include, { baseUrl })));
+  return source;
+}
+
+export function preloadShaders(names, options) {
+  return Promise.all(names.map(name => loadShaderSource(name, options)));
+}
+
+// Inline #include directives. Returns { source, lineMap } where lineMap[i] is the
+// { file, line } that produced output line i + 1, for mapping compiler errors back.
+export function resolveIncludes(source, { file = '<inline>', lookup = getShaderSource } = {}) {
+  const lines = [];
+  const lineMap = [];
+  const included = new Set();
+
+  function expand(text, fileName, stack) {
+    text.split('\n').forEach((line, index) => {
+      const match = line.match(INCLUDE_PATTERN);
+      if (!match) {
+        lines.push(line);
+        lineMap.push({ file: fileName, line: index + 1 });
+        return;
+      }
+
+      const name = includeName(match[1]);
+      if (stack.includes(name)) {
+        throw new Error(`Circular #include of "${name}" in ${fileName}:${index + 1}`);
+      }
+      if (included.has(name)) return;
+
+      const includedSource = lookup(name);
+      if (includedSource == null) {
+        throw new Error(`Unknown #include "${match[1]}" in ${fileName}:${index + 1}`);
+      }
+
+      included.add(name);
+      expand(includedSource, name, [...stack, name]);
+    });
+  }
+
+  expand(source, file, [file]);
+  return { source: lines.join('\n'), lineMap };
+}
+
+// ---------- preludes ----------
+
+function preludeFor(webgl2, stage, defines) {
+  const lines = [];
+
+  if (webgl2) {
+    lines.push('#version 300 es');
+    lines.push('#define WEBGL2 1');
+  } else {
+    lines.push('#define WEBGL1 1');
+    lines.push('#define texture texture2D');
+    if (stage === 'fragment') lines.push('#define fragColor gl_FragColor');
+  }
+
+  Object.entries(defines).forEach(([name, value]) => {
+    if (value === false || value == null) return;
+    lines.push(value === true ? `#define ${name}` : `#define ${name} ${value}`);
+  });
+
+  if (stage === 'fragment') {
+    lines.push('precision highp float;');
+    if (webgl2) lines.push('out vec4 fragColor;');
+  }
+
+  return lines;
+}
+
+// Rewrite one body line for the target context without changing the line count.
+// Only global declarations (line-leading in/out) are touched, never parameter qualifiers.
+function adaptLine(line, webgl2, stage) {
+  if (/^\s*#version\b/.test(line)) return '';
+  if (/^\s*out\s+vec4\s+fragColor\s*;/.test(line)) return '';
+  if (webgl2) return line;
+
+  return line
+    .replace(/^(\s*)layout\s*\([^)]*\)\s*/, '$1')
+    .replace(/^(\s*)in(\s+)/, stage === 'vertex' ? '$1attribute$2' : '$1varying$2')
+    .replace(/^(\s*)out(\s+)/, '$1varying$2');
+}
+
+// Build a complete shader for gl from a registered name or raw source.
+// options: { stage: 'vertex' | 'fragment', defines: { NAME: value }, file }
+export function buildShader(gl, nameOrSource, { stage = 'fragment', defines = {}, file } = {}) {
+  const registered = getShaderSource(nameOrSource);
+  const source = registered ?? nameOrSource;
+  const fileName = file || (registered != null ? nameOrSource : '<inline>');
+
+  const webgl2 = isWebGL2(gl);
+  const resolved = resolveIncludes(source, { file: fileName });
+
+  // #extension directives have to precede everything but #version and other directives
+  const extensions = [];
+  const extensionMap = [];
+  const body = [];
+  const bodyMap = [];
+  resolved.source.split('\n').forEach((line, index) => {
+    if (/^\s*#extension\b/.test(line)) {
+      extensions.push(line.trim());
+      extensionMap.push(resolved.lineMap[index]);
+      return;
+    }
+    body.push(adaptLine(line, webgl2, stage));
+    bodyMap.push(resolved.lineMap[index]);
+  });
+
+  const prelude = preludeFor(webgl2, stage, defines);
+  const head = prelude.slice(0, 1).concat(extensions, prelude.slice(1));
+  const headMap = [{ file: '<prelude>', line: 1 }]
+    .concat(extensionMap, prelude.slice(1).map((_, i) => ({ file: '<prelude>', line: i + 2 })));
+
+  return {
+    source: head.concat(body).join('\n'),
+    lineMap: headMap.concat(bodyMap)
+  };
+}
+
+// ---------- program cache ----------
+
+function cacheFor(gl) {
+  if (!programCache.has(gl)) programCache.set(gl, new Map());
+  return programCache.get(gl);
+}
+
+function cacheKey(vertex, fragment, defines) {
+  const sortedDefines = Object.keys(defines).sort().map(name => `${name}=${defines[name]}`);
+  return `${vertex}|${fragment}|${sortedDefines.join(',')}`;
+}
+
+// Share a program per context under a caller-chosen key. create(gl) only runs on first
+// use and returns a program or { program, ...info }; the same object is handed to every
+// caller. Pair each call with releaseProgram().
+export function getSharedProgram(gl, key, create) {
+  const cache = cacheFor(gl);
+
+  const cached = cache.get(key);
+  if (cached) {
+    cached.refs++;
+    return cached.result;
+  }
+
+  const created = create(gl);
+  const result = created && 'program' in created ? created : { program: created };
+  if (!result.program) return result;
+
+  cache.set(key, { program: result.program, refs: 1, result });
+  return result;
+}
+
+// Compile (or reuse) a program for this context. vertex/fragment are registered
+// names or raw sources; every call must be paired with releaseProgram().
+// Compile errors are reported against the original .glsl/include lines; onError
+// receives the ShaderCompileError so callers can fall back to another variant.
+export function getProgram(gl, { vertex, fragment, defines = {}, label, onError }) {
+  return getSharedProgram(gl, cacheKey(vertex, fragment, defines), () => {
+    const vs = buildShader(gl, vertex, { stage: 'vertex', defines });
+    const fs = buildShader(gl, fragment, { stage: 'fragment', defines });
+    return compileProgram(gl, vs.source, fs.source, {
+      lineMaps: { vertex: vs.lineMap, fragment: fs.lineMap },
+      label: label || (getShaderSource(fragment) != null ? fragment : undefined),
+      onError
+    });
+  }).program;
+}
+
+export function releaseProgram(gl, program) {
+  const cache = cacheFor(gl);
+  for (const [key, entry] of cache) {
+    if (entry.program !== program) continue;
+
+    entry.refs--;
+    if (entry.refs <= 0) {
+      gl.deleteProgram(program);
+      cache.delete(key);
+    }
+    return;
+  }
+
+  // Not cached: created elsewhere
+  if (program) gl.deleteProgram(program);
+}
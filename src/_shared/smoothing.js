@@ -0,0 +1,56 @@
+// Frame-rate independent smoothing
+//
+// A fixed per-frame factor (value += (target - value) * 0.15) moves twice as fast at
+// 120 Hz as at 60 Hz. These filters take the elapsed time instead and are set by a
+// half-life: the time in ms after which half of the remaining distance is covered.
+//   smoothTowards - exponential approach, no overshoot, jumps in speed when the target jumps
+//   springTowards - critically damped spring: also eases in, still never overshoots a
+//                   resting target; keeps a velocity in its state
+//   decayFactor   - multiplier that halves a value every half-life (momentum, fades)
+
+const LN2 = Math.log(2);
+
+// (1 + u) * exp(-u) = 0.5: a critically damped spring covers half the distance at u
+const SPRING_HALF_LIFE = 1.6783469900166608;
+
+// Share of the remaining distance covered in deltaMs
+export function smoothingAmount(halfLife, deltaMs) {
+  if (!(halfLife > 0)) return 1;
+  return 1 - Math.exp(-LN2 * deltaMs / halfLife);
+}
+
+export function smoothTowards(value, target, halfLife, deltaMs) {
+  return value + (target - value) * smoothingAmount(halfLife, deltaMs);
+}
+
+// Multiplier that decays a value over deltaMs
+export function decayFactor(halfLife, deltaMs) {
+  if (!(halfLife > 0)) return 0;
+  return Math.exp(-LN2 * deltaMs / halfLife);
+}
+
+// Half-life that matches a per-frame factor at a frame rate, for converting old settings:
+// a smoothing factor of 0.15 at 60 Hz is halfLifeFromFactor(1 - 0.15)
+export function halfLifeFromFactor(retained, fps = 60) {
+  if (retained <= 0) return 0;
+  if (retained >= 1) return Infinity;
+  return 1000 / fps * LN2 / -Math.log(retained);
+}
+
+// state: { value, velocity (units per ms) }, updated in place and returned
+export function springTowards(state, target, halfLife, deltaMs) {
+  if (!(halfLife > 0)) {
+    state.value = target;
+    state.velocity = 0;
+    return state;
+  }
+
+  const omega = SPRING_HALF_LIFE / halfLife;
+  const offset = state.value - target;
+  const decay = Math.exp(-omega * deltaMs);
+  const temp = (state.velocity + omega * offset) * deltaMs;
+
+  state.value = target + (offset + temp) * decay;
+  state.velocity = (state.velocity - omega * temp) * decay;
+  return state;
+}
@@ -0,0 +1,116 @@
+// Shareable URL state: the look encoded into the location hash
+//
+//   #s=prismatic&g=3&h=240&gd=22&xw=1.57&t=11
+//
+// Parameters use short keys and are rounded to their slider step. On/off toggles
+// (reactivity checkboxes) are packed into one bitmask `t`, bit i = toggleNames[i], so the
+// page must pass the same toggleNames when decoding. Values are checked against the
+// parameter schema on the way in; unknown keys are ignored.
+
+import { constrainValue, getParameterSpec } from './parameters.js';
+
+export const SHORT_KEYS = {
+  geometry: 'g',
+  rot4dXW: 'xw', rot4dYW: 'yw', rot4dZW: 'zw',
+  rot4dXY: 'xy', rot4dXZ: 'xz', rot4dYZ: 'yz',
+  gridDensity: 'gd',
+  morphFactor: 'mf',
+  chaos: 'ch',
+  speed: 'sp',
+  scale: 'sc',
+  hue: 'h',
+  intensity: 'i',
+  saturation: 'sa'
+};
+
+const PARAMETER_NAMES = Object.fromEntries(Object.entries(SHORT_KEYS).map(([name, key]) => [key, name]));
+
+// Decimal places of a slider step, e.g. 0.01 -> 2
+function stepDecimals(step) {
+  const [, fraction = ''] = String(step).split('.');
+  return fraction.length;
+}
+
+// { system, parameters, toggles } -> 's=...&g=...&t=...' (no leading '#')
+export function encodeState({ system = null, parameters = {}, toggles = null } = {}, { toggleNames = [] } = {}) {
+  const query = new URLSearchParams();
+  if (system) query.set('s', system);
+
+  Object.entries(SHORT_KEYS).forEach(([name, key]) => {
+    const value = parameters[name];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    const rounded = Number(value.toFixed(stepDecimals(getParameterSpec(name).step)));
+    query.set(key, String(rounded));
+  });
+
+  if (toggles && toggleNames.length) {
+    const mask = toggleNames.reduce((bits, name, index) => (toggles[name] ? bits | (1 << index) : bits), 0);
+    query.set('t', String(mask));
+  }
+
+  return query.toString();
+}
+
+// 's=...&g=...' (with or without a leading '#' or '?') -> { system, parameters, toggles }
+// toggles is null when the string has no bitmask
+export function decodeState(text, { toggleNames = [] } = {}) {
+  const query = new URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+  const state = { system: query.get('s') || null, parameters: {}, toggles: null };
+
+  query.forEach((raw, key) => {
+    const name = PARAMETER_NAMES[key];
+    if (!name) return;
+    const value = parseFloat(raw);
+    if (Number.isFinite(value)) state.parameters[name] = constrainValue(name, value);
+  });
+
+  const mask = parseInt(query.get('t'), 10);
+  if (Number.isInteger(mask) && toggleNames.length) {
+    state.toggles = Object.fromEntries(toggleNames.map((name, index) => [name, (mask & (1 << index)) !== 0]));
+  }
+
+  return state;
+}
+
+// State from the query string and the hash of a location; the hash wins where both set a value
+export function readLocationState(location, options) {
+  const query = decodeState(location.search, options);
+  const hash = decodeState(location.hash, options);
+  return {
+    system: hash.system ?? query.system,
+    parameters: { ...query.parameters, ...hash.parameters },
+    toggles: hash.toggles ?? query.toggles
+  };
+}
+
+// True when a decoded state carries anything to restore
+export function hasState(state) {
+  return !!(state.system || state.toggles || Object.keys(state.parameters).length);
+}
+
+// Debounced hash updates while sliders move. getState() -> { system, parameters, toggles }
+// replaceState keeps slider drags out of the browser history and does not fire hashchange.
+export function createUrlStateWriter(getState, { delay = 250, toggleNames = [] } = {}) {
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const hash = `#${encodeState(getState(), { toggleNames })}`;
+    if (hash !== location.hash) {
+      history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+    }
+  }
+
+  return {
+    schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+    flush,
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
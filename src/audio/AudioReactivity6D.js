@@ -3,6 +3,23 @@
  * ULTRA-ADVANCED: Full 6-degree 4D rotation control with audio analysis
  * Maps audio frequencies to all 6 possible 4D rotation planes: XW, YW, ZW, XY, XZ, YZ
  *
+ * Input is the microphone by default, or an <audio>/<video> element, a decoded file or
+ * any AudioNode (see AudioSources.js) with play/pause/seek for syncing to a known track.
+ *
+ * Frequency bands are in Hz and converted to analyser bins with the context's actual
+ * sample rate (see frequencyBands.js); setBandLayout() spreads them on an octave, mel,
+ * Bark or linear scale.
+ *
+ * Beats come from BeatTracker (spectral-flux onsets, tempo and a beat clock); rotation
+ * bursts land on the tracked beat grid and fade out on top of the smoothed rotations
+ * (BURST_HALF_LIFE). HarmonyTracker adds a 12-bin chroma, the dominant
+ * pitch class and an estimate of the song's key.
+ *
+ * Band levels go through a noise gate and per-band automatic gain (LevelControl);
+ * calibrate() fits the analyser's decibel range and the gate to the room.
+ *
+ * Every analysed frame is published as AUDIO_SIGNALS on a SignalBus, see connectSignals().
+ *
  * A Paul Phillips Manifestation
  * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
  * Join The Exoditical Moral Architecture Movement: Parserator.com
@@ -11,25 +28,96 @@
  * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
  */
 
+import { BufferAudioSource, LiveAudioSource, MediaElementAudioSource } from './AudioSources.js';
+import { BeatTracker } from './BeatTracker.js';
+import { FRAME_ORDER, frameScheduler } from '../_shared/scheduler.js';
+import { decayFactor, smoothTowards } from '../_shared/smoothing.js';
+import { HarmonyTracker } from './harmony.js';
+import { LevelControl } from './LevelControl.js';
+import { BAND_PRESETS, LEVEL_BANDS, bandToBins, createBands, hzToBin } from './frequencyBands.js';
+
+const ROTATION_AXES = ['rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ'];
+const LEVEL_NAMES = ['bass', 'mid', 'high'];
+const MAX_SMOOTHING_STEP = 100; // ms; a longer gap (seek, stall) smooths like one long frame
+const BURST_HALF_LIFE = 150; // ms for a beat burst to fade to half
+
+// Signals published on a SignalBus (see connectSignals), name -> type
+export const AUDIO_SIGNALS = {
+    'audio.level': 'level',
+    'audio.bass': 'level',
+    'audio.mid': 'level',
+    'audio.high': 'level',
+    'audio.beat': 'trigger',
+    'audio.onset': 'trigger',
+    'audio.beatPhase': 'level',
+    'audio.bpm': 'number',
+    'audio.harmonicResonance': 'level',
+    'audio.key': 'object',
+    ...Object.fromEntries(ROTATION_AXES.map(axis => [`audio.${axis}`, 'angle']))
+};
+
+/**
+ * AUDIO_SIGNALS values from getAudioLevels()-shaped levels - live, or replayed from an
+ * analysis track
+ */
+export function audioSignals(levels) {
+    return {
+        'audio.level': levels.overall,
+        'audio.bass': levels.bass,
+        'audio.mid': levels.mid,
+        'audio.high': levels.high,
+        'audio.beat': levels.beatDetected,
+        'audio.onset': levels.onset,
+        'audio.beatPhase': levels.beat?.phase ?? 0,
+        'audio.bpm': levels.beat?.bpm ?? 0,
+        'audio.harmonicResonance': levels.harmonicResonance,
+        'audio.key': levels.key ?? null,
+        ...Object.fromEntries(ROTATION_AXES.map(axis => [`audio.${axis}`, levels.rotations?.[axis] ?? 0]))
+    };
+}
+
+/**
+ * Set an analyser's decibel range. The analyser rejects a min above its current max (and
+ * vice versa), so the range is widened first.
+ */
+export function applyDecibelRange(analyser, { min, max }) {
+    analyser.minDecibels = Math.min(min, analyser.minDecibels);
+    analyser.maxDecibels = max;
+    analyser.minDecibels = min;
+}
+
+// Value below which a share (0-1) of the sorted values lie
+function percentile(values, share) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
 export class AudioReactivity6D {
     constructor() {
         this.audioContext = null;
-        this.microphone = null;
+        this.source = null; // current input, see setSource()
         this.analyser = null;
         this.dataArray = null;
         this.isActive = false;
         this.isListening = false;
 
-        // 6D Rotation mapping configuration
+        // 6D Rotation mapping configuration; freqBand is [lowHz, highHz], set by setBandLayout(),
+        // halfLife is the rotation smoothing in ms
         this.rotationMapping = {
-            rot4dXW: { freqBand: [0, 85], sensitivity: 2.5, smoothing: 0.15 },      // Sub-bass to XW rotation
-            rot4dYW: { freqBand: [86, 255], sensitivity: 2.0, smoothing: 0.12 },    // Bass to YW rotation
-            rot4dZW: { freqBand: [256, 512], sensitivity: 1.8, smoothing: 0.10 },   // Low-mid to ZW rotation
-            rot4dXY: { freqBand: [513, 1024], sensitivity: 1.5, smoothing: 0.08 },  // Mid to XY rotation
-            rot4dXZ: { freqBand: [1025, 1536], sensitivity: 1.3, smoothing: 0.06 }, // High-mid to XZ rotation
-            rot4dYZ: { freqBand: [1537, 2048], sensitivity: 1.0, smoothing: 0.04 }  // High to YZ rotation
+            rot4dXW: { freqBand: null, sensitivity: 2.5, halfLife: 70 },   // Sub-bass to XW rotation
+            rot4dYW: { freqBand: null, sensitivity: 2.0, halfLife: 90 },   // Bass to YW rotation
+            rot4dZW: { freqBand: null, sensitivity: 1.8, halfLife: 110 },  // Low-mid to ZW rotation
+            rot4dXY: { freqBand: null, sensitivity: 1.5, halfLife: 140 },  // Mid to XY rotation
+            rot4dXZ: { freqBand: null, sensitivity: 1.3, halfLife: 190 },  // High-mid to XZ rotation
+            rot4dYZ: { freqBand: null, sensitivity: 1.0, halfLife: 280 }   // High to YZ rotation
         };
 
+        // Analysis bands in Hz: the layout's bands, and the bass/mid/high level ranges
+        this.bandLayout = null;
+        this.bands = [];
+        this.levelBands = { ...LEVEL_BANDS };
+        this.setBandLayout('octave');
+
         // Rotation state tracking
         this.currentRotations = {
             rot4dXW: 0, rot4dYW: 0, rot4dZW: 0,
@@ -42,18 +130,40 @@ export class AudioReactivity6D {
             rot4dXY: 0, rot4dXZ: 0, rot4dYZ: 0
         };
 
+        // Beat bursts, added after smoothing and fading out over the following frames
+        this.beatBursts = {
+            rot4dXW: 0, rot4dYW: 0, rot4dZW: 0,
+            rot4dXY: 0, rot4dXZ: 0, rot4dYZ: 0
+        };
+
         // Advanced audio analysis
         this.fftSize = 4096;  // High resolution for precise frequency mapping
         this.updateCallback = null;
         this.analysisFrame = 0;
+        this.lastFrame = null; // result of the latest analyseFrame()
+        this.lastFrameTime = null;
+        this.scheduler = frameScheduler;
+        this.frameTask = deltaMs => this.processAudio(deltaMs);
 
         // Musical harmony detection for enhanced reactivity
         this.harmonicAnalysis = {
             fundamentals: [82.41, 110, 146.83, 196, 246.94, 329.63, 440], // Musical notes
-            harmonicWeights: [1.0, 0.8, 0.6, 0.4, 0.3, 0.2, 0.1],
-            beatDetection: { threshold: 1.3, history: [] }
+            harmonicWeights: [1.0, 0.8, 0.6, 0.4, 0.3, 0.2, 0.1]
         };
 
+        // Onsets, tempo and beat clock for rhythm-synced rotation bursts
+        this.beatTracker = new BeatTracker();
+
+        // Chroma, pitch class and key
+        this.harmonyTracker = new HarmonyTracker();
+
+        // Input levels: the analyser's dB range maps to 0-255; band levels are gated and gained
+        this.decibelRange = { min: -80, max: -10 };
+        this.levelControl = new LevelControl();
+        this.calibration = null; // result of the last calibrate()
+
+        this.signals = null; // SignalBus, see connectSignals()
+
         console.log('🎵 AudioReactivity6D: Advanced 6-degree 4D rotation audio system initialized');
     }
 
@@ -62,34 +172,7 @@ export class AudioReactivity6D {
      */
     async initialize() {
         try {
-            console.log('🎵 AudioReactivity6D: Requesting microphone access for 6D rotation control...');
-
-            // Request microphone permission
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: 44100
-                }
-            });
-
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-
-            // Create analyser with high resolution
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = this.fftSize;
-            this.analyser.smoothingTimeConstant = 0.1; // Fast response for reactive rotation
-            this.analyser.minDecibels = -80;
-            this.analyser.maxDecibels = -10;
-
-            // Connect microphone to analyser
-            this.microphone.connect(this.analyser);
-
-            // Create data array for frequency analysis
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+            await this.useMicrophone();
 
             console.log(`✅ AudioReactivity6D: Audio initialized with ${this.analyser.frequencyBinCount} frequency bins`);
             console.log('🎵 AudioReactivity6D: 6D rotation mapping ready - make some noise!');
@@ -101,6 +184,142 @@ export class AudioReactivity6D {
         }
     }
 
+    /**
+     * Create the audio context and analyser on first use
+     * @param {BaseAudioContext} [context] - adopt an existing context (for useAudioNode)
+     */
+    ensureAudioGraph(context = null) {
+        if (this.audioContext) return;
+
+        this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+
+        // Create analyser with high resolution
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = this.fftSize;
+        this.analyser.smoothingTimeConstant = 0.1; // Fast response for reactive rotation
+        applyDecibelRange(this.analyser, this.decibelRange);
+
+        // Create data array for frequency analysis
+        this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+
+    /**
+     * Analyse a source instead of the current one
+     * @param {Object} source - from AudioSources.js
+     */
+    setSource(source) {
+        if (this.source) {
+            this.source.node.disconnect();
+            this.source.dispose();
+        }
+
+        this.source = source;
+        source.node.connect(this.analyser);
+
+        // Tracks stay audible; live inputs are only analysed
+        if (source.monitor) {
+            source.node.connect(this.audioContext.destination);
+        }
+
+        console.log(`🎵 AudioReactivity6D: Listening to ${source.kind} input`);
+        return source;
+    }
+
+    /**
+     * Microphone input (the default)
+     */
+    async useMicrophone() {
+        console.log('🎵 AudioReactivity6D: Requesting microphone access for 6D rotation control...');
+
+        // Request microphone permission
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                sampleRate: 44100
+            }
+        });
+
+        this.ensureAudioGraph();
+        const node = this.audioContext.createMediaStreamSource(stream);
+        return this.setSource(new LiveAudioSource('microphone', node, { stream }));
+    }
+
+    /**
+     * An <audio> or <video> element, heard through the speakers while it is analysed
+     */
+    useMediaElement(element) {
+        this.ensureAudioGraph();
+        return this.setSource(new MediaElementAudioSource(this.audioContext, element));
+    }
+
+    /**
+     * A decoded AudioBuffer; call play() to start it
+     * @param {Object} [options] - { loop }
+     */
+    useAudioBuffer(buffer, options = {}) {
+        this.ensureAudioGraph();
+        return this.setSource(new BufferAudioSource(this.audioContext, buffer, options));
+    }
+
+    /**
+     * Decode an audio file (File, Blob or ArrayBuffer) and use it as a buffer source
+     */
+    async useAudioFile(file, options = {}) {
+        this.ensureAudioGraph();
+
+        const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        const buffer = await this.audioContext.decodeAudioData(data);
+
+        console.log(`🎵 AudioReactivity6D: Decoded ${file.name || 'audio'} (${buffer.duration.toFixed(1)}s)`);
+        return this.useAudioBuffer(buffer, options);
+    }
+
+    /**
+     * Any AudioNode, e.g. the output of a synth graph. It must belong to this system's
+     * context; if there is none yet, the node's context is adopted.
+     * @param {Object} [options] - { monitor: true } to also route it to the speakers
+     */
+    useAudioNode(node, { monitor = false } = {}) {
+        this.ensureAudioGraph(node.context);
+        if (node.context !== this.audioContext) {
+            throw new Error('AudioReactivity6D: the node belongs to a different AudioContext');
+        }
+        return this.setSource(new LiveAudioSource('node', node, { monitor }));
+    }
+
+    /**
+     * Transport for track sources; false for live inputs
+     */
+    async play() {
+        if (!this.source) return false;
+        if (this.audioContext.state === 'suspended') await this.audioContext.resume();
+        return this.source.play();
+    }
+
+    pause() {
+        return this.source ? this.source.pause() : false;
+    }
+
+    seek(seconds) {
+        return this.source ? this.source.seek(seconds) : false;
+    }
+
+    /**
+     * { kind, isPlaying, currentTime, duration } of the current source, or null
+     */
+    getPlaybackState() {
+        if (!this.source) return null;
+
+        return {
+            kind: this.source.kind,
+            isPlaying: this.source.isPlaying,
+            currentTime: this.source.currentTime,
+            duration: this.source.duration
+        };
+    }
+
     /**
      * Start audio-reactive 6D rotation control
      */
@@ -110,11 +329,17 @@ export class AudioReactivity6D {
             return false;
         }
 
+        // Already running (e.g. after a source change): keep the one processing loop
+        if (this.isListening) {
+            if (updateCallback) this.updateCallback = updateCallback;
+            return true;
+        }
+
         this.isListening = true;
         this.updateCallback = updateCallback;
 
         console.log('🎵 AudioReactivity6D: Starting 6D audio-reactive rotation control');
-        this.processAudio();
+        this.scheduler.add(this.frameTask, { order: FRAME_ORDER.input, name: 'AudioReactivity6D' });
 
         return true;
     }
@@ -125,52 +350,117 @@ export class AudioReactivity6D {
     stopListening() {
         this.isListening = false;
         this.updateCallback = null;
+        this.scheduler.remove(this.frameTask);
+        this.signals?.reset('audio');
         console.log('🎵 AudioReactivity6D: Stopped audio listening');
     }
 
     /**
-     * Main audio processing loop - Maps frequencies to 6D rotations
+     * Main audio processing step, run every frame by the scheduler - Maps frequencies to 6D rotations
+     * @param {number} deltaMs - time since the previous frame
      */
-    processAudio() {
+    processAudio(deltaMs) {
         if (!this.isListening || !this.analyser) return;
 
         // Get frequency data
         this.analyser.getByteFrequencyData(this.dataArray);
 
+        // Track time for tracks (seeking restarts beat tracking), context time for live input
+        const time = this.source?.currentTime ?? this.audioContext.currentTime;
+        const frame = this.analyseFrame(this.dataArray, this.audioContext.sampleRate, time, deltaMs);
+        if (frame.beatDetected) {
+            const { bpm, bar, beatInBar } = frame.beat;
+            console.log(`🥁 AudioReactivity6D: Beat ${bar + 1}.${beatInBar + 1}${bpm ? ` at ${bpm.toFixed(1)} BPM` : ''} - 6D rotation burst triggered!`);
+        }
+
+        // Publish the frame's signals
+        this.signals?.publishAll(audioSignals(this.getAudioLevels()));
+
+        // Send updates to active system
+        if (this.updateCallback) {
+            this.updateCallback(this.currentRotations);
+        }
+    }
+
+    /**
+     * Analyse one frame of byte frequency data and advance the rotation state.
+     * Shared by the live loop and OfflineAudioAnalyzer, so both give the same result
+     * for the same frames.
+     * @param {Uint8Array} data - analyser.getByteFrequencyData() output
+     * @param {number} sampleRate - of the analysed audio
+     * @param {number} time - seconds, for onset timing, the beat clock and gain envelopes
+     * @param {number} [deltaMs] - ms since the previous frame, for smoothing; defaults to the
+     *   step in time. The live loop passes the frame time, so rotations keep settling while
+     *   a track is paused.
+     * @returns {Object} { overall, bass, mid, high, bands, rotations, beatDetected, onset,
+     *   onsetStrength, beat (BeatTracker clock), harmonicResonance, chroma, pitchClass, key }
+     */
+    analyseFrame(data, sampleRate, time, deltaMs) {
+        this.dataArray = data;
+        if (deltaMs === undefined) {
+            const elapsed = this.lastFrameTime === null ? 0 : (time - this.lastFrameTime) * 1000;
+            deltaMs = Math.max(0, Math.min(MAX_SMOOTHING_STEP, elapsed));
+        }
+        this.lastFrameTime = time;
+
         // Process each rotation axis
+        const bands = {};
         Object.keys(this.rotationMapping).forEach(rotationAxis => {
             const mapping = this.rotationMapping[rotationAxis];
-            const audioLevel = this.getFrequencyBandLevel(mapping.freqBand[0], mapping.freqBand[1]);
+            const audioLevel = this.getBandLevel(mapping.freqBand, sampleRate);
+            bands[rotationAxis] = this.levelControl.process(rotationAxis, audioLevel / 255.0, time);
 
             // Apply sensitivity and convert to rotation value
-            const targetRotation = (audioLevel / 255.0) * mapping.sensitivity * Math.PI * 2;
+            const targetRotation = bands[rotationAxis] * mapping.sensitivity * Math.PI * 2;
 
-            // Smooth the rotation for fluid motion
-            this.smoothedValues[rotationAxis] = this.lerp(
+            // Smooth the rotation for fluid motion, at the same pace at any frame rate
+            this.smoothedValues[rotationAxis] = smoothTowards(
                 this.smoothedValues[rotationAxis],
                 targetRotation,
-                mapping.smoothing
+                mapping.halfLife,
+                deltaMs
             );
-
-            // Update current rotation
-            this.currentRotations[rotationAxis] = this.smoothedValues[rotationAxis];
         });
 
         // Enhanced musical reactivity
-        this.processMusicalHarmonics();
+        const harmonicResonance = this.measureHarmonicResonance(sampleRate);
+        const harmony = this.harmonyTracker.process(data, sampleRate, time);
 
-        // Beat detection for rhythm-sync rotation bursts
-        this.detectBeats();
+        // Beat tracking for rhythm-sync rotation bursts
+        const burstDecay = decayFactor(BURST_HALF_LIFE, deltaMs);
+        ROTATION_AXES.forEach(axis => { this.beatBursts[axis] *= burstDecay; });
 
-        // Send updates to active system
-        if (this.updateCallback) {
-            this.updateCallback(this.currentRotations);
+        const rhythm = this.beatTracker.process(data, time);
+        if (rhythm.beat) {
+            this.triggerBeatReaction(rhythm.clock);
         }
 
+        // Update current rotations: the smoothed band response plus any fading burst
+        ROTATION_AXES.forEach(axis => {
+            this.currentRotations[axis] = this.smoothedValues[axis] + this.beatBursts[axis];
+        });
+
         this.analysisFrame++;
 
-        // Continue processing
-        requestAnimationFrame(() => this.processAudio());
+        const levels = this.measureLevels(sampleRate);
+        LEVEL_NAMES.forEach(name => {
+            levels[name] = this.levelControl.process(name, levels[name], time);
+        });
+
+        this.lastFrame = {
+            ...levels,
+            bands,
+            rotations: { ...this.currentRotations },
+            beatDetected: rhythm.beat,
+            onset: rhythm.onset,
+            onsetStrength: rhythm.strength,
+            beat: rhythm.clock,
+            harmonicResonance,
+            chroma: Array.from(harmony.chroma),
+            pitchClass: harmony.pitchClass,
+            key: harmony.key
+        };
+        return this.lastFrame;
     }
 
     /**
@@ -189,83 +479,206 @@ export class AudioReactivity6D {
     }
 
     /**
-     * Process musical harmonics for enhanced responsiveness
+     * Average level (0-255) of a [lowHz, highHz] band. The FFT size is taken from the
+     * data itself, which has fftSize / 2 bins.
      */
-    processMusicalHarmonics() {
-        this.harmonicAnalysis.fundamentals.forEach((fundamental, index) => {
-            const binIndex = Math.floor(fundamental * this.fftSize / this.audioContext.sampleRate);
+    getBandLevel(band, sampleRate) {
+        const [startBin, endBin] = bandToBins(band, sampleRate, this.dataArray.length * 2);
+        return this.getFrequencyBandLevel(startBin, endBin);
+    }
 
-            if (binIndex < this.dataArray.length) {
-                const harmonicLevel = this.dataArray[binIndex];
-                const weight = this.harmonicAnalysis.harmonicWeights[index];
-
-                // Enhance rotation based on musical harmony
-                if (harmonicLevel > 128) { // Strong harmonic presence
-                    const enhancement = (harmonicLevel / 255.0) * weight * 0.3;
-
-                    // Apply harmonic enhancement to specific rotation pairs
-                    switch (index % 3) {
-                        case 0: // Low harmonics -> XW, YW
-                            this.currentRotations.rot4dXW += enhancement;
-                            this.currentRotations.rot4dYW += enhancement * 0.7;
-                            break;
-                        case 1: // Mid harmonics -> ZW, XY
-                            this.currentRotations.rot4dZW += enhancement;
-                            this.currentRotations.rot4dXY += enhancement * 0.7;
-                            break;
-                        case 2: // High harmonics -> XZ, YZ
-                            this.currentRotations.rot4dXZ += enhancement;
-                            this.currentRotations.rot4dYZ += enhancement * 0.7;
-                            break;
-                    }
-                }
-            }
-        });
+    /**
+     * Overall and bass/mid/high levels (0-1) of the current data
+     */
+    measureLevels(sampleRate) {
+        return {
+            overall: this.dataArray.reduce((sum, val) => sum + val, 0) / this.dataArray.length / 255.0,
+            bass: this.getBandLevel(this.levelBands.bass, sampleRate) / 255.0,
+            mid: this.getBandLevel(this.levelBands.mid, sampleRate) / 255.0,
+            high: this.getBandLevel(this.levelBands.high, sampleRate) / 255.0
+        };
     }
 
     /**
-     * Beat detection for rhythm-synchronized rotation bursts
+     * Level (0-1) of every band of the layout, low to high - a spectrum for visualization
      */
-    detectBeats() {
-        // Calculate overall energy
-        const totalEnergy = this.dataArray.reduce((sum, value) => sum + value, 0) / this.dataArray.length;
+    getBandLevels() {
+        if (!this.dataArray || !this.audioContext) return [];
 
-        // Store energy history for beat detection
-        this.harmonicAnalysis.beatDetection.history.push(totalEnergy);
-        if (this.harmonicAnalysis.beatDetection.history.length > 10) {
-            this.harmonicAnalysis.beatDetection.history.shift();
-        }
+        return this.bands.map(band => this.getBandLevel(band, this.audioContext.sampleRate) / 255.0);
+    }
 
-        // Calculate average energy
-        const avgEnergy = this.harmonicAnalysis.beatDetection.history.reduce((sum, val) => sum + val, 0) /
-                         this.harmonicAnalysis.beatDetection.history.length;
+    /**
+     * Spread the analysis bands over a frequency range on a scale
+     * @param {string|Object} [layout='octave'] - a BAND_PRESETS name, or
+     *   { preset, scale, count, minHz, maxHz } overriding the preset (default 'octave')
+     *   count must be at least 6: each rotation axis takes an equal run of adjacent bands
+     */
+    setBandLayout(layout = 'octave') {
+        const { preset = 'octave', ...options } = typeof layout === 'string' ? { preset: layout } : layout;
+        if (!BAND_PRESETS[preset]) {
+            throw new Error(`Unknown band preset "${preset}" (expected ${Object.keys(BAND_PRESETS).join(', ')})`);
+        }
 
-        // Beat detected if current energy significantly exceeds average
-        if (totalEnergy > avgEnergy * this.harmonicAnalysis.beatDetection.threshold) {
-            this.triggerBeatReaction();
+        const config = { ...BAND_PRESETS[preset], ...options };
+        if (config.count < ROTATION_AXES.length) {
+            throw new Error(`AudioReactivity6D: need at least ${ROTATION_AXES.length} bands, one per rotation axis`);
         }
+
+        this.bands = createBands(config.count, config);
+        this.bandLayout = config;
+
+        ROTATION_AXES.forEach((axis, index) => {
+            const first = Math.floor(index * config.count / ROTATION_AXES.length);
+            const last = Math.floor((index + 1) * config.count / ROTATION_AXES.length) - 1;
+            this.rotationMapping[axis].freqBand = [this.bands[first][0], this.bands[last][1]];
+        });
+
+        console.log(`🎵 AudioReactivity6D: ${config.count} ${config.scale} bands, ${config.minHz}-${config.maxHz} Hz`);
+        return this.bands;
     }
 
     /**
-     * Trigger synchronized rotation burst on beat detection
+     * Weighted presence of the musical fundamentals
+     * @returns {number} harmonic resonance, 0-1
      */
-    triggerBeatReaction() {
-        const beatIntensity = 0.5;
+    measureHarmonicResonance(sampleRate) {
+        const { fundamentals, harmonicWeights } = this.harmonicAnalysis;
+        let resonance = 0;
+
+        fundamentals.forEach((fundamental, index) => {
+            const binIndex = hzToBin(fundamental, sampleRate, this.dataArray.length * 2);
+
+            if (binIndex < this.dataArray.length) {
+                resonance += (this.dataArray[binIndex] / 255.0) * harmonicWeights[index];
+            }
+        });
+
+        return resonance / harmonicWeights.reduce((sum, weight) => sum + weight, 0);
+    }
+
+    /**
+     * Trigger synchronized rotation burst on a tracked beat; the first beat of a bar
+     * gets the full burst
+     * @param {Object} clock - BeatTracker clock at the beat
+     */
+    triggerBeatReaction(clock) {
+        const beatIntensity = clock.beatInBar === 0 ? 1.0 : 0.5;
         const rotationBurst = Math.PI / 4; // 45-degree burst
 
-        // Synchronized rotation burst across all 6 axes
-        Object.keys(this.currentRotations).forEach(axis => {
-            this.currentRotations[axis] += rotationBurst * beatIntensity * (Math.random() * 0.5 + 0.5);
+        // Synchronized rotation burst across all 6 axes; the per-axis variation is a hash
+        // of the beat number rather than Math.random(), so repeated analyses agree
+        ROTATION_AXES.forEach((axis, index) => {
+            const variation = Math.abs(Math.sin((clock.beat + 1) * 12.9898 + index * 78.233) * 43758.5453) % 1;
+            this.beatBursts[axis] += rotationBurst * beatIntensity * (variation * 0.5 + 0.5);
         });
+    }
 
-        console.log('🥁 AudioReactivity6D: Beat detected - 6D rotation burst triggered!');
+    /**
+     * Publish AUDIO_SIGNALS on a SignalBus every analysed frame
+     * @param {SignalBus} bus
+     */
+    connectSignals(bus) {
+        Object.entries(AUDIO_SIGNALS).forEach(([name, type]) => {
+            bus.declare(name, { type, publisher: 'audio' });
+        });
+        this.signals = bus;
+    }
+
+    /**
+     * Analyser range: minDb reads as 0, maxDb as full scale
+     */
+    setDecibelRange(minDb, maxDb) {
+        if (!(Number.isFinite(minDb) && Number.isFinite(maxDb) && minDb < maxDb)) {
+            throw new Error('AudioReactivity6D: decibel range needs min < max');
+        }
+
+        this.decibelRange = { min: minDb, max: maxDb };
+        if (this.analyser) applyDecibelRange(this.analyser, this.decibelRange);
+        console.log(`🎵 AudioReactivity6D: Input range ${minDb.toFixed(1)} to ${maxDb.toFixed(1)} dB`);
     }
 
     /**
-     * Linear interpolation for smooth transitions
+     * Automatic gain: { enabled, attack, release (seconds), target (0-1), minGain, maxGain }
      */
-    lerp(start, end, factor) {
-        return start + (end - start) * factor;
+    setGainControl(options) {
+        this.levelControl.configure({ gain: options });
+    }
+
+    /**
+     * Noise gate: { enabled, threshold (0-1 above the band's floor), hysteresis, floors }
+     */
+    setNoiseGate(options) {
+        this.levelControl.configure({ gate: options });
+    }
+
+    /**
+     * Measure the input for a few seconds - play typical material - and fit to it: the
+     * analyser's decibel range spans the noise floor to the peaks (with headroom), and
+     * each band's gate opens just above that band's noise floor
+     * @param {Object} [options] - { duration = 3 (seconds), interval = 50 (ms between readings), headroom = 3 (dB) }
+     * @returns {Promise<Object>} { noiseFloor, peak (dB), decibelRange, floors, frames }
+     */
+    async calibrate({ duration = 3, interval = 50, headroom = 3 } = {}) {
+        if (!this.analyser || !this.source) throw new Error('AudioReactivity6D: no audio input to calibrate');
+
+        console.log(`🎵 AudioReactivity6D: Calibrating for ${duration}s...`);
+
+        const sampleRate = this.audioContext.sampleRate;
+        const spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        const ranges = { ...this.levelBands };
+        ROTATION_AXES.forEach(axis => { ranges[axis] = this.rotationMapping[axis].freqBand; });
+
+        // Mean dB of a band's bins, like the byte levels average their bins
+        const bandDb = range => {
+            const [start, end] = bandToBins(range, sampleRate, this.analyser.fftSize);
+            let sum = 0;
+            for (let i = start; i <= end; i++) sum += Math.max(-140, spectrum[i]);
+            return sum / (end - start + 1);
+        };
+
+        const overall = [];
+        const loudest = [];
+        const readings = Object.fromEntries(Object.keys(ranges).map(name => [name, []]));
+        const end = performance.now() + duration * 1000;
+        while (performance.now() < end) {
+            this.analyser.getFloatFrequencyData(spectrum);
+            overall.push(spectrum.reduce((sum, db) => sum + Math.max(-140, db), 0) / spectrum.length);
+
+            let peak = -Infinity;
+            Object.entries(ranges).forEach(([name, range]) => {
+                const db = bandDb(range);
+                readings[name].push(db);
+                peak = Math.max(peak, db);
+            });
+            loudest.push(peak);
+
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+        if (!overall.length) throw new Error('AudioReactivity6D: calibration took no readings');
+
+        const noiseFloor = percentile(overall, 0.1);
+        const peak = percentile(loudest, 0.98);
+
+        // At least 30 dB of range, so a silent calibration does not amplify hiss to full scale
+        let min = noiseFloor;
+        let max = Math.max(peak + headroom, min + 30);
+        if (max > 0) {
+            min -= max;
+            max = 0;
+        }
+        this.setDecibelRange(min, max);
+
+        const floors = {};
+        Object.entries(readings).forEach(([name, values]) => {
+            floors[name] = Math.max(0, Math.min(1, (percentile(values, 0.1) - min) / (max - min)));
+        });
+        this.levelControl.configure({ gate: { floors } });
+        this.levelControl.reset();
+
+        this.calibration = { noiseFloor, peak, decibelRange: { ...this.decibelRange }, floors, frames: overall.length };
+        console.log(`✅ AudioReactivity6D: Calibrated - noise floor ${noiseFloor.toFixed(1)} dB, peak ${peak.toFixed(1)} dB`);
+        return this.calibration;
     }
 
     /**
@@ -280,26 +693,38 @@ export class AudioReactivity6D {
 
     /**
      * Set smoothing for specific rotation axis
+     * @param {number} halfLife - ms for a rotation to cover half the way to its target
      */
-    setSmoothing(axis, smoothing) {
+    setSmoothing(axis, halfLife) {
         if (this.rotationMapping[axis]) {
-            this.rotationMapping[axis].smoothing = smoothing;
-            console.log(`🎵 AudioReactivity6D: ${axis} smoothing set to ${smoothing}`);
+            this.rotationMapping[axis].halfLife = halfLife;
+            console.log(`🎵 AudioReactivity6D: ${axis} smoothing half-life set to ${halfLife} ms`);
         }
     }
 
     /**
      * Get current audio levels for visualization
+     * beat is the beat clock: { bpm, confidence, beat, bar, beatInBar, phase, nextBeatTime,
+     * timeToNextBeat, upcomingBeats }, times in the analysed source's seconds.
+     * chroma is 12 levels from C to B, pitchClass the strongest (0 = C) and key
+     * { tonic, mode, name, confidence }; pitchClass and key are null until there is sound
      */
     getAudioLevels() {
         if (!this.dataArray) return null;
 
+        // Gated and gained levels of the last analysed frame
+        const { overall, bass, mid, high } = this.lastFrame ?? this.measureLevels(this.audioContext.sampleRate);
+
         return {
-            overall: this.dataArray.reduce((sum, val) => sum + val, 0) / this.dataArray.length / 255.0,
-            bass: this.getFrequencyBandLevel(0, 255) / 255.0,
-            mid: this.getFrequencyBandLevel(256, 1024) / 255.0,
-            high: this.getFrequencyBandLevel(1025, 2048) / 255.0,
-            rotations: { ...this.currentRotations }
+            overall, bass, mid, high,
+            rotations: { ...this.currentRotations },
+            beatDetected: this.lastFrame?.beatDetected ?? false,
+            onset: this.lastFrame?.onset ?? false,
+            beat: this.lastFrame?.beat ?? this.beatTracker.getClock(0),
+            harmonicResonance: this.lastFrame?.harmonicResonance ?? 0,
+            chroma: this.lastFrame?.chroma ?? new Array(12).fill(0),
+            pitchClass: this.lastFrame?.pitchClass ?? null,
+            key: this.lastFrame?.key ?? null
         };
     }
 
@@ -313,7 +738,15 @@ export class AudioReactivity6D {
             sampleRate: this.audioContext?.sampleRate || 0,
             fftSize: this.fftSize,
             frequencyBins: this.analyser?.frequencyBinCount || 0,
-            analysisFrames: this.analysisFrame
+            bandLayout: this.bandLayout,
+            analysisFrames: this.analysisFrame,
+            bpm: this.beatTracker.bpm,
+            decibelRange: { ...this.decibelRange },
+            levels: this.levelControl.getStatus(),
+            calibration: this.calibration,
+            key: this.harmonyTracker.key?.name ?? null,
+            source: this.source?.kind ?? null,
+            playback: this.getPlaybackState()
         };
     }
 
@@ -337,8 +770,10 @@ export class AudioReactivity6D {
     destroy() {
         this.stopListening();
 
-        if (this.microphone) {
-            this.microphone.disconnect();
+        if (this.source) {
+            this.source.node.disconnect();
+            this.source.dispose();
+            this.source = null;
         }
 
         if (this.audioContext) {
@@ -0,0 +1,204 @@
+/**
+ * VIB34D Audio Sources
+ * Inputs for AudioReactivity6D besides the microphone
+ *
+ * Every source wraps one AudioNode of the analyser's AudioContext:
+ *   kind                     - 'microphone' | 'media' | 'buffer' | 'node'
+ *   node                     - what the analyser listens to
+ *   monitor                  - whether the node is also routed to the speakers
+ *   play() / pause() / seek(seconds), currentTime, duration, isPlaying
+ *                            - transport; no-ops for live sources (microphone, node)
+ *   dispose()
+ * A known track (media element or decoded file) gives the same analysis on every run,
+ * independent of the room.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+// A media element can only be given one MediaElementAudioSourceNode per context
+const mediaElementNodes = new WeakMap();
+
+/**
+ * Live input with no transport: a microphone stream or any AudioNode
+ */
+export class LiveAudioSource {
+    constructor(kind, node, { monitor = false, stream = null } = {}) {
+        this.kind = kind;
+        this.node = node;
+        this.monitor = monitor;
+        this.stream = stream;
+    }
+
+    get isPlaying() {
+        return true;
+    }
+
+    get currentTime() {
+        return this.node.context.currentTime;
+    }
+
+    get duration() {
+        return Infinity;
+    }
+
+    play() {
+        return false;
+    }
+
+    pause() {
+        return false;
+    }
+
+    seek() {
+        return false;
+    }
+
+    dispose() {
+        // Microphone tracks are ours to stop; other nodes belong to the caller
+        this.stream?.getTracks().forEach(track => track.stop());
+    }
+}
+
+/**
+ * An <audio> or <video> element; its own controls work as well
+ */
+export class MediaElementAudioSource {
+    constructor(audioContext, element) {
+        let nodes = mediaElementNodes.get(element);
+        if (!nodes) {
+            nodes = new Map();
+            mediaElementNodes.set(element, nodes);
+        }
+        if (!nodes.has(audioContext)) {
+            nodes.set(audioContext, audioContext.createMediaElementSource(element));
+        }
+
+        this.kind = 'media';
+        this.element = element;
+        this.node = nodes.get(audioContext);
+        this.monitor = true; // a media source node takes the element's output
+    }
+
+    get isPlaying() {
+        return !this.element.paused && !this.element.ended;
+    }
+
+    get currentTime() {
+        return this.element.currentTime;
+    }
+
+    get duration() {
+        return this.element.duration;
+    }
+
+    async play() {
+        await this.element.play();
+        return true;
+    }
+
+    pause() {
+        this.element.pause();
+        return true;
+    }
+
+    seek(seconds) {
+        this.element.currentTime = Math.max(0, Math.min(seconds, this.duration || 0));
+        return true;
+    }
+
+    dispose() {
+        this.element.pause();
+    }
+}
+
+/**
+ * A decoded AudioBuffer (e.g. from a dropped file). AudioBufferSourceNodes play once,
+ * so a new one is started on every play() or seek(); they feed a gain node that stays
+ * connected to the analyser.
+ */
+export class BufferAudioSource {
+    constructor(audioContext, buffer, { loop = false } = {}) {
+        this.kind = 'buffer';
+        this.audioContext = audioContext;
+        this.buffer = buffer;
+        this.loop = loop;
+        this.node = audioContext.createGain();
+        this.monitor = true;
+
+        this.player = null;
+        this.offset = 0;     // track position when paused
+        this.startedAt = 0;  // context time at which position 0 would have played
+    }
+
+    get isPlaying() {
+        return this.player !== null;
+    }
+
+    get currentTime() {
+        if (!this.player) return this.offset;
+
+        const elapsed = this.audioContext.currentTime - this.startedAt;
+        return this.loop ? elapsed % this.duration : Math.min(elapsed, this.duration);
+    }
+
+    get duration() {
+        return this.buffer.duration;
+    }
+
+    async play() {
+        if (this.player) return true;
+        if (this.audioContext.state === 'suspended') await this.audioContext.resume();
+        if (this.offset >= this.duration) this.offset = 0;
+
+        const player = this.audioContext.createBufferSource();
+        player.buffer = this.buffer;
+        player.loop = this.loop;
+        player.connect(this.node);
+        player.onended = () => {
+            // Only a track that reached its end; pause() and seek() detach the player first
+            if (this.player !== player) return;
+            this.player = null;
+            this.offset = this.duration;
+        };
+
+        player.start(0, this.offset);
+        this.startedAt = this.audioContext.currentTime - this.offset;
+        this.player = player;
+        return true;
+    }
+
+    pause() {
+        if (!this.player) return true;
+
+        this.offset = this.currentTime;
+        this.stopPlayer();
+        return true;
+    }
+
+    seek(seconds) {
+        const wasPlaying = this.isPlaying;
+        this.stopPlayer();
+        this.offset = Math.max(0, Math.min(seconds, this.duration));
+        if (wasPlaying) this.play();
+        return true;
+    }
+
+    stopPlayer() {
+        const player = this.player;
+        this.player = null;
+        if (player) {
+            player.stop();
+            player.disconnect();
+        }
+    }
+
+    dispose() {
+        this.stopPlayer();
+        this.node.disconnect();
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * VIB34D Beat Tracker
+ * Onset detection, tempo estimation and a beat clock for AudioReactivity6D
+ *
+ * Onsets: spectral flux - how much the spectrum grew since the last frame, summed over
+ * all bins - compared with an adaptive threshold: the mean of the recent flux plus
+ * `sensitivity` deviations, and at least `minRatio` times the mean. A sustained loud
+ * passage has little flux, so it does not keep firing the way a plain energy ratio does.
+ *
+ * Tempo: the flux is resampled to a fixed-rate onset envelope; its autocorrelation over
+ * the last few seconds peaks at the beat period. Periods near 120 BPM are preferred, so
+ * a half- or double-time reading only wins when it is clearly stronger.
+ *
+ * Beat clock: once a tempo is known, beats are predicted one period apart and every onset
+ * close to a predicted beat pulls the prediction towards it (phase tracking). The clock
+ * reports beat and bar counts, the phase within the beat (0..1) and the upcoming beat
+ * times, so reactions can be scheduled on the grid instead of after the fact.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+const ENVELOPE_RATE = 50;        // onset envelope samples per second
+const TEMPO_INTERVAL = 0.5;      // seconds between tempo estimates
+const MAX_GAP = 1;               // a longer jump in time (seek, stall) restarts tracking
+
+export class BeatTracker {
+    /**
+     * @param {Object} options
+     * @param {number} [options.sensitivity=1.5] - threshold in deviations above the mean flux
+     * @param {number} [options.minRatio=1.5] - threshold at least this multiple of the mean flux
+     * @param {number} [options.window=1.5] - seconds of flux history for the threshold
+     * @param {number} [options.minInterval=0.1] - seconds between two onsets at least
+     * @param {number} [options.minBpm=60]
+     * @param {number} [options.maxBpm=200]
+     * @param {number} [options.tempoWindow=8] - seconds of envelope for the tempo estimate
+     * @param {number} [options.beatsPerBar=4]
+     * @param {number} [options.phaseCorrection=0.2] - share of an onset's timing error applied to the clock
+     */
+    constructor({
+        sensitivity = 1.5,
+        minRatio = 1.5,
+        window = 1.5,
+        minInterval = 0.1,
+        minBpm = 60,
+        maxBpm = 200,
+        tempoWindow = 8,
+        beatsPerBar = 4,
+        phaseCorrection = 0.2
+    } = {}) {
+        this.sensitivity = sensitivity;
+        this.minRatio = minRatio;
+        this.window = window;
+        this.minInterval = minInterval;
+        this.minBpm = minBpm;
+        this.maxBpm = maxBpm;
+        this.tempoWindow = tempoWindow;
+        this.beatsPerBar = beatsPerBar;
+        this.phaseCorrection = phaseCorrection;
+
+        this.reset();
+    }
+
+    /**
+     * Forget the signal history and the beat clock
+     */
+    reset() {
+        this.previousSpectrum = null;
+        this.fluxHistory = [];          // [{ time, flux }] within window
+        this.envelope = [];             // onset strength at ENVELOPE_RATE
+        this.envelopeStart = null;      // time of envelope[0]
+        this.lastTime = null;
+        this.lastOnsetTime = -Infinity;
+        this.lastTempoTime = -Infinity;
+
+        this.bpm = null;
+        this.confidence = 0;
+        this.beatCount = -1;            // beats since tracking started; -1 before the first
+        this.lastBeatTime = null;
+        this.nextBeatTime = null;
+    }
+
+    /**
+     * Constructor options, e.g. to set up another tracker the same way
+     */
+    getSettings() {
+        const { sensitivity, minRatio, window, minInterval, minBpm, maxBpm, tempoWindow, beatsPerBar, phaseCorrection } = this;
+        return { sensitivity, minRatio, window, minInterval, minBpm, maxBpm, tempoWindow, beatsPerBar, phaseCorrection };
+    }
+
+    get period() {
+        return this.bpm ? 60 / this.bpm : null;
+    }
+
+    /**
+     * Analyse one spectrum
+     * @param {Uint8Array} spectrum - byte frequency data
+     * @param {number} time - seconds, increasing from frame to frame
+     * @returns {Object} { onset, strength, beat, clock }: onset and beat are true on the
+     *   frame they happen; strength is the onset's flux relative to the threshold
+     */
+    process(spectrum, time) {
+        if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > MAX_GAP)) {
+            this.reset();
+        }
+
+        const flux = this.spectralFlux(spectrum);
+        const threshold = this.threshold();
+        this.fluxHistory.push({ time, flux });
+        while (this.fluxHistory[0].time < time - this.window) this.fluxHistory.shift();
+        this.addToEnvelope(time, flux);
+
+        const onset = flux > threshold && flux > 0 && time - this.lastOnsetTime >= this.minInterval;
+        if (onset) this.lastOnsetTime = time;
+
+        if (time - this.lastTempoTime >= TEMPO_INTERVAL) {
+            this.lastTempoTime = time;
+            this.estimateTempo();
+        }
+
+        const beat = this.advanceClock(time, onset);
+        this.lastTime = time;
+
+        return {
+            onset,
+            strength: onset ? Math.min(4, flux / Math.max(threshold, 1e-6)) : 0,
+            beat,
+            clock: this.getClock(time)
+        };
+    }
+
+    /**
+     * Summed spectrum increase since the previous frame, 0..1 per bin on average
+     */
+    spectralFlux(spectrum) {
+        let flux = 0;
+        if (this.previousSpectrum) {
+            for (let i = 0; i < spectrum.length; i++) {
+                const rise = spectrum[i] - this.previousSpectrum[i];
+                if (rise > 0) flux += rise;
+            }
+            flux /= spectrum.length * 255;
+        } else {
+            this.previousSpectrum = new Uint8Array(spectrum.length);
+        }
+        this.previousSpectrum.set(spectrum);
+        return flux;
+    }
+
+    threshold() {
+        const count = this.fluxHistory.length;
+        if (count < 3) return Infinity;
+
+        const mean = this.fluxHistory.reduce((sum, { flux }) => sum + flux, 0) / count;
+        const variance = this.fluxHistory.reduce((sum, { flux }) => sum + (flux - mean) ** 2, 0) / count;
+        return Math.max(mean + this.sensitivity * Math.sqrt(variance), mean * this.minRatio);
+    }
+
+    /**
+     * Resample flux to the fixed-rate envelope (strongest value per slot)
+     */
+    addToEnvelope(time, flux) {
+        this.envelopeStart ??= time;
+        const slot = Math.floor((time - this.envelopeStart) * ENVELOPE_RATE);
+        while (this.envelope.length <= slot) this.envelope.push(0);
+        this.envelope[slot] = Math.max(this.envelope[slot], flux);
+
+        const excess = this.envelope.length - Math.ceil(this.tempoWindow * ENVELOPE_RATE);
+        if (excess > 0) {
+            this.envelope.splice(0, excess);
+            this.envelopeStart += excess / ENVELOPE_RATE;
+        }
+    }
+
+    /**
+     * Beat period from the autocorrelation of the onset envelope
+     */
+    estimateTempo() {
+        const envelope = this.envelope;
+        const minLag = Math.floor(ENVELOPE_RATE * 60 / this.maxBpm);
+        const maxLag = Math.ceil(ENVELOPE_RATE * 60 / this.minBpm);
+        if (envelope.length < maxLag * 2) return;
+
+        const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+        const centred = envelope.map(value => value - mean);
+        const energy = centred.reduce((sum, value) => sum + value * value, 0);
+        if (energy <= 0) return;
+
+        const correlation = lag => {
+            let sum = 0;
+            for (let i = lag; i < centred.length; i++) sum += centred[i] * centred[i - lag];
+            return sum / (centred.length - lag);
+        };
+
+        let bestLag = 0;
+        let bestScore = 0;
+        const scores = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const value = correlation(lag);
+            scores[lag] = value;
+
+            // Log-normal preference centred on 120 BPM
+            const bpm = 60 * ENVELOPE_RATE / lag;
+            const weight = Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.9) ** 2);
+            if (value * weight > bestScore) {
+                bestScore = value * weight;
+                bestLag = lag;
+            }
+        }
+        if (!bestLag) return;
+
+        // Parabolic interpolation between neighbouring lags
+        let lag = bestLag;
+        const before = scores[bestLag - 1];
+        const after = scores[bestLag + 1];
+        if (before !== undefined && after !== undefined) {
+            const curvature = before - 2 * scores[bestLag] + after;
+            if (curvature < 0) lag += 0.5 * (before - after) / curvature;
+        }
+
+        const bpm = 60 * ENVELOPE_RATE / lag;
+        this.confidence = Math.max(0, Math.min(1, scores[bestLag] / (energy / centred.length)));
+        // Small changes ease in; a different tempo replaces the old one
+        this.bpm = this.bpm && Math.abs(bpm - this.bpm) / this.bpm < 0.05
+            ? this.bpm + (bpm - this.bpm) * 0.25
+            : bpm;
+    }
+
+    /**
+     * Move the beat clock to a time; true if a beat falls in this frame
+     */
+    advanceClock(time, onset) {
+        const period = this.period;
+
+        // Without a tempo every onset is a beat
+        if (!period) {
+            if (!onset) return false;
+            this.countBeat(time);
+            return true;
+        }
+
+        // First beat after a tempo is found: start the grid at an onset
+        if (this.nextBeatTime === null) {
+            if (!onset) return false;
+            this.countBeat(time);
+            this.nextBeatTime = time + period;
+            return true;
+        }
+
+        // Onsets near a predicted beat correct the phase
+        if (onset) {
+            const previousError = time - this.lastBeatTime;
+            const nextError = time - this.nextBeatTime;
+            const error = Math.abs(previousError) < Math.abs(nextError) ? previousError : nextError;
+            if (Math.abs(error) < period * 0.25) {
+                this.nextBeatTime += error * this.phaseCorrection;
+            }
+        }
+
+        let beat = false;
+        while (time >= this.nextBeatTime) {
+            this.countBeat(this.nextBeatTime);
+            this.nextBeatTime += period;
+            beat = true;
+        }
+        return beat;
+    }
+
+    countBeat(time) {
+        this.beatCount++;
+        this.lastBeatTime = time;
+    }
+
+    /**
+     * Beat clock at a time
+     * @param {number} time - seconds
+     * @param {number} [count=4] - upcoming beats to predict
+     * @returns {Object} { bpm, confidence, beat, bar, beatInBar, phase, nextBeatTime,
+     *   timeToNextBeat, upcomingBeats } - bpm and the beat times are null before a tempo is found
+     */
+    getClock(time, count = 4) {
+        const period = this.period;
+        const beat = Math.max(0, this.beatCount);
+        const nextBeatTime = period && this.nextBeatTime !== null ? this.nextBeatTime : null;
+
+        return {
+            bpm: this.bpm,
+            confidence: this.confidence,
+            beat,
+            bar: Math.floor(beat / this.beatsPerBar),
+            beatInBar: beat % this.beatsPerBar,
+            phase: nextBeatTime !== null ? Math.max(0, Math.min(1, 1 - (nextBeatTime - time) / period)) : 0,
+            nextBeatTime,
+            timeToNextBeat: nextBeatTime !== null ? nextBeatTime - time : null,
+            upcomingBeats: nextBeatTime !== null
+                ? Array.from({ length: count }, (_, i) => nextBeatTime + i * period)
+                : []
+        };
+    }
+}
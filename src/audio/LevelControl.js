@@ -0,0 +1,121 @@
+/**
+ * VIB34D Level Control
+ * Noise gate and automatic gain for AudioReactivity6D's band levels
+ *
+ * Every band (the six rotation bands and bass/mid/high) passes through:
+ *   gate - a band below its threshold (its calibrated noise floor plus gate.threshold)
+ *          reads as 0; above, the level is measured from the threshold so it opens
+ *          without a jump. gate.hysteresis keeps it from chattering at the edge.
+ *   gain - an envelope follows the gated level, rising with the attack and falling with
+ *          the release time constant; the band is scaled by target / envelope, within
+ *          minGain..maxGain. Quiet rooms are lifted and loud ones kept out of saturation,
+ *          band by band. While a band is gated its gain holds.
+ * Times are seconds of the analysed audio, so offline analysis gives the same levels.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+const MAX_STEP = 1; // seconds; a longer gap (seek, pause) does not count as elapsed time
+
+export class LevelControl {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.gain] - { enabled = true, attack = 0.05, release = 3, target = 0.6, minGain = 0.5, maxGain = 6 }
+     * @param {Object} [options.gate] - { enabled = true, threshold = 0.04, hysteresis = 0.02, floors = {} }
+     *   floors: per-band noise floor (0-1) from calibration, added to the threshold
+     */
+    constructor({ gain = {}, gate = {} } = {}) {
+        this.gain = { enabled: true, attack: 0.05, release: 3, target: 0.6, minGain: 0.5, maxGain: 6 };
+        this.gate = { enabled: true, threshold: 0.04, hysteresis: 0.02, floors: {} };
+        this.configure({ gain, gate });
+        this.reset();
+    }
+
+    /**
+     * Change gain and gate settings; omitted ones are kept
+     */
+    configure({ gain = {}, gate = {} } = {}) {
+        const positive = (name, value) => {
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                throw new Error(`LevelControl: ${name} must be a number greater than 0`);
+            }
+        };
+        ['attack', 'release', 'target', 'minGain', 'maxGain'].forEach(name => positive(`gain.${name}`, gain[name]));
+        if (gate.threshold !== undefined && !(gate.threshold >= 0 && gate.threshold < 1)) {
+            throw new Error('LevelControl: gate.threshold must be between 0 and 1');
+        }
+
+        Object.assign(this.gain, gain);
+        Object.assign(this.gate, gate, { floors: { ...this.gate.floors, ...(gate.floors || {}) } });
+        if (this.gain.minGain > this.gain.maxGain) {
+            throw new Error('LevelControl: gain.minGain must not exceed gain.maxGain');
+        }
+    }
+
+    /**
+     * Forget envelopes and gate states
+     */
+    reset() {
+        this.bands = {}; // name -> { envelope, gain, open, time }
+    }
+
+    getSettings() {
+        return {
+            gain: { ...this.gain },
+            gate: { ...this.gate, floors: { ...this.gate.floors } }
+        };
+    }
+
+    /**
+     * Gate and gain one band level
+     * @param {string} name - band, e.g. 'rot4dXW' or 'bass'
+     * @param {number} level - 0-1
+     * @param {number} time - seconds
+     * @returns {number} controlled level, 0-1
+     */
+    process(name, level, time) {
+        let band = this.bands[name];
+        if (!band) {
+            band = { envelope: this.gain.target, gain: 1, open: true, time };
+            this.bands[name] = band;
+        }
+
+        const elapsed = time - band.time;
+        const step = elapsed > 0 && elapsed <= MAX_STEP ? elapsed : 0;
+        band.time = time;
+
+        if (this.gate.enabled) {
+            const threshold = Math.min(0.99, (this.gate.floors[name] || 0) + this.gate.threshold);
+            const edge = band.open ? threshold - this.gate.hysteresis / 2 : threshold + this.gate.hysteresis / 2;
+            band.open = level > edge;
+            if (!band.open) return 0;
+            level = Math.max(0, (level - threshold) / (1 - threshold));
+        }
+
+        if (!this.gain.enabled) return level;
+
+        const timeConstant = level > band.envelope ? this.gain.attack : this.gain.release;
+        band.envelope += (level - band.envelope) * (1 - Math.exp(-step / timeConstant));
+        band.gain = Math.max(this.gain.minGain, Math.min(this.gain.maxGain, this.gain.target / Math.max(band.envelope, 1e-3)));
+
+        return Math.min(1, level * band.gain);
+    }
+
+    /**
+     * Current gain and gate state per band, for status displays
+     */
+    getStatus() {
+        const gains = {};
+        const open = {};
+        Object.entries(this.bands).forEach(([name, band]) => {
+            gains[name] = band.gain;
+            open[name] = band.open;
+        });
+        return { ...this.getSettings(), gains, open };
+    }
+}
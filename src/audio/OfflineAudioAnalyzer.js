@@ -0,0 +1,322 @@
+/**
+ * VIB34D Offline Audio Analyzer
+ * Precomputes AudioReactivity6D's analysis of a whole track at a fixed frame rate
+ *
+ * The track is rendered through an OfflineAudioContext with an analyser configured like
+ * the live one; the context is suspended at every frame time, the spectrum read and run
+ * through AudioReactivity6D.analyseFrame(). The result is an analysis track: per frame the
+ * six rotation band levels, the six resulting rotations, overall/bass/mid/high levels,
+ * the beat and onset flags, the beat clock (tempo, beat count, phase), the harmonic
+ * resonance, the chroma, dominant pitch class and key. Replaying it (UnifiedReactivitySystem
+ * .setAudioAnalysis()) gives the same reaction on every run and in offline exports,
+ * whatever the frame rate of the display.
+ *
+ * Tracks save as JSON (serializeAnalysis) or as a compact binary (encodeAnalysis);
+ * parseAnalysis() reads both.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+import { AudioReactivity6D, applyDecibelRange } from './AudioReactivity6D.js';
+import { BeatTracker } from './BeatTracker.js';
+import { HarmonyTracker, PITCH_CLASSES } from './harmony.js';
+import { LevelControl } from './LevelControl.js';
+
+export const ANALYSIS_FORMAT = 'vib34d-audio-analysis';
+export const ANALYSIS_VERSION = 1;
+
+const ROTATION_AXES = ['rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ'];
+
+// Per-frame values, in storage order
+export const ANALYSIS_FIELDS = [
+    'overall', 'bass', 'mid', 'high', 'beat', 'harmonicResonance',
+    'onset', 'bpm', 'beatConfidence', 'beatCount', 'beatPhase',
+    'pitchClass', 'keyTonic', 'keyMode', 'keyConfidence',
+    ...PITCH_CLASSES.map(name => `chroma.${name}`),
+    ...ROTATION_AXES.map(axis => `band.${axis}`),
+    ...ROTATION_AXES.map(axis => `rotation.${axis}`)
+];
+
+const BINARY_MAGIC = 0x56364141; // 'V6AA'
+
+function frameToValues(frame) {
+    return [
+        frame.overall, frame.bass, frame.mid, frame.high,
+        frame.beatDetected ? 1 : 0, frame.harmonicResonance,
+        frame.onset ? 1 : 0, frame.beat.bpm ?? 0, frame.beat.confidence, frame.beat.beat, frame.beat.phase,
+        // -1: none yet; mode 0 is major, 1 minor
+        frame.pitchClass ?? -1, frame.key?.tonic ?? -1, frame.key?.mode === 'minor' ? 1 : 0, frame.key?.confidence ?? 0,
+        ...frame.chroma,
+        ...ROTATION_AXES.map(axis => frame.bands[axis]),
+        ...ROTATION_AXES.map(axis => frame.rotations[axis])
+    ];
+}
+
+/**
+ * Decode a File, Blob, ArrayBuffer or AudioBuffer to an AudioBuffer
+ */
+async function toAudioBuffer(input, sampleRate) {
+    if (typeof AudioBuffer !== 'undefined' && input instanceof AudioBuffer) return input;
+
+    const data = input instanceof ArrayBuffer ? input : await input.arrayBuffer();
+    // decodeAudioData needs a context; a 1-frame offline context does not touch the speakers
+    const decoder = new OfflineAudioContext(1, 1, sampleRate);
+    return decoder.decodeAudioData(data.slice(0));
+}
+
+export class OfflineAudioAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {number} [options.fps=60] - analysis frames per second
+     * @param {AudioReactivity6D} [options.reactivity] - copy its bands, rotation mapping, harmonic, beat, key and level settings
+     * @param {number} [options.sampleRate=44100] - for decoding files
+     */
+    constructor({ fps = 60, reactivity = null, sampleRate = 44100 } = {}) {
+        if (!(fps > 0)) throw new Error('OfflineAudioAnalyzer: fps must be greater than 0');
+
+        this.fps = fps;
+        this.reactivity = reactivity;
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * A fresh analysis state with the live system's settings
+     */
+    createReactivity() {
+        const reactivity = new AudioReactivity6D();
+        const source = this.reactivity;
+        if (source) {
+            reactivity.fftSize = source.fftSize;
+            reactivity.setBandLayout(source.bandLayout);
+            reactivity.levelBands = structuredClone(source.levelBands);
+            reactivity.rotationMapping = structuredClone(source.rotationMapping);
+            reactivity.harmonicAnalysis = structuredClone(source.harmonicAnalysis);
+            reactivity.beatTracker = new BeatTracker(source.beatTracker.getSettings());
+            reactivity.harmonyTracker = new HarmonyTracker(source.harmonyTracker.getSettings());
+            reactivity.levelControl = new LevelControl(source.levelControl.getSettings());
+            reactivity.decibelRange = { ...source.decibelRange };
+        }
+        return reactivity;
+    }
+
+    /**
+     * Analyse a whole track
+     * @param {AudioBuffer|File|Blob|ArrayBuffer} input
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (fraction 0-1)
+     * @param {AbortSignal} [options.signal] - stops the analysis with an AbortError
+     * @returns {Promise<Object>} analysis track
+     */
+    async analyse(input, { onProgress, signal } = {}) {
+        const buffer = await toAudioBuffer(input, this.sampleRate);
+        const reactivity = this.createReactivity();
+
+        const context = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        const analyser = context.createAnalyser();
+        analyser.fftSize = reactivity.fftSize;
+        analyser.smoothingTimeConstant = 0.1;
+        applyDecibelRange(analyser, reactivity.decibelRange);
+
+        const player = context.createBufferSource();
+        player.buffer = buffer;
+        player.connect(analyser);
+        analyser.connect(context.destination);
+
+        const frameCount = Math.max(1, Math.floor(buffer.duration * this.fps));
+        const stride = ANALYSIS_FIELDS.length;
+        const data = new Float32Array(frameCount * stride);
+        const spectrum = new Uint8Array(analyser.frequencyBinCount);
+
+        console.log(`🎵 OfflineAudioAnalyzer: Analysing ${buffer.duration.toFixed(2)}s at ${this.fps} fps (${frameCount} frames)`);
+
+        // suspend() works on 128-sample render quanta; frames that fall in the same quantum
+        // (very high fps) share its spectrum
+        const RENDER_QUANTUM = 128;
+        const quanta = new Map();
+        for (let frame = 0; frame < frameCount; frame++) {
+            const quantum = Math.floor(frame / this.fps * buffer.sampleRate / RENDER_QUANTUM);
+            if (!quanta.has(quantum)) quanta.set(quantum, []);
+            quanta.get(quantum).push(frame);
+        }
+
+        quanta.forEach((frames, quantum) => {
+            context.suspend(quantum * RENDER_QUANTUM / buffer.sampleRate).then(() => {
+                if (!signal?.aborted) {
+                    analyser.getByteFrequencyData(spectrum);
+                    frames.forEach(frame => {
+                        const frameData = reactivity.analyseFrame(spectrum, buffer.sampleRate, frame / this.fps);
+                        data.set(frameToValues(frameData), frame * stride);
+                    });
+                    onProgress?.(frames[0] / frameCount);
+                }
+                context.resume();
+            });
+        });
+
+        player.start(0);
+        await context.startRendering();
+
+        if (signal?.aborted) throw new DOMException('Audio analysis aborted', 'AbortError');
+        onProgress?.(1);
+
+        console.log('✅ OfflineAudioAnalyzer: Analysis complete');
+
+        return {
+            format: ANALYSIS_FORMAT,
+            version: ANALYSIS_VERSION,
+            fps: this.fps,
+            sampleRate: buffer.sampleRate,
+            fftSize: reactivity.fftSize,
+            duration: buffer.duration,
+            beatsPerBar: reactivity.beatTracker.beatsPerBar,
+            frameCount,
+            fields: [...ANALYSIS_FIELDS],
+            data
+        };
+    }
+}
+
+/**
+ * Beat clock of a frame, as BeatTracker.getClock() gives it
+ */
+function clockAt(value, frameTime, time, beatsPerBar) {
+    const bpm = value('bpm') || null;
+    const beat = value('beatCount');
+    const phase = value('beatPhase');
+    const period = bpm ? 60 / bpm : null;
+    const nextBeatTime = period ? frameTime + (1 - phase) * period : null;
+
+    return {
+        bpm,
+        confidence: value('beatConfidence'),
+        beat,
+        bar: Math.floor(beat / beatsPerBar),
+        beatInBar: beat % beatsPerBar,
+        phase,
+        nextBeatTime,
+        timeToNextBeat: period ? nextBeatTime - time : null,
+        upcomingBeats: period ? Array.from({ length: 4 }, (_, i) => nextBeatTime + i * period) : []
+    };
+}
+
+/**
+ * Chroma, pitch class and key of a frame; tracks without them read as silent
+ */
+function harmonyAt(value) {
+    const pitchClass = value('pitchClass');
+    const tonic = value('keyTonic');
+    const mode = value('keyMode') >= 0.5 ? 'minor' : 'major';
+    const chroma = PITCH_CLASSES.map(name => value(`chroma.${name}`));
+    const known = index => index >= 0 && Number.isInteger(index);
+
+    return {
+        chroma,
+        pitchClass: known(pitchClass) && chroma.some(level => level > 0) ? pitchClass : null,
+        key: known(tonic) && value('keyConfidence') > 0
+            ? { tonic, mode, name: `${PITCH_CLASSES[tonic]} ${mode}`, confidence: value('keyConfidence') }
+            : null
+    };
+}
+
+/**
+ * Audio levels at a time, in the shape of AudioReactivity6D.getAudioLevels()
+ * (plus bands, 0-1 per rotation axis). The frame is the one that starts at or before
+ * the time, so replay matches the analysis frame for frame.
+ */
+export function analysisFrameAt(track, time) {
+    const stride = track.fields.length;
+    const frame = Math.max(0, Math.min(track.frameCount - 1, Math.floor(time * track.fps + 1e-6)));
+    const offset = frame * stride;
+    // Fields missing from older tracks read as 0
+    const value = field => {
+        const index = track.fields.indexOf(field);
+        return index < 0 ? 0 : track.data[offset + index];
+    };
+
+    return {
+        frame,
+        overall: value('overall'),
+        bass: value('bass'),
+        mid: value('mid'),
+        high: value('high'),
+        beatDetected: value('beat') >= 0.5,
+        onset: value('onset') >= 0.5,
+        beat: clockAt(value, frame / track.fps, time, track.beatsPerBar || 4),
+        harmonicResonance: value('harmonicResonance'),
+        ...harmonyAt(value),
+        bands: Object.fromEntries(ROTATION_AXES.map(axis => [axis, value(`band.${axis}`)])),
+        rotations: Object.fromEntries(ROTATION_AXES.map(axis => [axis, value(`rotation.${axis}`)]))
+    };
+}
+
+function trackHeader(track) {
+    const { format, version, fps, sampleRate, fftSize, duration, beatsPerBar, frameCount, fields } = track;
+    return { format, version, fps, sampleRate, fftSize, duration, beatsPerBar, frameCount, fields };
+}
+
+/**
+ * Analysis track as JSON text
+ */
+export function serializeAnalysis(track) {
+    return JSON.stringify({ ...trackHeader(track), data: Array.from(track.data) });
+}
+
+/**
+ * Analysis track as binary: magic (uint32), header length (uint32), JSON header,
+ * padding to 4 bytes, then the frames as little-endian float32
+ */
+export function encodeAnalysis(track) {
+    const header = new TextEncoder().encode(JSON.stringify(trackHeader(track)));
+    const dataOffset = Math.ceil((8 + header.length) / 4) * 4;
+    const bytes = new ArrayBuffer(dataOffset + track.data.length * 4);
+    const view = new DataView(bytes);
+
+    view.setUint32(0, BINARY_MAGIC, true);
+    view.setUint32(4, header.length, true);
+    new Uint8Array(bytes, 8, header.length).set(header);
+    track.data.forEach((value, i) => view.setFloat32(dataOffset + i * 4, value, true));
+
+    return bytes;
+}
+
+/**
+ * Read an analysis track from JSON text, a parsed object or encodeAnalysis() bytes
+ */
+export function parseAnalysis(input) {
+    let header;
+    let data;
+
+    if (input instanceof ArrayBuffer) {
+        const view = new DataView(input);
+        if (input.byteLength < 8 || view.getUint32(0, true) !== BINARY_MAGIC) {
+            throw new Error('Not a VIB34D audio analysis file');
+        }
+        const headerLength = view.getUint32(4, true);
+        header = JSON.parse(new TextDecoder().decode(new Uint8Array(input, 8, headerLength)));
+
+        const dataOffset = Math.ceil((8 + headerLength) / 4) * 4;
+        data = new Float32Array((input.byteLength - dataOffset) / 4);
+        data.forEach((_, i) => { data[i] = view.getFloat32(dataOffset + i * 4, true); });
+    } else {
+        const parsed = typeof input === 'string' ? JSON.parse(input) : input;
+        header = parsed;
+        data = Float32Array.from(parsed?.data || []);
+    }
+
+    if (header?.format !== ANALYSIS_FORMAT) {
+        throw new Error('Not a VIB34D audio analysis file');
+    }
+    if (header.version > ANALYSIS_VERSION) {
+        throw new Error(`Audio analysis version ${header.version} is newer than supported (${ANALYSIS_VERSION})`);
+    }
+    if (!(header.fps > 0) || !Array.isArray(header.fields) || data.length !== header.frameCount * header.fields.length) {
+        throw new Error('Audio analysis is incomplete');
+    }
+
+    return { ...trackHeader(header), data };
+}
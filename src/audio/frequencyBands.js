@@ -0,0 +1,107 @@
+/**
+ * VIB34D Frequency Bands
+ * Bands defined in Hz, converted to analyser bins for the actual sample rate and FFT size
+ *
+ * Bin k of an AnalyserNode covers k * sampleRate / fftSize Hz, so the same bin index means
+ * a different frequency at 44.1 and 48 kHz or at another FFT size. Bands are therefore
+ * kept in Hz and only turned into bins when a spectrum is read.
+ *
+ * createBands() splits a range into bands spaced evenly on a scale:
+ *   'hz'     - linear
+ *   'octave' - logarithmic, equal frequency ratios
+ *   'mel'    - pitch perception (O'Shaughnessy)
+ *   'bark'   - critical bands of hearing (Traunmüller)
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+// Hz <-> position on each scale
+export const SCALES = {
+    hz: {
+        toScale: hz => hz,
+        fromScale: value => value
+    },
+    octave: {
+        toScale: hz => Math.log2(hz / 1000),
+        fromScale: value => 1000 * Math.pow(2, value)
+    },
+    mel: {
+        toScale: hz => 2595 * Math.log10(1 + hz / 700),
+        fromScale: mel => 700 * (Math.pow(10, mel / 2595) - 1)
+    },
+    bark: {
+        toScale: hz => 26.81 * hz / (1960 + hz) - 0.53,
+        fromScale: bark => 1960 * (bark + 0.53) / (26.28 - bark)
+    }
+};
+
+// Band layouts for setBandLayout(); the six-band ones give one band per rotation axis
+export const BAND_PRESETS = {
+    octave: { scale: 'octave', count: 6, minHz: 20, maxHz: 16000 },
+    thirdOctave: { scale: 'octave', count: 30, minHz: 20, maxHz: 20000 },
+    mel: { scale: 'mel', count: 6, minHz: 20, maxHz: 16000 },
+    bark: { scale: 'bark', count: 6, minHz: 20, maxHz: 15500 },
+    linear: { scale: 'hz', count: 6, minHz: 0, maxHz: 16000 }
+};
+
+// Ranges for the overall bass / mid / high levels
+export const LEVEL_BANDS = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    high: [4000, 16000]
+};
+
+/**
+ * Split minHz-maxHz into count bands spaced evenly on a scale
+ * @returns {Array<Array<number>>} [[lowHz, highHz], ...], contiguous and ascending
+ */
+export function createBands(count, { scale = 'octave', minHz = 20, maxHz = 16000 } = {}) {
+    const conversion = SCALES[scale];
+    if (!conversion) {
+        throw new Error(`Unknown frequency scale "${scale}" (expected ${Object.keys(SCALES).join(', ')})`);
+    }
+    if (!Number.isInteger(count) || count < 1) throw new Error('createBands: count must be a whole number >= 1');
+    if (!(maxHz > minHz) || minHz < 0 || (scale === 'octave' && minHz <= 0)) {
+        throw new Error(`createBands: invalid range ${minHz}-${maxHz} Hz for the ${scale} scale`);
+    }
+
+    const low = conversion.toScale(minHz);
+    const high = conversion.toScale(maxHz);
+    const edges = Array.from({ length: count + 1 }, (_, i) => {
+        if (i === 0) return minHz;
+        if (i === count) return maxHz;
+        return conversion.fromScale(low + (high - low) * i / count);
+    });
+
+    return edges.slice(0, -1).map((edge, i) => [edge, edges[i + 1]]);
+}
+
+/**
+ * Analyser bin whose centre is nearest to a frequency
+ */
+export function hzToBin(hz, sampleRate, fftSize) {
+    const bin = Math.round(hz * fftSize / sampleRate);
+    return Math.max(0, Math.min(fftSize / 2 - 1, bin));
+}
+
+/**
+ * First and last analyser bin (inclusive) whose centres lie in [lowHz, highHz); a band
+ * narrower than one bin gets the bin nearest its middle
+ */
+export function bandToBins([lowHz, highHz], sampleRate, fftSize) {
+    const binHz = sampleRate / fftSize;
+    const lastBin = fftSize / 2 - 1;
+    const start = Math.max(0, Math.ceil(lowHz / binHz));
+    const end = Math.min(lastBin, Math.ceil(highHz / binHz) - 1);
+
+    if (end < start) {
+        const bin = hzToBin((lowHz + highHz) / 2, sampleRate, fftSize);
+        return [bin, bin];
+    }
+    return [start, end];
+}
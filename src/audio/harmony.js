@@ -0,0 +1,176 @@
+/**
+ * VIB34D Harmony Analysis
+ * Chroma, dominant pitch class and key estimation for AudioReactivity6D
+ *
+ * Chroma folds the spectrum onto the 12 pitch classes (C, C#, ... B): every analyser bin
+ * between minHz and maxHz adds its energy to the pitch class nearest its frequency,
+ * weighted by how close it is to that semitone. The key is the Krumhansl-Kessler
+ * major/minor profile, in any of the 12 transpositions, that correlates best with the
+ * chroma averaged over the last few seconds.
+ *
+ * keyToHue() places keys on a color wheel following the circle of fifths, so related
+ * keys get neighbouring colors; a minor key shares its relative major's color.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, tonic first
+export const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+const SILENCE = 1e-6;
+
+/**
+ * 12-bin chroma of byte frequency data, scaled so the strongest pitch class is 1
+ * (all zeros for silence)
+ * @param {Uint8Array} spectrum - analyser.getByteFrequencyData() output
+ * @param {number} sampleRate
+ * @param {Object} [options] - { minHz = 80, maxHz = 4000, tuning = 440 }
+ */
+export function computeChroma(spectrum, sampleRate, { minHz = 80, maxHz = 4000, tuning = 440 } = {}) {
+    const chroma = new Float32Array(12);
+    const binHz = sampleRate / (spectrum.length * 2);
+    const first = Math.max(1, Math.ceil(minHz / binHz));
+    const last = Math.min(spectrum.length - 1, Math.floor(maxHz / binHz));
+
+    for (let bin = first; bin <= last; bin++) {
+        const level = spectrum[bin] / 255;
+        if (!level) continue;
+
+        const midi = 69 + 12 * Math.log2(bin * binHz / tuning);
+        const note = Math.round(midi);
+        const closeness = Math.cos(Math.PI * (midi - note)) ** 2;
+        chroma[((note % 12) + 12) % 12] += level * level * closeness;
+    }
+
+    const peak = Math.max(...chroma);
+    if (peak > SILENCE) chroma.forEach((value, i) => { chroma[i] = value / peak; });
+    return chroma;
+}
+
+/**
+ * Strongest pitch class of a chroma vector, or null for silence
+ */
+export function dominantPitchClass(chroma) {
+    let best = null;
+    let bestValue = SILENCE;
+    chroma.forEach((value, i) => {
+        if (value > bestValue) {
+            bestValue = value;
+            best = i;
+        }
+    });
+    return best;
+}
+
+function correlation(a, b) {
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+/**
+ * Best matching key for a chroma vector
+ * @returns {Object|null} { tonic (pitch class 0-11), mode ('major' | 'minor'), name, confidence (0-1) }
+ */
+export function estimateKey(chroma) {
+    if (dominantPitchClass(chroma) === null) return null;
+
+    let best = null;
+    Object.entries(KEY_PROFILES).forEach(([mode, profile]) => {
+        for (let tonic = 0; tonic < 12; tonic++) {
+            const rotated = chroma.map((_, i) => profile[(i - tonic + 12) % 12]);
+            const score = correlation(chroma, rotated);
+            if (!best || score > best.confidence) {
+                best = { tonic, mode, name: `${PITCH_CLASSES[tonic]} ${mode}`, confidence: score };
+            }
+        }
+    });
+
+    best.confidence = Math.max(0, best.confidence);
+    return best;
+}
+
+/**
+ * Hue (degrees) of a key on a circle-of-fifths color wheel: C major at offset, G major
+ * 30 degrees on, and so on; minor keys take their relative major's hue
+ */
+export function keyToHue(key, offset = 0) {
+    const major = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+    const fifths = (major * 7) % 12;
+    return (((fifths * 30 + offset) % 360) + 360) % 360;
+}
+
+/**
+ * Chroma per frame, and a key estimate from the chroma averaged over time
+ */
+export class HarmonyTracker {
+    /**
+     * @param {Object} options
+     * @param {number} [options.keyTimeConstant=4] - seconds over which chroma is averaged for the key
+     * @param {number} [options.minHz=80]
+     * @param {number} [options.maxHz=4000]
+     * @param {number} [options.tuning=440] - Hz of A4
+     */
+    constructor({ keyTimeConstant = 4, minHz = 80, maxHz = 4000, tuning = 440 } = {}) {
+        this.keyTimeConstant = keyTimeConstant;
+        this.minHz = minHz;
+        this.maxHz = maxHz;
+        this.tuning = tuning;
+
+        this.reset();
+    }
+
+    reset() {
+        this.keyChroma = new Float32Array(12);
+        this.lastTime = null;
+        this.key = null;
+    }
+
+    getSettings() {
+        const { keyTimeConstant, minHz, maxHz, tuning } = this;
+        return { keyTimeConstant, minHz, maxHz, tuning };
+    }
+
+    /**
+     * Analyse one spectrum
+     * @param {Uint8Array} spectrum
+     * @param {number} sampleRate
+     * @param {number} time - seconds; going backwards (seeking) restarts the key estimate
+     * @returns {Object} { chroma, pitchClass, key }
+     */
+    process(spectrum, sampleRate, time) {
+        if (this.lastTime !== null && time < this.lastTime) this.reset();
+
+        const chroma = computeChroma(spectrum, sampleRate, this);
+        const pitchClass = dominantPitchClass(chroma);
+
+        // Exponential average; silent frames do not pull the key towards nothing
+        if (pitchClass !== null) {
+            const elapsed = this.lastTime === null ? Infinity : time - this.lastTime;
+            const amount = 1 - Math.exp(-elapsed / this.keyTimeConstant);
+            this.keyChroma.forEach((value, i) => {
+                this.keyChroma[i] = value + (chroma[i] - value) * amount;
+            });
+            this.key = estimateKey(this.keyChroma);
+        }
+        this.lastTime = time;
+
+        return { chroma, pitchClass, key: this.key };
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * VIB34D Modulation Matrix
+ * User-editable routes from input signals to visual parameters
+ *
+ * A route takes one signal from the SignalBus (a band level, the beat, a pinch, the tilt,
+ * a breathing oscillator, ...) and adds it to one parameter:
+ *   value  -> mode   - 'unipolar' reads the signal as 0..1, 'bipolar' as -1..1; a level
+ *                      routed bipolar is centred (0 -> -1, 0.5 -> 0, 1 -> 1) and a bipolar
+ *                      signal routed unipolar is lifted to 0..1. Angles pass through.
+ *          -> curve  - 'linear', 'exponential' (slow start, fast finish) or 'sCurve'
+ *                      (slow at both ends), shaping the magnitude and keeping the sign
+ *          -> amount - scale in the parameter's units; negative amounts work inversely
+ *          -> min/max - clamp of the route's contribution (null for none)
+ * Contributions of all routes to a parameter add up.
+ *
+ * Routes are plain objects, so the matrix serializes to JSON as is:
+ *   { id, source, target, amount, curve, mode, min, max, enabled }
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+const EXPONENT = 3;
+
+// name -> shape of a 0..1 magnitude
+export const CURVES = {
+    linear: x => x,
+    exponential: x => (Math.exp(EXPONENT * x) - 1) / (Math.exp(EXPONENT) - 1),
+    sCurve: x => x * x * (3 - 2 * x)
+};
+
+export const MODES = ['unipolar', 'bipolar'];
+
+const ROUTE_DEFAULTS = { amount: 1, curve: 'linear', mode: 'unipolar', min: null, max: null, enabled: true };
+
+/**
+ * Signal value as a number in the route's mode
+ * @param {*} value - signal value; gates and triggers are booleans
+ * @param {string} type - signal type (see SIGNAL_TYPES), or undefined if unknown
+ * @param {string} mode
+ */
+function modeValue(value, type, mode) {
+    const number = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    if (!Number.isFinite(number) || type === 'angle') return Number.isFinite(number) ? number : 0;
+
+    if (type === 'bipolar') return mode === 'unipolar' ? (number + 1) / 2 : number;
+    return mode === 'bipolar' ? number * 2 - 1 : number;
+}
+
+/**
+ * Curve applied to the magnitude, sign kept; magnitudes above 1 (angles) stay linear
+ */
+function shape(value, curve) {
+    const magnitude = Math.abs(value);
+    if (curve === 'linear' || magnitude > 1) return value;
+    return Math.sign(value) * CURVES[curve](magnitude);
+}
+
+export class ModulationMatrix {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.targets - parameters routes may modulate
+     * @param {Array<Object>} [options.routes] - initial routes
+     */
+    constructor({ targets, routes = [] }) {
+        this.targets = new Set(targets);
+        this.routes = new Map(); // id -> route
+        routes.forEach(route => this.addRoute(route));
+    }
+
+    /**
+     * Add a route; omitted fields take their defaults
+     * @param {Object} route - { source, target, amount = 1, curve = 'linear', mode = 'unipolar',
+     *   min = null, max = null, enabled = true, id = '<source>-><target>' }
+     * @returns {Object} the added route
+     */
+    addRoute(route) {
+        const id = route.id ?? this.uniqueId(`${route.source}->${route.target}`);
+        if (this.routes.has(id)) throw new Error(`ModulationMatrix: route "${id}" already exists`);
+
+        const added = this.validate({ ...ROUTE_DEFAULTS, ...route, id });
+        this.routes.set(id, added);
+        return added;
+    }
+
+    /**
+     * Change some fields of a route
+     * @returns {Object} the updated route
+     */
+    updateRoute(id, changes) {
+        const route = this.routes.get(id);
+        if (!route) throw new Error(`ModulationMatrix: no route "${id}"`);
+
+        const updated = this.validate({ ...route, ...changes, id });
+        this.routes.set(id, updated);
+        return updated;
+    }
+
+    /**
+     * @returns {boolean} whether the route existed
+     */
+    removeRoute(id) {
+        return this.routes.delete(id);
+    }
+
+    getRoute(id) {
+        return this.routes.get(id) ?? null;
+    }
+
+    /**
+     * Routes, optionally only those from a source or to a target
+     */
+    getRoutes({ source, target } = {}) {
+        return [...this.routes.values()].filter(route =>
+            (source === undefined || route.source === source) &&
+            (target === undefined || route.target === target));
+    }
+
+    /**
+     * Signal names the enabled routes read
+     */
+    getSources() {
+        return [...new Set(this.getRoutes().filter(route => route.enabled).map(route => route.source))];
+    }
+
+    clear() {
+        this.routes.clear();
+    }
+
+    /**
+     * Summed contribution per target parameter
+     * @param {Object} values - { signalName: value }
+     * @param {Function} [typeOf] - signalName -> signal type
+     * @returns {Object} { parameter: offset }
+     */
+    evaluate(values, typeOf = () => undefined) {
+        const offsets = {};
+        this.routes.forEach(route => {
+            if (!route.enabled) return;
+            const value = values[route.source];
+            if (value === undefined || value === null) return;
+
+            let contribution = shape(modeValue(value, typeOf(route.source), route.mode), route.curve) * route.amount;
+            if (route.min !== null) contribution = Math.max(route.min, contribution);
+            if (route.max !== null) contribution = Math.min(route.max, contribution);
+
+            offsets[route.target] = (offsets[route.target] || 0) + contribution;
+        });
+        return offsets;
+    }
+
+    /**
+     * Routes as plain objects for JSON
+     */
+    toJSON() {
+        return this.getRoutes().map(route => ({ ...route }));
+    }
+
+    /**
+     * Replace all routes with serialized ones; invalid routes are skipped with a warning
+     * @param {Array<Object>|string} routes - toJSON() output or its JSON text
+     */
+    load(routes) {
+        const list = typeof routes === 'string' ? JSON.parse(routes) : routes;
+        if (!Array.isArray(list)) throw new Error('ModulationMatrix: routes must be an array');
+
+        this.clear();
+        list.forEach(route => {
+            try {
+                this.addRoute(route);
+            } catch (error) {
+                console.warn(`⚠️ ${error.message} - route skipped`);
+            }
+        });
+    }
+
+    validate(route) {
+        const where = `ModulationMatrix: route "${route.id}"`;
+        if (typeof route.source !== 'string' || !route.source) throw new Error(`${where} needs a source signal`);
+        if (!this.targets.has(route.target)) throw new Error(`${where} targets unknown parameter "${route.target}"`);
+        if (!Number.isFinite(route.amount)) throw new Error(`${where}: amount must be a number`);
+        if (!CURVES[route.curve]) {
+            throw new Error(`${where}: unknown curve "${route.curve}" (expected ${Object.keys(CURVES).join(', ')})`);
+        }
+        if (!MODES.includes(route.mode)) throw new Error(`${where}: mode must be ${MODES.join(' or ')}`);
+        ['min', 'max'].forEach(bound => {
+            if (route[bound] !== null && !Number.isFinite(route[bound])) {
+                throw new Error(`${where}: ${bound} must be a number or null`);
+            }
+        });
+        if (route.min !== null && route.max !== null && route.min > route.max) {
+            throw new Error(`${where}: min must not exceed max`);
+        }
+
+        route.enabled = route.enabled !== false;
+        return route;
+    }
+
+    uniqueId(base) {
+        let id = base;
+        for (let n = 2; this.routes.has(id); n++) id = `${base}#${n}`;
+        return id;
+    }
+}
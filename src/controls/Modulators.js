@@ -0,0 +1,308 @@
+/**
+ * VIB34D Modulators
+ * LFOs, sample-and-hold, Perlin drift and ADSR envelopes as signal sources
+ *
+ * Every modulator publishes 'mod.<name>' on the SignalBus, so the ModulationMatrix can
+ * route it to any parameter like an input signal - motion without any input present:
+ *   lfo        - periodic wave, shape 'sine', 'triangle', 'saw' or 'square', -1..1
+ *   sampleHold - a new random value every cycle, held until the next, -1..1
+ *   perlin     - smooth random drift (1D gradient noise), -1..1
+ *   adsr       - envelope opened by a gate or trigger signal (e.g. 'audio.beat',
+ *                'touch.pinch'), 0..1: attack to 1, decay to sustain, held while the gate
+ *                is on, release to 0 once it is off. A trigger is on for one frame, so it
+ *                gives attack then release.
+ * Cycles run at `rate` Hz, or with `sync` at a note value of the BPM clock: '1/4' is one
+ * beat, '1/1' a bar of four, '2/1' two bars; a 'd' suffix is dotted, 't' a triplet. The
+ * clock follows the 'audio.bpm' signal when there is a tempo, else the bank's bpm.
+ * Random modulators take a seed, so offline renders repeat exactly.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+const MAX_STEP = 1; // seconds; a longer gap (seek, pause) does not count as elapsed time
+
+// cycle position 0..1 -> -1..1
+export const LFO_SHAPES = {
+    sine: phase => Math.sin(phase * 2 * Math.PI),
+    triangle: phase => 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5),
+    saw: phase => phase * 2 - 1,
+    square: phase => (phase < 0.5 ? 1 : -1)
+};
+
+// type -> default options and the type of signal it publishes
+export const MODULATOR_TYPES = {
+    lfo: { defaults: { shape: 'sine', rate: 1, sync: null, phase: 0 }, signal: 'bipolar' },
+    sampleHold: { defaults: { rate: 1, sync: null, seed: 1 }, signal: 'bipolar' },
+    perlin: { defaults: { rate: 0.25, sync: null, seed: 1 }, signal: 'bipolar' },
+    adsr: { defaults: { trigger: 'audio.beat', attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.5 }, signal: 'level' }
+};
+
+/**
+ * Beats in a note value, e.g. '1/4' -> 1, '1/8d' -> 0.75, '1/4t' -> 2/3
+ */
+export function syncBeats(sync) {
+    const match = /^(\d+)\/(\d+)([dt]?)$/.exec(String(sync));
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+        throw new Error(`Modulators: invalid sync "${sync}" (expected a note value like '1/4', '1/8d' or '1/4t')`);
+    }
+    const beats = 4 * Number(match[1]) / Number(match[2]);
+    return match[3] === 'd' ? beats * 1.5 : match[3] === 't' ? beats * 2 / 3 : beats;
+}
+
+// Deterministic 0..1 value for an integer and a seed
+function random(seed, n) {
+    let h = (Math.imul(n | 0, 0x27d4eb2d) ^ Math.imul(seed | 0, 0x165667b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// 1D gradient noise, -1..1
+function perlin(seed, x) {
+    const i = Math.floor(x);
+    const f = x - i;
+    const a = (random(seed, i) * 2 - 1) * f;
+    const b = (random(seed, i + 1) * 2 - 1) * (f - 1);
+    const fade = f * f * f * (f * (f * 6 - 15) + 10);
+    return Math.max(-1, Math.min(1, 2 * (a + (b - a) * fade)));
+}
+
+export class ModulatorBank {
+    /**
+     * @param {Object} options
+     * @param {number} [options.bpm=120] - clock for synced modulators without an audio tempo
+     * @param {string|null} [options.tempoSignal='audio.bpm'] - signal the clock follows when above 0
+     */
+    constructor({ bpm = 120, tempoSignal = 'audio.bpm' } = {}) {
+        this.bpm = bpm;
+        this.tempoSignal = tempoSignal;
+        this.modulators = new Map(); // name -> { options, state }
+        this.signals = null;         // SignalBus, see connectSignals()
+    }
+
+    /**
+     * Add a modulator; omitted options take the type's defaults
+     * @param {string} name - published as 'mod.<name>'
+     * @param {Object} options - { type, enabled = true, ...type options (see MODULATOR_TYPES) }
+     * @returns {Object} the modulator's options
+     */
+    add(name, options) {
+        if (this.modulators.has(name)) throw new Error(`Modulators: "${name}" already exists`);
+
+        const type = MODULATOR_TYPES[options.type];
+        if (!type) {
+            throw new Error(`Modulators: unknown type "${options.type}" (expected ${Object.keys(MODULATOR_TYPES).join(', ')})`);
+        }
+
+        const added = this.validate(name, { ...type.defaults, enabled: true, ...options });
+        this.modulators.set(name, { options: added, state: null });
+        this.signals?.declare(`mod.${name}`, { type: type.signal, publisher: 'mod' });
+        return added;
+    }
+
+    /**
+     * Change some options of a modulator (not its type)
+     */
+    update(name, changes) {
+        const modulator = this.modulators.get(name);
+        if (!modulator) throw new Error(`Modulators: no modulator "${name}"`);
+        if (changes.type !== undefined && changes.type !== modulator.options.type) {
+            throw new Error(`Modulators: "${name}" is a ${modulator.options.type}; remove and add it to change the type`);
+        }
+
+        modulator.options = this.validate(name, { ...modulator.options, ...changes });
+        if (!modulator.options.enabled) modulator.state = null;
+        return modulator.options;
+    }
+
+    /**
+     * @returns {boolean} whether the modulator existed
+     */
+    remove(name) {
+        if (!this.modulators.delete(name)) return false;
+        this.signals?.remove(`mod.${name}`);
+        return true;
+    }
+
+    get(name) {
+        return this.modulators.get(name)?.options ?? null;
+    }
+
+    names() {
+        return [...this.modulators.keys()];
+    }
+
+    /**
+     * Restart every modulator at the next process()
+     */
+    reset() {
+        this.modulators.forEach(modulator => { modulator.state = null; });
+    }
+
+    /**
+     * Declare 'mod.<name>' for every modulator (and those added later) on a SignalBus;
+     * process() then publishes them
+     * @param {SignalBus} bus
+     */
+    connectSignals(bus) {
+        this.signals = bus;
+        this.modulators.forEach(({ options }, name) => {
+            bus.declare(`mod.${name}`, { type: MODULATOR_TYPES[options.type].signal, publisher: 'mod' });
+        });
+    }
+
+    /**
+     * Beats per minute of the sync clock
+     * @param {Object} values - signal values, for the tempo signal
+     */
+    getTempo(values = {}) {
+        const followed = this.tempoSignal ? values[this.tempoSignal] : null;
+        return followed > 0 ? followed : this.bpm;
+    }
+
+    /**
+     * Advance every modulator to a time
+     * @param {number} time - seconds; going backwards (seeking) restarts the modulators
+     * @param {Object} [values] - signal values, for envelope triggers and the tempo
+     * @returns {Object} { 'mod.<name>': value }
+     */
+    process(time, values = {}) {
+        const bpm = this.getTempo(values);
+        const output = {};
+
+        this.modulators.forEach((modulator, name) => {
+            const { options } = modulator;
+            if (!options.enabled) {
+                output[`mod.${name}`] = 0;
+                return;
+            }
+
+            const frequency = options.sync ? bpm / 60 / syncBeats(options.sync) : options.rate;
+            let state = modulator.state;
+            if (!state || time < state.time) {
+                // Cycles start as if they had run since time 0, so a seek lands on the same value
+                state = { time, phase: options.type === 'adsr' ? 0 : time * frequency, stage: 'idle', level: 0, gate: false };
+                modulator.state = state;
+            }
+
+            const elapsed = time - state.time;
+            const step = elapsed > 0 && elapsed <= MAX_STEP ? elapsed : 0;
+            state.time = time;
+
+            output[`mod.${name}`] = options.type === 'adsr'
+                ? this.envelope(options, state, !!values[options.trigger], step)
+                : this.oscillator(options, state, frequency * step);
+        });
+
+        this.signals?.publishAll(output);
+        return output;
+    }
+
+    oscillator(options, state, advance) {
+        state.phase += advance;
+
+        switch (options.type) {
+            case 'lfo': {
+                const position = (((state.phase + options.phase) % 1) + 1) % 1;
+                return LFO_SHAPES[options.shape](position);
+            }
+            case 'sampleHold':
+                return random(options.seed, Math.floor(state.phase)) * 2 - 1;
+            case 'perlin':
+                return perlin(options.seed, state.phase);
+            default:
+                return 0;
+        }
+    }
+
+    envelope({ attack, decay, sustain, release }, state, gate, step) {
+        if (gate && !state.gate) state.stage = 'attack'; // retriggers from the current level
+        state.gate = gate;
+
+        switch (state.stage) {
+            case 'attack':
+                state.level = attack > 0 ? state.level + step / attack : 1;
+                if (state.level >= 1) {
+                    state.level = 1;
+                    state.stage = 'decay';
+                }
+                break;
+            case 'decay':
+                state.level = decay > 0 ? state.level - step * (1 - sustain) / decay : sustain;
+                if (state.level <= sustain) {
+                    state.level = sustain;
+                    state.stage = 'sustain';
+                }
+                break;
+            case 'release':
+                state.level = release > 0 ? state.level - step * state.releaseRate : 0;
+                if (state.level <= 0) {
+                    state.level = 0;
+                    state.stage = 'idle';
+                }
+                break;
+        }
+
+        // Once the attack is done, a closed gate releases
+        if (!gate && (state.stage === 'decay' || state.stage === 'sustain')) {
+            state.stage = 'release';
+            state.releaseRate = release > 0 ? state.level / release : Infinity;
+        }
+        return state.level;
+    }
+
+    /**
+     * Settings as plain objects for JSON: { bpm, tempoSignal, modulators: { name: options } }
+     */
+    toJSON() {
+        const modulators = {};
+        this.modulators.forEach(({ options }, name) => { modulators[name] = { ...options }; });
+        return { bpm: this.bpm, tempoSignal: this.tempoSignal, modulators };
+    }
+
+    /**
+     * Replace all modulators with serialized ones; invalid ones are skipped with a warning
+     */
+    load({ bpm, tempoSignal, modulators = {} } = {}) {
+        if (Number.isFinite(bpm) && bpm > 0) this.bpm = bpm;
+        if (tempoSignal !== undefined) this.tempoSignal = tempoSignal;
+
+        this.names().forEach(name => this.remove(name));
+        Object.entries(modulators).forEach(([name, options]) => {
+            try {
+                this.add(name, options);
+            } catch (error) {
+                console.warn(`⚠️ ${error.message} - modulator skipped`);
+            }
+        });
+    }
+
+    validate(name, options) {
+        const where = `Modulators: "${name}"`;
+        const nonNegative = key => {
+            if (!(Number.isFinite(options[key]) && options[key] >= 0)) throw new Error(`${where}: ${key} must be a number >= 0`);
+        };
+
+        if (options.type === 'adsr') {
+            if (typeof options.trigger !== 'string' || !options.trigger) throw new Error(`${where} needs a trigger signal`);
+            ['attack', 'decay', 'release'].forEach(nonNegative);
+            if (!(options.sustain >= 0 && options.sustain <= 1)) throw new Error(`${where}: sustain must be between 0 and 1`);
+        } else {
+            if (options.sync !== null) syncBeats(options.sync);
+            nonNegative('rate');
+            if (options.type === 'lfo' && !LFO_SHAPES[options.shape]) {
+                throw new Error(`${where}: unknown shape "${options.shape}" (expected ${Object.keys(LFO_SHAPES).join(', ')})`);
+            }
+            if (options.type === 'lfo' && !Number.isFinite(options.phase)) throw new Error(`${where}: phase must be a number`);
+            if (options.seed !== undefined && !Number.isInteger(options.seed)) throw new Error(`${where}: seed must be a whole number`);
+        }
+
+        options.enabled = options.enabled !== false;
+        return options;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * VIB34D Signal Bus
+ * Named, typed input signals between input modules and UnifiedReactivitySystem
+ *
+ * Inputs (AudioReactivity6D, TouchGyroscope6D, ...) declare the signals they publish and
+ * publish values every frame; consumers read or subscribe to them by name, without
+ * knowing which module produces them. Values are normalized by type on the way in:
+ *   'level'   - 0..1
+ *   'bipolar' - -1..1
+ *   'gate'    - on/off state, e.g. a pinch in progress
+ *   'trigger' - on/off event, true only on the frame it happens, e.g. a beat
+ *   'angle'   - radians, unbounded
+ *   'number'  - any other finite number, e.g. a tempo in BPM
+ *   'object'  - structured data (e.g. a key estimate), passed through as is
+ * Names are '<publisher>.<signal>', e.g. 'audio.bass' or 'touch.velocity'.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// type -> { normalize(value), neutral }: normalize returns undefined for a value of the wrong kind
+export const SIGNAL_TYPES = {
+    level: { normalize: v => (Number.isFinite(v) ? clamp(v, 0, 1) : undefined), neutral: 0 },
+    bipolar: { normalize: v => (Number.isFinite(v) ? clamp(v, -1, 1) : undefined), neutral: 0 },
+    gate: { normalize: v => !!v, neutral: false },
+    trigger: { normalize: v => !!v, neutral: false },
+    angle: { normalize: v => (Number.isFinite(v) ? v : undefined), neutral: 0 },
+    number: { normalize: v => (Number.isFinite(v) ? v : undefined), neutral: 0 },
+    object: { normalize: v => v, neutral: null }
+};
+
+export class SignalBus {
+    constructor() {
+        this.signals = new Map();     // name -> { name, type, publisher, description, value, timestamp }
+        this.subscribers = new Map(); // name -> Set of callbacks
+        this.warned = new Set();
+    }
+
+    /**
+     * Announce a signal before publishing it; declaring it again with the same type is a no-op
+     * @param {string} name - e.g. 'audio.bass'
+     * @param {Object} options - { type, publisher, description }
+     */
+    declare(name, { type, publisher = name.split('.')[0], description = '' }) {
+        if (!SIGNAL_TYPES[type]) {
+            throw new Error(`SignalBus: unknown type "${type}" for ${name} (expected ${Object.keys(SIGNAL_TYPES).join(', ')})`);
+        }
+
+        const existing = this.signals.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`SignalBus: ${name} is already declared as ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const signal = { name, type, publisher, description, value: SIGNAL_TYPES[type].neutral, timestamp: null };
+        this.signals.set(name, signal);
+        return signal;
+    }
+
+    /**
+     * Withdraw a signal, e.g. when its modulator is removed
+     * @returns {boolean} whether it was declared
+     */
+    remove(name) {
+        return this.signals.delete(name);
+    }
+
+    /**
+     * Set a declared signal's value
+     * @param {number} [timestamp=performance.now()] - ms
+     */
+    publish(name, value, timestamp = performance.now()) {
+        const signal = this.signals.get(name);
+        if (!signal) {
+            throw new Error(`SignalBus: ${name} is published but was never declared`);
+        }
+
+        const normalized = SIGNAL_TYPES[signal.type].normalize(value);
+        if (normalized === undefined) {
+            this.warnOnce(`invalid:${name}`, `⚠️ SignalBus: ignoring ${name} = ${value} (not a valid ${signal.type})`);
+            return;
+        }
+
+        signal.value = normalized;
+        signal.timestamp = timestamp;
+        this.subscribers.get(name)?.forEach(callback => callback(normalized, signal));
+    }
+
+    /**
+     * Publish several signals with one timestamp, e.g. { 'audio.bass': 0.4, 'audio.beat': true }
+     */
+    publishAll(values, timestamp = performance.now()) {
+        Object.entries(values).forEach(([name, value]) => this.publish(name, value, timestamp));
+    }
+
+    /**
+     * Return a publisher's signals to their neutral values, e.g. when an input stops
+     */
+    reset(publisher) {
+        this.signals.forEach(signal => {
+            if (signal.publisher === publisher) {
+                this.publish(signal.name, SIGNAL_TYPES[signal.type].neutral);
+            }
+        });
+    }
+
+    has(name) {
+        return this.signals.has(name);
+    }
+
+    /**
+     * Current value of a signal, or undefined if nobody declared it
+     */
+    get(name) {
+        return this.signals.get(name)?.value;
+    }
+
+    /**
+     * Declared type of a signal, or undefined
+     */
+    getType(name) {
+        return this.signals.get(name)?.type;
+    }
+
+    /**
+     * { name: value } of every declared signal
+     */
+    snapshot() {
+        const values = {};
+        this.signals.forEach((signal, name) => {
+            values[name] = signal.value;
+        });
+        return values;
+    }
+
+    /**
+     * Call back with (value, signal) on every publish of a signal
+     * @returns {Function} unsubscribe
+     */
+    subscribe(name, callback) {
+        if (!this.subscribers.has(name)) this.subscribers.set(name, new Set());
+        this.subscribers.get(name).add(callback);
+        return () => this.subscribers.get(name)?.delete(callback);
+    }
+
+    /**
+     * Names a consumer relies on that nobody has declared; each is warned about once
+     * @param {Array<string>} names
+     * @param {string} consumer - for the warning, e.g. 'route audioBass.scale'
+     */
+    checkSignals(names, consumer) {
+        const missing = names.filter(name => !this.signals.has(name));
+        missing.forEach(name => {
+            this.warnOnce(`missing:${consumer}:${name}`, `⚠️ SignalBus: nobody publishes ${name} (used by ${consumer})`);
+        });
+        return missing;
+    }
+
+    /**
+     * Declared signals without their values: [{ name, type, publisher, description }]
+     */
+    list() {
+        return [...this.signals.values()].map(({ name, type, publisher, description }) => ({ name, type, publisher, description }));
+    }
+
+    warnOnce(key, message) {
+        if (this.warned.has(key)) return;
+        this.warned.add(key);
+        console.warn(message);
+    }
+}
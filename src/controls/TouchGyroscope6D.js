@@ -10,6 +10,8 @@
  * - XZ rotation: Vertical morphing/stretch (gyro Y-axis)
  * - YZ rotation: Twist/torsion effects (pinch gesture)
  *
+ * Publishes TOUCH_SIGNALS on a SignalBus every frame, see connectSignals().
+ *
  * A Paul Phillips Manifestation
  * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
  * Join The Exoditical Moral Architecture Movement: Parserator.com
@@ -18,6 +20,23 @@
  * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
  */
 
+import { FRAME_ORDER, frameScheduler } from '../_shared/scheduler.js';
+import { decayFactor, halfLifeFromFactor } from '../_shared/smoothing.js';
+
+const ROTATION_AXES = ['rot4dXW', 'rot4dYW', 'rot4dZW', 'rot4dXY', 'rot4dXZ', 'rot4dYZ'];
+
+const FULL_TOUCH_SPEED = 2;  // screen diagonals per second that read as touch.velocity 1
+const FULL_GYRO_TILT = 10;   // degrees between orientation readings that read as gyro.tilt 1
+const SIGNAL_HALF_LIFE = 70; // ms for speed and tilt to halve once movement stops
+
+// Signals published on a SignalBus (see connectSignals), name -> type
+export const TOUCH_SIGNALS = {
+    'touch.velocity': 'level',
+    'touch.pinch': 'gate',
+    'gyro.tilt': 'level',
+    ...Object.fromEntries(ROTATION_AXES.map(axis => [`touch.${axis}`, 'angle']))
+};
+
 export class TouchGyroscope6D {
     constructor() {
         this.isActive = false;
@@ -26,6 +45,7 @@ export class TouchGyroscope6D {
         this.hasMouseSupport = true;
 
         // 6D Rotation mappings with ULTRA-INTELLIGENT visual effects
+        // (momentumHalfLife: ms for a rotation to halve after the touch is released)
         this.rotationEffects = {
             rot4dXW: {
                 name: 'Core Depth',
@@ -33,7 +53,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Structures emerge/recede through 4D space',
                 mapping: 'touch-y-axis',
                 sensitivity: 2.0,
-                dampening: 0.95
+                momentumHalfLife: 225
             },
             rot4dYW: {
                 name: 'Lateral Flow',
@@ -41,7 +61,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Flowing patterns sweep left/right through 4D',
                 mapping: 'touch-x-axis',
                 sensitivity: 1.8,
-                dampening: 0.93
+                momentumHalfLife: 160
             },
             rot4dZW: {
                 name: 'Spiral Helix',
@@ -49,7 +69,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Spiraling helical formations',
                 mapping: 'gyro-z-axis',
                 sensitivity: 1.5,
-                dampening: 0.97
+                momentumHalfLife: 380
             },
             rot4dXY: {
                 name: 'Orbital Spin',
@@ -57,7 +77,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Spinning orbital motions',
                 mapping: 'gyro-x-axis',
                 sensitivity: 1.2,
-                dampening: 0.98
+                momentumHalfLife: 570
             },
             rot4dXZ: {
                 name: 'Vertical Morph',
@@ -65,7 +85,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Vertical morphing and stretching',
                 mapping: 'gyro-y-axis',
                 sensitivity: 1.0,
-                dampening: 0.96
+                momentumHalfLife: 285
             },
             rot4dYZ: {
                 name: 'Twist Torsion',
@@ -73,7 +93,7 @@ export class TouchGyroscope6D {
                 visualEffect: 'Twisted torsional effects',
                 mapping: 'pinch-gesture',
                 sensitivity: 2.5,
-                dampening: 0.90
+                momentumHalfLife: 110
             }
         };
 
@@ -91,14 +111,18 @@ export class TouchGyroscope6D {
             deltaX: 0, deltaY: 0,
             pinchDistance: 0,
             isPinching: false,
-            velocity: { x: 0, y: 0 }
+            velocity: { x: 0, y: 0 },
+            speed: 0,                   // screen diagonals per second
+            momentum: false,            // rotations settling after a release
+            lastMoveX: 0, lastMoveY: 0, lastMoveTime: null
         };
 
         // Gyroscope tracking
         this.gyroState = {
             alpha: 0, beta: 0, gamma: 0,
             lastAlpha: 0, lastBeta: 0, lastGamma: 0,
-            deltaAlpha: 0, deltaBeta: 0, deltaGamma: 0
+            deltaAlpha: 0, deltaBeta: 0, deltaGamma: 0,
+            tilt: 0                     // 0-1, how fast the device is tilting
         };
 
         // Advanced gesture recognition
@@ -110,7 +134,9 @@ export class TouchGyroscope6D {
         };
 
         this.updateCallback = null;
-        this.animationFrame = null;
+        this.scheduler = frameScheduler;
+        this.frameTask = deltaMs => this.updateLoop(deltaMs);
+        this.signals = null; // SignalBus, see connectSignals()
 
         console.log('🎮 TouchGyroscope6D: Ultra-intelligent 6D control system initialized');
         console.log('🎮 Visual Effects Mapping:');
@@ -156,6 +182,7 @@ export class TouchGyroscope6D {
                 this.touchState.startY = e.touches[0].clientY;
                 this.touchState.currentX = e.touches[0].clientX;
                 this.touchState.currentY = e.touches[0].clientY;
+                this.touchState.lastMoveTime = null;
 
                 console.log('🎮 TouchGyroscope6D: Single touch - Core Depth & Lateral Flow control active');
             } else if (e.touches.length === 2) {
@@ -198,6 +225,7 @@ export class TouchGyroscope6D {
             this.touchState.startY = e.clientY;
             this.touchState.currentX = e.clientX;
             this.touchState.currentY = e.clientY;
+            this.touchState.lastMoveTime = null;
         });
 
         document.addEventListener('mousemove', (e) => {
@@ -302,6 +330,20 @@ export class TouchGyroscope6D {
         // Calculate velocity for momentum
         this.touchState.velocity.x = this.touchState.deltaX * 0.1;
         this.touchState.velocity.y = this.touchState.deltaY * 0.1;
+
+        // Speed of the drag since the last move, for touch.velocity
+        const now = performance.now();
+        if (this.touchState.lastMoveTime !== null) {
+            const elapsed = Math.max(1, now - this.touchState.lastMoveTime) / 1000;
+            const distance = Math.hypot(
+                this.touchState.currentX - this.touchState.lastMoveX,
+                this.touchState.currentY - this.touchState.lastMoveY
+            );
+            this.touchState.speed = distance / Math.hypot(window.innerWidth, window.innerHeight) / elapsed;
+        }
+        this.touchState.lastMoveX = this.touchState.currentX;
+        this.touchState.lastMoveY = this.touchState.currentY;
+        this.touchState.lastMoveTime = now;
     }
 
     /**
@@ -323,6 +365,7 @@ export class TouchGyroscope6D {
         this.gyroState.deltaAlpha = this.gyroState.alpha - this.gyroState.lastAlpha;
         this.gyroState.deltaBeta = this.gyroState.beta - this.gyroState.lastBeta;
         this.gyroState.deltaGamma = this.gyroState.gamma - this.gyroState.lastGamma;
+        this.gyroState.tilt = Math.min(1, Math.hypot(this.gyroState.deltaBeta, this.gyroState.deltaGamma) / FULL_GYRO_TILT);
 
         // ULTRA-INTELLIGENT GYROSCOPE MAPPING:
 
@@ -343,29 +386,24 @@ export class TouchGyroscope6D {
     }
 
     /**
-     * Apply momentum dampening after touch release
+     * Apply momentum dampening after touch release: the update loop lets the rotations
+     * settle until the next touch
      */
     applyTouchMomentum() {
-        const dampening = () => {
-            // Apply dampening to all rotations
-            Object.keys(this.rotations).forEach(axis => {
-                this.rotations[axis] *= this.rotationEffects[axis].dampening;
-            });
-
-            // Continue dampening until values are negligible
-            const totalRotation = Object.values(this.rotations).reduce((sum, val) => sum + Math.abs(val), 0);
-
-            if (totalRotation > 0.001 && this.isActive) {
-                requestAnimationFrame(dampening);
+        this.touchState.momentum = true;
+    }
 
-                // Send updates during dampening
-                if (this.updateCallback) {
-                    this.updateCallback(this.rotations);
-                }
-            }
-        };
+    /**
+     * Decay all rotations by their momentum half-life
+     */
+    dampenRotations(deltaMs) {
+        Object.keys(this.rotations).forEach(axis => {
+            this.rotations[axis] *= decayFactor(this.rotationEffects[axis].momentumHalfLife, deltaMs);
+        });
 
-        dampening();
+        // Stop once values are negligible
+        const totalRotation = Object.values(this.rotations).reduce((sum, val) => sum + Math.abs(val), 0);
+        if (totalRotation <= 0.001) this.touchState.momentum = false;
     }
 
     /**
@@ -381,11 +419,17 @@ export class TouchGyroscope6D {
      * Start control system
      */
     start(updateCallback) {
+        // Already running: keep the one frame task
+        if (this.isActive) {
+            if (updateCallback) this.updateCallback = updateCallback;
+            return;
+        }
+
         this.isActive = true;
         this.updateCallback = updateCallback;
 
-        // Start continuous update loop
-        this.updateLoop();
+        // Run the update every frame
+        this.scheduler.add(this.frameTask, { order: FRAME_ORDER.input, name: 'TouchGyroscope6D' });
 
         console.log('🎮 TouchGyroscope6D: 6D control system activated');
         console.log('🎮 Touch for Core Depth & Lateral Flow, Gyro for Spiral/Orbital/Vertical, Pinch for Twist');
@@ -397,27 +441,35 @@ export class TouchGyroscope6D {
     stop() {
         this.isActive = false;
         this.updateCallback = null;
+        this.signals?.reset('touch');
 
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
+        this.scheduler.remove(this.frameTask);
 
         console.log('🎮 TouchGyroscope6D: Control system stopped');
     }
 
     /**
-     * Main update loop
+     * Main update, run every frame by the scheduler
+     * @param {number} deltaMs - time since the previous frame
      */
-    updateLoop() {
+    updateLoop(deltaMs) {
         if (!this.isActive) return;
 
+        if (this.touchState.momentum && !this.touchState.isActive) {
+            this.dampenRotations(deltaMs);
+        }
+
         // Send rotation updates
         if (this.updateCallback) {
             this.updateCallback(this.rotations);
         }
 
-        // Continue loop
-        this.animationFrame = requestAnimationFrame(() => this.updateLoop());
+        this.signals?.publishAll(this.getSignals());
+
+        // Speed and tilt fade out between movements
+        const fade = decayFactor(SIGNAL_HALF_LIFE, deltaMs);
+        this.touchState.speed *= fade;
+        this.gyroState.tilt *= fade;
     }
 
     /**
@@ -432,11 +484,21 @@ export class TouchGyroscope6D {
 
     /**
      * Set dampening for specific rotation axis
+     * @param {number} dampening - momentum kept per frame at 60 fps (0..1), as before
+     *   momentum became frame-rate independent; see setDampeningHalfLife()
      */
     setDampening(axis, dampening) {
+        this.setDampeningHalfLife(axis, halfLifeFromFactor(dampening));
+    }
+
+    /**
+     * Set how quickly a rotation axis' momentum fades after a release
+     * @param {number} halfLife - ms for the axis' momentum to halve
+     */
+    setDampeningHalfLife(axis, halfLife) {
         if (this.rotationEffects[axis]) {
-            this.rotationEffects[axis].dampening = dampening;
-            console.log(`🎮 TouchGyroscope6D: ${axis} dampening set to ${dampening}`);
+            this.rotationEffects[axis].momentumHalfLife = halfLife;
+            console.log(`🎮 TouchGyroscope6D: ${axis} momentum half-life set to ${halfLife} ms`);
         }
     }
 
@@ -450,6 +512,8 @@ export class TouchGyroscope6D {
             hasGyro: this.hasGyroscope,
             touchActive: this.touchState.isActive,
             pinchActive: this.touchState.isPinching,
+            touchSpeed: this.touchState.speed,
+            gyroTilt: this.gyroState.tilt,
             rotations: { ...this.rotations },
             effects: Object.entries(this.rotationEffects).map(([axis, effect]) => ({
                 axis,
@@ -460,6 +524,29 @@ export class TouchGyroscope6D {
         };
     }
 
+    /**
+     * Publish TOUCH_SIGNALS on a SignalBus every frame
+     * @param {SignalBus} bus
+     */
+    connectSignals(bus) {
+        Object.entries(TOUCH_SIGNALS).forEach(([name, type]) => {
+            bus.declare(name, { type, publisher: 'touch' });
+        });
+        this.signals = bus;
+    }
+
+    /**
+     * Current TOUCH_SIGNALS values
+     */
+    getSignals() {
+        return {
+            'touch.velocity': this.touchState.speed / FULL_TOUCH_SPEED,
+            'touch.pinch': this.touchState.isPinching,
+            'gyro.tilt': this.gyroState.tilt,
+            ...Object.fromEntries(ROTATION_AXES.map(axis => [`touch.${axis}`, this.rotations[axis]]))
+        };
+    }
+
     /**
      * Reset all rotations
      */
@@ -12,8 +12,19 @@
  * - When one parameter peaks, others respond in harmony or opposition
  * - Natural breathing/pulsing effects through parameter coupling
  * - Musical harmony detection affects color relationships
+ * - The song's key sets the hue on a circle-of-fifths color wheel
  * - Gesture recognition triggers parameter cascades
  *
+ * Inputs are read through a SignalBus (e.g. 'audio.bass', 'touch.velocity') and routed to
+ * parameters by a ModulationMatrix. RELATIONSHIPS (src/_shared/reactivity.js) are the
+ * default routing; routes can be added, changed and removed at runtime and are saved
+ * with presets. Modulators (LFOs, sample-and-hold, drift, envelopes) are signal sources
+ * too; the breathing patterns are three of them.
+ *
+ * Each rotation plane follows its inputs in one of ROTATION_MODES: as an offset from the
+ * base angle that returns when the input stops, or as an angular velocity, so the plane
+ * keeps turning, with friction, a speed limit and an optional auto-rotation.
+ *
  * A Paul Phillips Manifestation
  * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
  * Join The Exoditical Moral Architecture Movement: Parserator.com
@@ -22,102 +33,97 @@
  * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
  */
 
+import {
+    CORE_PARAMETERS,
+    ROTATION_PARAMETERS,
+    constrainValue,
+    getDefault,
+    getParameterSpec,
+    shortestDelta
+} from '../_shared/parameters.js';
+import { wrapAngle } from '../_shared/math4d.js';
+import {
+    BREATHING,
+    RELATIONSHIPS,
+    breathingModulator,
+    breathingRoutes,
+    defaultRoutes,
+    relationshipRoutes
+} from '../_shared/reactivity.js';
+import { FRAME_ORDER, frameScheduler } from '../_shared/scheduler.js';
+import { smoothTowards, springTowards } from '../_shared/smoothing.js';
+import { audioSignals } from '../audio/AudioReactivity6D.js';
+import { keyToHue } from '../audio/harmony.js';
+import { analysisFrameAt, parseAnalysis } from '../audio/OfflineAudioAnalyzer.js';
+import { ModulationMatrix } from './ModulationMatrix.js';
+import { ModulatorBank } from './Modulators.js';
+import { SignalBus } from './SignalBus.js';
+
+export { BREATHING, RELATIONSHIPS, breathingRoutes, relationshipRoutes };
+
+const MAX_SMOOTHING_STEP = 100; // ms; a longer gap (stall, seek) smooths like one long frame
+
+// Parameter smoothing: 'exponential' approach, or a critically damped 'spring' that also
+// eases in when the target jumps
+export const SMOOTHING_FILTERS = ['exponential', 'spring'];
+
+// How a rotation plane follows its inputs (routes and input rotations, in radians):
+//   'offset'   - added to the base angle; the plane returns when the input stops
+//   'velocity' - accelerates the plane by drive rad/s² per radian; the angle keeps
+//                advancing, wrapped to -PI..PI
+export const ROTATION_MODES = ['offset', 'velocity'];
+
+// friction: share of the speed (above autoRotate) lost per second, 0 spins freely
+// maxSpeed, autoRotate: rad/s; autoRotate is the speed the plane settles at
+export const ROTATION_MOTION_DEFAULTS = { mode: 'offset', drive: 1, friction: 0.5, maxSpeed: Math.PI, autoRotate: 0 };
+
 export class UnifiedReactivitySystem {
     constructor() {
         this.isActive = false;
 
-        // ALL VISUAL PARAMETERS with intelligent relationships
-        this.parameters = {
-            // 6D Rotations (primary from other systems)
-            rot4dXW: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            rot4dYW: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            rot4dZW: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            rot4dXY: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            rot4dXZ: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            rot4dYZ: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-
-            // Core Visual Parameters
-            geometry: { value: 0, base: 0, reactive: 0, smoothed: 0 },
-            gridDensity: { value: 15, base: 15, reactive: 0, smoothed: 15 },
-            morphFactor: { value: 0.5, base: 0.5, reactive: 0, smoothed: 0.5 },
-            chaos: { value: 0.2, base: 0.2, reactive: 0, smoothed: 0.2 },
-            speed: { value: 1.0, base: 1.0, reactive: 0, smoothed: 1.0 },
-            scale: { value: 1.0, base: 1.0, reactive: 0, smoothed: 1.0 },
-
-            // Color Parameters
-            hue: { value: 200, base: 200, reactive: 0, smoothed: 200 },
-            intensity: { value: 0.9, base: 0.9, reactive: 0, smoothed: 0.9 },
-            saturation: { value: 0.6, base: 0.6, reactive: 0, smoothed: 0.6 }
-        };
+        // ALL VISUAL PARAMETERS with intelligent relationships (defaults from the schema)
+        // 6D Rotations (primary from other systems), core visual and color parameters
+        this.parameters = {};
+        [...ROTATION_PARAMETERS, 'geometry', ...CORE_PARAMETERS].forEach(name => {
+            const value = getDefault(name);
+            this.parameters[name] = { value, base: value, reactive: 0, smoothed: value, velocity: 0 };
+        });
 
-        // ULTRA-INTELLIGENT PARAMETER RELATIONSHIPS
-        this.relationships = {
-            // AUDIO BASS -> Multiple parameter effects
-            audioBass: {
-                positive: ['rot4dXW', 'rot4dYW', 'scale', 'intensity'],  // Increase with bass
-                negative: ['gridDensity', 'saturation', 'speed'],         // Decrease with bass (inverse)
-                multipliers: { rot4dXW: 2.0, rot4dYW: 1.5, scale: 0.5, intensity: 0.3, gridDensity: -0.3, saturation: -0.2, speed: -0.2 }
-            },
-
-            // AUDIO MID -> Morph and chaos effects
-            audioMid: {
-                positive: ['morphFactor', 'chaos', 'rot4dZW', 'rot4dXY'],
-                negative: ['gridDensity'],
-                multipliers: { morphFactor: 1.0, chaos: 0.8, rot4dZW: 1.2, rot4dXY: 1.0, gridDensity: -0.2 }
-            },
-
-            // AUDIO HIGH -> Color and fine details
-            audioHigh: {
-                positive: ['hue', 'rot4dXZ', 'rot4dYZ', 'speed'],
-                negative: ['scale', 'morphFactor'],
-                multipliers: { hue: 50, rot4dXZ: 0.8, rot4dYZ: 0.8, speed: 0.4, scale: -0.2, morphFactor: -0.3 }
-            },
-
-            // TOUCH VELOCITY -> Chaos and energy
-            touchVelocity: {
-                positive: ['chaos', 'intensity', 'speed'],
-                negative: ['saturation', 'gridDensity'],
-                multipliers: { chaos: 0.6, intensity: 0.4, speed: 0.3, saturation: -0.3, gridDensity: -0.4 }
-            },
-
-            // GYROSCOPE TILT -> Spatial transformations
-            gyroscopeTilt: {
-                positive: ['morphFactor', 'hue', 'scale'],
-                negative: ['speed', 'chaos'],
-                multipliers: { morphFactor: 0.8, hue: 30, scale: 0.3, speed: -0.2, chaos: -0.2 }
-            },
-
-            // PINCH GESTURE -> Scale and detail
-            pinchGesture: {
-                positive: ['scale', 'gridDensity', 'intensity'],
-                negative: ['chaos', 'speed'],
-                multipliers: { scale: 1.0, gridDensity: 0.5, intensity: 0.3, chaos: -0.4, speed: -0.3 }
-            },
-
-            // BEAT DETECTION -> Synchronized bursts
-            beatDetected: {
-                positive: ['intensity', 'chaos', 'speed', 'scale'],
-                negative: ['saturation'],
-                multipliers: { intensity: 0.8, chaos: 0.6, speed: 0.5, scale: 0.4, saturation: -0.2 }
-            },
-
-            // HARMONIC RESONANCE -> Color harmony
-            harmonicResonance: {
-                positive: ['hue', 'saturation', 'intensity'],
-                negative: ['chaos'],
-                multipliers: { hue: 20, saturation: 0.3, intensity: 0.2, chaos: -0.3 }
-            }
-        };
+        // Hue of C major on the key color wheel; other keys follow the circle of fifths
+        this.keyHueOffset = 0;
 
-        // BREATHING PATTERNS - Natural parameter oscillations
-        this.breathingPatterns = {
-            enabled: true,
-            cycles: {
-                slow: { period: 8000, amplitude: 0.1, params: ['intensity', 'saturation'] },
-                medium: { period: 4000, amplitude: 0.05, params: ['morphFactor', 'scale'] },
-                fast: { period: 2000, amplitude: 0.03, params: ['hue', 'chaos'] }
-            }
-        };
+        // LFOs, envelopes and other autonomous sources, starting with the breathing cycles
+        this.breathingEnabled = true;
+        this.modulators = new ModulatorBank();
+        Object.keys(BREATHING).forEach(name => {
+            this.modulators.add(`breathing.${name}`, breathingModulator(name));
+        });
+
+        // Publishers whose '<publisher>.rot4d*' signals add to the rotations
+        this.rotationSources = ['audio', 'touch'];
+
+        // Per-plane rotation mode (see setRotationMotion()) and the velocity-mode state
+        this.rotationMotion = {};
+        this.rotationSpin = {};
+        ROTATION_PARAMETERS.forEach(axis => {
+            this.rotationMotion[axis] = { ...ROTATION_MOTION_DEFAULTS };
+            this.rotationSpin[axis] = { angle: 0, velocity: 0 };
+        });
+
+        // Named input signals, published by the input sources (see initialize()), by the
+        // modulators and by readSignals()
+        this.signals = new SignalBus();
+        this.modulators.connectSignals(this.signals);
+        this.signals.declare('reactivity.keyHue', {
+            type: 'bipolar', publisher: 'reactivity',
+            description: 'way from the base hue to the key hue, -1..1 for -180..180 degrees, times the key confidence'
+        });
+
+        // Signal -> parameter routes, seeded with RELATIONSHIPS and BREATHING
+        this.modulation = new ModulationMatrix({
+            targets: Object.keys(this.parameters),
+            routes: defaultRoutes()
+        });
 
         // Input sources
         this.inputSources = {
@@ -126,16 +132,23 @@ export class UnifiedReactivitySystem {
             gyroscope: null
         };
 
-        // Smoothing factors for each parameter type
-        this.smoothingFactors = {
-            rotations: 0.15,
-            core: 0.08,
-            color: 0.12,
-            advanced: 0.10
+        // Smoothing half-life in ms for each parameter type: the time to cover half the way
+        // to a new value, the same at any frame rate
+        this.smoothingHalfLives = {
+            rotations: 70,
+            core: 140,
+            color: 90,
+            advanced: 110
         };
+        this.smoothingFilter = 'exponential';
+
+        // Precomputed audio analysis replayed instead of the live levels, see setAudioAnalysis()
+        this.audioAnalysis = null;
 
         this.updateCallback = null;
-        this.lastUpdateTime = Date.now();
+        this.lastUpdateTime = null;
+        this.scheduler = frameScheduler;
+        this.frameTask = (deltaMs, timestamp) => this.processReactivity(deltaMs, timestamp);
 
         console.log('🌊 UnifiedReactivitySystem: Comprehensive parameter coordination initialized');
         console.log('🌊 Relationships configured for complementary & inverse reactions');
@@ -149,6 +162,11 @@ export class UnifiedReactivitySystem {
         this.inputSources.touch = touchSystem;
         this.inputSources.gyroscope = gyroscopeSystem;
 
+        // Each source publishes its signals on our bus (touch and gyroscope may be one module)
+        new Set([audioSystem, touchSystem, gyroscopeSystem]).forEach(source => {
+            source?.connectSignals?.(this.signals);
+        });
+
         console.log('✅ UnifiedReactivitySystem: Connected to all input sources');
         return true;
     }
@@ -157,11 +175,21 @@ export class UnifiedReactivitySystem {
      * Start unified reactivity processing
      */
     start(updateCallback) {
+        // Already running: keep the one frame task
+        if (this.isActive) {
+            if (updateCallback) this.updateCallback = updateCallback;
+            return;
+        }
+
         this.isActive = true;
         this.updateCallback = updateCallback;
 
-        // Start processing loop
-        this.processReactivity();
+        // Warn about routes and envelopes nobody drives
+        this.checkRoutes(this.modulation.getRoutes());
+        this.checkModulators(this.modulators.names());
+
+        // Run after the inputs every frame
+        this.scheduler.add(this.frameTask, { order: FRAME_ORDER.reactivity, name: 'UnifiedReactivitySystem' });
 
         console.log('🌊 UnifiedReactivitySystem: Unified parameter reactivity started');
     }
@@ -172,185 +200,200 @@ export class UnifiedReactivitySystem {
     stop() {
         this.isActive = false;
         this.updateCallback = null;
+        this.scheduler.remove(this.frameTask);
 
         console.log('🌊 UnifiedReactivitySystem: Reactivity processing stopped');
     }
 
     /**
-     * Main reactivity processing loop
+     * Main reactivity processing step, run every frame by the scheduler
+     * @param {number} deltaMs - time since the previous frame
+     * @param {number} timestamp - frame time in ms
      */
-    processReactivity() {
+    processReactivity(deltaMs, timestamp) {
         if (!this.isActive) return;
 
-        const currentTime = Date.now();
-        const deltaTime = currentTime - this.lastUpdateTime;
+        const finalParameters = this.update(timestamp, { deltaMs });
+
+        // Send updates
+        if (this.updateCallback) {
+            this.updateCallback(finalParameters);
+        }
+    }
+
+    /**
+     * Advance every input, relationship and smoothing step by one frame
+     * Offline renders call this once per exported frame with the frame time, e.g.
+     *   parameters: time => unified.update(time * 1000, { audioTime: time })
+     * which together with an audio analysis track gives the same result on every run.
+     * @param {number} currentTime - ms, drives the modulators
+     * @param {Object} [options]
+     * @param {number} [options.audioTime] - seconds into the analysis track (default: its getTime())
+     * @param {number} [options.deltaMs] - ms since the previous frame, for smoothing
+     *   (default: the step from the previous currentTime)
+     * @returns {Object} final parameter values
+     */
+    update(currentTime, { audioTime, deltaMs } = {}) {
+        if (deltaMs === undefined) {
+            const elapsed = this.lastUpdateTime === null ? 0 : currentTime - this.lastUpdateTime;
+            deltaMs = Math.max(0, Math.min(MAX_SMOOTHING_STEP, elapsed));
+        }
 
         // Reset reactive values
         Object.keys(this.parameters).forEach(param => {
             this.parameters[param].reactive = 0;
         });
 
-        // Process all input sources
-        this.processAudioReactivity();
-        this.processTouchReactivity();
-        this.processGyroscopeReactivity();
-
-        // Apply breathing patterns
-        this.applyBreathingPatterns(currentTime);
+        // Inputs, then the modulators (envelopes follow input triggers), then every route
+        // and rotation from the signals
+        const signals = this.readSignals(audioTime);
+        Object.assign(signals, this.modulators.process(currentTime / 1000, signals));
+        this.processSignals(signals);
+        this.integrateRotations(deltaMs);
 
         // Apply parameter relationships and smoothing
         this.applyParameterRelationships();
-        this.smoothParameters();
-
-        // Send updates
-        if (this.updateCallback) {
-            const finalParameters = {};
-            Object.keys(this.parameters).forEach(param => {
-                finalParameters[param] = this.parameters[param].smoothed;
-            });
-            this.updateCallback(finalParameters);
-        }
+        this.smoothParameters(deltaMs);
 
         this.lastUpdateTime = currentTime;
 
-        // Continue processing
-        requestAnimationFrame(() => this.processReactivity());
+        const finalParameters = {};
+        Object.keys(this.parameters).forEach(param => {
+            finalParameters[param] = this.parameters[param].smoothed;
+        });
+        return finalParameters;
     }
 
     /**
-     * Process audio input with intelligent parameter mapping
+     * Replay a precomputed analysis track (OfflineAudioAnalyzer) instead of the live audio
+     * levels, frame-accurately at the track position
+     * @param {Object|string|ArrayBuffer|null} track - analysis track; null returns to live levels
+     * @param {Function} [getTime] - () => seconds into the track; defaults to the audio
+     *   source's playback position
      */
-    processAudioReactivity() {
-        if (!this.inputSources.audio || !this.inputSources.audio.getAudioLevels) return;
-
-        const audioLevels = this.inputSources.audio.getAudioLevels();
-        if (!audioLevels) return;
-
-        // BASS -> Scale, rotations UP; Grid density, saturation DOWN
-        this.applyRelationship('audioBass', audioLevels.bass);
-
-        // MID -> Morph, chaos, spatial rotations
-        this.applyRelationship('audioMid', audioLevels.mid);
-
-        // HIGH -> Color changes, detail rotations
-        this.applyRelationship('audioHigh', audioLevels.high);
-
-        // Beat detection -> Synchronized bursts
-        if (audioLevels.beatDetected) {
-            this.applyRelationship('beatDetected', 1.0);
+    setAudioAnalysis(track, getTime = null) {
+        if (!track) {
+            this.audioAnalysis = null;
+            console.log('🌊 UnifiedReactivitySystem: Using live audio levels');
+            return;
         }
 
-        // Harmonic resonance -> Color harmony
-        if (audioLevels.harmonicResonance) {
-            this.applyRelationship('harmonicResonance', audioLevels.harmonicResonance);
-        }
-
-        // Copy audio rotations to our system
-        if (audioLevels.rotations) {
-            Object.keys(audioLevels.rotations).forEach(axis => {
-                if (this.parameters[axis]) {
-                    this.parameters[axis].reactive += audioLevels.rotations[axis];
-                }
-            });
-        }
+        const parsed = track.data instanceof Float32Array ? track : parseAnalysis(track);
+        this.audioAnalysis = {
+            track: parsed,
+            getTime: getTime || (() => this.inputSources.audio?.getPlaybackState?.()?.currentTime ?? 0)
+        };
+        console.log(`🌊 UnifiedReactivitySystem: Replaying audio analysis (${parsed.frameCount} frames at ${parsed.fps} fps)`);
     }
 
     /**
-     * Process touch input with velocity-based effects
+     * Signal values for this frame: the bus, with the audio signals replayed from the
+     * analysis track when one is set, and reactivity.keyHue derived from the key
      */
-    processTouchReactivity() {
-        if (!this.inputSources.touch) return;
-
-        const controlState = this.inputSources.touch.getControlState();
-        if (!controlState) return;
-
-        // Calculate touch velocity
-        const touchVelocity = Math.sqrt(
-            controlState.touchVelocity?.x ** 2 + controlState.touchVelocity?.y ** 2 || 0
-        ) * 0.01;
+    readSignals(audioTime) {
+        const values = this.signals.snapshot();
 
-        // Touch velocity -> Chaos, intensity UP; Saturation, grid DOWN
-        this.applyRelationship('touchVelocity', touchVelocity);
-
-        // Pinch gesture -> Scale and detail effects
-        if (controlState.pinchActive) {
-            this.applyRelationship('pinchGesture', 1.0);
+        // Silent while audio reactivity is switched off: stopped audio publishes neutral values
+        if (this.audioAnalysis && this.inputSources.audio?.isListening !== false) {
+            const { track, getTime } = this.audioAnalysis;
+            Object.assign(values, audioSignals(analysisFrameAt(track, audioTime ?? getTime())));
         }
 
-        // Copy touch rotations
-        if (controlState.rotations) {
-            Object.keys(controlState.rotations).forEach(axis => {
-                if (this.parameters[axis]) {
-                    this.parameters[axis].reactive += controlState.rotations[axis];
-                }
-            });
-        }
+        values['reactivity.keyHue'] = this.keyHue(values['audio.key']);
+        this.signals.publish('reactivity.keyHue', values['reactivity.keyHue']);
+        return values;
     }
 
     /**
-     * Process gyroscope input with tilt-based transformations
+     * Musical key -> Hue: the shorter way round from the base hue to the key's hue, as far
+     * as the key estimate is certain (-1..1 for -180..180 degrees)
      */
-    processGyroscopeReactivity() {
-        if (!this.inputSources.gyroscope) return;
-
-        const controlState = this.inputSources.gyroscope.getControlState();
-        if (!controlState) return;
-
-        // Calculate total gyroscope tilt
-        const gyroTilt = Math.sqrt(
-            (controlState.gyroState?.deltaBeta ** 2 || 0) +
-            (controlState.gyroState?.deltaGamma ** 2 || 0)
-        ) * 0.1;
-
-        // Gyro tilt -> Morph, hue, scale UP; Speed, chaos DOWN
-        this.applyRelationship('gyroscopeTilt', gyroTilt);
-
-        // Copy gyroscope rotations
-        if (controlState.rotations) {
-            Object.keys(controlState.rotations).forEach(axis => {
-                if (this.parameters[axis]) {
-                    this.parameters[axis].reactive += controlState.rotations[axis];
-                }
-            });
-        }
+    keyHue(key) {
+        if (!key) return 0;
+        const offset = keyToHue(key, this.keyHueOffset) - this.parameters.hue.base;
+        const shortest = ((offset % 360) + 540) % 360 - 180;
+        return shortest / 180 * key.confidence;
     }
 
     /**
-     * Apply parameter relationship
+     * Apply every modulation route, and add the inputs' rotations
      */
-    applyRelationship(relationshipName, intensity) {
-        const relationship = this.relationships[relationshipName];
-        if (!relationship) return;
+    processSignals(values) {
+        const offsets = this.modulation.evaluate(values, name => this.signals.getType(name));
+        Object.entries(offsets).forEach(([param, offset]) => {
+            this.parameters[param].reactive += offset;
+        });
 
-        // Apply positive relationships
-        relationship.positive.forEach(param => {
-            const multiplier = relationship.multipliers[param] || 1.0;
-            this.parameters[param].reactive += intensity * multiplier;
+        // Copy input rotations to our system
+        this.rotationSources.forEach(source => {
+            ROTATION_PARAMETERS.forEach(axis => {
+                this.parameters[axis].reactive += values[`${source}.${axis}`] || 0;
+            });
         });
+    }
 
-        // Apply negative (inverse) relationships
-        relationship.negative.forEach(param => {
-            const multiplier = Math.abs(relationship.multipliers[param]) || 1.0;
-            this.parameters[param].reactive -= intensity * multiplier;
+    /**
+     * Velocity-mode planes: the plane's input accelerates it, friction slows it towards its
+     * auto-rotation speed, and its reactive value becomes the accumulated angle
+     * @param {number} deltaMs - time since the previous frame
+     */
+    integrateRotations(deltaMs) {
+        const seconds = deltaMs / 1000;
+
+        ROTATION_PARAMETERS.forEach(axis => {
+            const { mode, drive, friction, maxSpeed, autoRotate } = this.rotationMotion[axis];
+            if (mode !== 'velocity') return;
+
+            const p = this.parameters[axis];
+            const spin = this.rotationSpin[axis];
+            const acceleration = p.reactive * drive;
+            const previous = spin.velocity;
+
+            // dv/dt = acceleration - k * (v - autoRotate), solved over the frame, so the
+            // motion is the same at any frame rate
+            const k = -Math.log(1 - Math.min(friction, 0.999999));
+            if (k > 0) {
+                const settled = autoRotate + acceleration / k;
+                spin.velocity = settled + (previous - settled) * Math.exp(-k * seconds);
+            } else {
+                spin.velocity = previous + acceleration * seconds;
+            }
+            spin.velocity = Math.max(-maxSpeed, Math.min(maxSpeed, spin.velocity));
+
+            spin.angle = wrapAngle(spin.angle + (previous + spin.velocity) / 2 * seconds);
+            p.reactive = spin.angle;
         });
     }
 
     /**
-     * Apply natural breathing patterns
+     * Change how a rotation plane follows its inputs; changing the mode restarts the plane
+     * from its base angle
+     * @param {string} axis - e.g. 'rot4dXW'
+     * @param {Object} changes - { mode, drive, friction, maxSpeed, autoRotate }, see
+     *   ROTATION_MODES and ROTATION_MOTION_DEFAULTS
+     * @returns {Object} the plane's settings
      */
-    applyBreathingPatterns(currentTime) {
-        if (!this.breathingPatterns.enabled) return;
+    setRotationMotion(axis, changes) {
+        const current = this.rotationMotion[axis];
+        if (!current) {
+            throw new Error(`UnifiedReactivitySystem: unknown rotation plane "${axis}" (expected ${ROTATION_PARAMETERS.join(', ')})`);
+        }
 
-        Object.values(this.breathingPatterns.cycles).forEach(cycle => {
-            const phase = (currentTime % cycle.period) / cycle.period * 2 * Math.PI;
-            const oscillation = Math.sin(phase) * cycle.amplitude;
+        const motion = { ...current, ...changes };
+        const where = `UnifiedReactivitySystem: ${axis}`;
+        if (!ROTATION_MODES.includes(motion.mode)) {
+            throw new Error(`${where}: unknown rotation mode "${motion.mode}" (expected ${ROTATION_MODES.join(', ')})`);
+        }
+        if (!Number.isFinite(motion.drive)) throw new Error(`${where}: drive must be a number`);
+        if (!(motion.friction >= 0 && motion.friction <= 1)) throw new Error(`${where}: friction must be between 0 and 1`);
+        if (!(Number.isFinite(motion.maxSpeed) && motion.maxSpeed >= 0)) throw new Error(`${where}: maxSpeed must be a number >= 0`);
+        if (!Number.isFinite(motion.autoRotate)) throw new Error(`${where}: autoRotate must be a number`);
 
-            cycle.params.forEach(param => {
-                if (this.parameters[param]) {
-                    this.parameters[param].reactive += oscillation;
-                }
-            });
-        });
+        if (motion.mode !== current.mode) {
+            this.rotationSpin[axis] = { angle: 0, velocity: 0 };
+        }
+        this.rotationMotion[axis] = motion;
+        return motion;
     }
 
     /**
@@ -372,57 +415,68 @@ export class UnifiedReactivitySystem {
      * Constrain parameters to valid ranges
      */
     constrainParameter(param, value) {
-        const constraints = {
-            geometry: { min: 0, max: 9 },
-            gridDensity: { min: 1, max: 64 },
-            morphFactor: { min: 0, max: 2 },
-            chaos: { min: 0, max: 1 },
-            speed: { min: 0.1, max: 3 },
-            scale: { min: 0.25, max: 3 },
-            hue: { min: 0, max: 360, wrap: true },
-            intensity: { min: 0, max: 2 },
-            saturation: { min: 0, max: 1 }
-        };
-
-        const constraint = constraints[param];
-        if (!constraint) return value; // No constraints for rotations
+        // Offset-mode rotations stay unwrapped here so smoothing never jumps by a full turn;
+        // velocity-mode ones wrap, and their smoothing takes the shorter way round
+        if (this.rotationMotion[param]?.mode === 'velocity') return wrapAngle(value);
+        if (getParameterSpec(param)?.type === 'angle') return value;
 
-        if (constraint.wrap) {
-            // Wrap around for hue
-            while (value < constraint.min) value += (constraint.max - constraint.min);
-            while (value > constraint.max) value -= (constraint.max - constraint.min);
-        } else {
-            // Clamp to range
-            value = Math.max(constraint.min, Math.min(constraint.max, value));
-        }
-
-        return value;
+        return constrainValue(param, value);
     }
 
     /**
      * Apply smoothing to all parameters
+     * @param {number} deltaMs - time since the previous frame
      */
-    smoothParameters() {
+    smoothParameters(deltaMs) {
         Object.keys(this.parameters).forEach(param => {
             const p = this.parameters[param];
 
-            // Determine smoothing factor based on parameter type
-            let smoothingFactor;
+            // Determine smoothing half-life based on parameter type
+            let halfLife;
             if (param.startsWith('rot4d')) {
-                smoothingFactor = this.smoothingFactors.rotations;
+                halfLife = this.smoothingHalfLives.rotations;
             } else if (['hue', 'intensity', 'saturation'].includes(param)) {
-                smoothingFactor = this.smoothingFactors.color;
+                halfLife = this.smoothingHalfLives.color;
             } else if (['geometry', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'scale'].includes(param)) {
-                smoothingFactor = this.smoothingFactors.core;
+                halfLife = this.smoothingHalfLives.core;
             } else {
-                smoothingFactor = this.smoothingFactors.advanced;
+                halfLife = this.smoothingHalfLives.advanced;
             }
 
-            // Apply exponential smoothing
-            p.smoothed = p.smoothed + (p.value - p.smoothed) * smoothingFactor;
+            // Hue and spinning rotations go the shorter way round, so a change of key from 350
+            // to 10 degrees does not sweep through the whole wheel
+            const spec = getParameterSpec(param);
+            const spinning = this.rotationMotion[param]?.mode === 'velocity';
+            const wraps = spec?.wrap && (spec.type !== 'angle' || spinning);
+            const target = wraps ? p.smoothed + shortestDelta(param, p.smoothed, p.value) : p.value;
+
+            if (this.smoothingFilter === 'spring') {
+                const state = springTowards({ value: p.smoothed, velocity: p.velocity }, target, halfLife, deltaMs);
+                p.smoothed = state.value;
+                p.velocity = state.velocity;
+            } else {
+                p.smoothed = smoothTowards(p.smoothed, target, halfLife, deltaMs);
+            }
+            if (spinning) {
+                p.smoothed = wrapAngle(p.smoothed);
+            } else if (wraps) {
+                p.smoothed = constrainValue(param, p.smoothed);
+            }
         });
     }
 
+    /**
+     * Choose the smoothing filter, see SMOOTHING_FILTERS
+     */
+    setSmoothingFilter(filter) {
+        if (!SMOOTHING_FILTERS.includes(filter)) {
+            throw new Error(`UnifiedReactivitySystem: unknown smoothing filter "${filter}" (expected ${SMOOTHING_FILTERS.join(', ')})`);
+        }
+        this.smoothingFilter = filter;
+        Object.values(this.parameters).forEach(p => { p.velocity = 0; });
+        console.log(`🌊 UnifiedReactivitySystem: ${filter} smoothing`);
+    }
+
     /**
      * Set base value for parameter
      */
@@ -446,23 +500,175 @@ export class UnifiedReactivitySystem {
     }
 
     /**
-     * Configure relationship strength
+     * Configure relationship strength: sets the amounts of the relationship's routes
+     * (re-adding removed ones) from multipliers as in RELATIONSHIPS
      */
     configureRelationship(relationshipName, multipliers) {
-        if (this.relationships[relationshipName]) {
-            Object.assign(this.relationships[relationshipName].multipliers, multipliers);
-            console.log(`🌊 UnifiedReactivitySystem: ${relationshipName} relationship updated`);
-        }
+        const relationship = RELATIONSHIPS[relationshipName];
+        if (!relationship) return;
+
+        const known = Object.fromEntries(Object.entries(multipliers).filter(([param]) => param in relationship.multipliers));
+        relationshipRoutes(relationshipName, { ...relationship, multipliers: known }).forEach(route => {
+            if (this.modulation.getRoute(route.id)) {
+                this.modulation.updateRoute(route.id, { amount: route.amount });
+            } else {
+                this.modulation.addRoute(route);
+            }
+        });
+        console.log(`🌊 UnifiedReactivitySystem: ${relationshipName} relationship updated`);
+    }
+
+    /**
+     * Route a signal to a parameter, see ModulationMatrix.addRoute()
+     * @returns {Object} the added route
+     */
+    addModulation(route) {
+        const added = this.modulation.addRoute(route);
+        this.checkRoutes([added]);
+        console.log(`🌊 UnifiedReactivitySystem: Route ${added.id} added`);
+        return added;
+    }
+
+    /**
+     * Change a route's fields, e.g. updateModulation('audioBass.scale', { curve: 'sCurve' })
+     */
+    updateModulation(id, changes) {
+        const updated = this.modulation.updateRoute(id, changes);
+        this.checkRoutes([updated]);
+        return updated;
+    }
+
+    removeModulation(id) {
+        const removed = this.modulation.removeRoute(id);
+        if (removed) console.log(`🌊 UnifiedReactivitySystem: Route ${id} removed`);
+        return removed;
+    }
+
+    /**
+     * Warn about routes whose signal nobody publishes (once running, when inputs are connected)
+     */
+    checkRoutes(routes) {
+        if (!this.isActive) return;
+
+        // One warning per signal, naming the routes that read it
+        const bySource = {};
+        routes.filter(route => route.enabled).forEach(route => {
+            (bySource[route.source] ??= []).push(route.id);
+        });
+        Object.entries(bySource).forEach(([source, ids]) => {
+            this.signals.checkSignals([source], `${ids.length > 1 ? 'routes' : 'route'} ${ids.join(', ')}`);
+        });
+    }
+
+    /**
+     * Add a modulator, published as 'mod.<name>' for routes, see ModulatorBank.add()
+     */
+    addModulator(name, options) {
+        const added = this.modulators.add(name, options);
+        this.checkModulators([name]);
+        console.log(`🌊 UnifiedReactivitySystem: Modulator ${name} (${added.type}) added`);
+        return added;
+    }
+
+    /**
+     * Change a modulator's options, e.g. updateModulator('breathing.slow', { sync: '2/1' })
+     */
+    updateModulator(name, changes) {
+        const updated = this.modulators.update(name, changes);
+        this.checkModulators([name]);
+        return updated;
+    }
+
+    /**
+     * Remove a modulator; routes from it stay, silent, until removed or it is added again
+     */
+    removeModulator(name) {
+        const removed = this.modulators.remove(name);
+        if (removed) console.log(`🌊 UnifiedReactivitySystem: Modulator ${name} removed`);
+        return removed;
+    }
+
+    /**
+     * Warn about envelopes whose trigger nobody publishes (once running)
+     */
+    checkModulators(names) {
+        if (!this.isActive) return;
+        names.forEach(name => {
+            const options = this.modulators.get(name);
+            if (options?.type === 'adsr' && options.enabled) {
+                this.signals.checkSignals([options.trigger], `modulator ${name}`);
+            }
+        });
     }
 
     /**
      * Enable/disable breathing patterns
      */
     setBreathingEnabled(enabled) {
-        this.breathingPatterns.enabled = enabled;
+        this.breathingEnabled = enabled;
+        Object.keys(BREATHING).forEach(name => {
+            if (this.modulators.get(`breathing.${name}`)) this.modulators.update(`breathing.${name}`, { enabled });
+        });
         console.log(`🌊 UnifiedReactivitySystem: Breathing patterns ${enabled ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Modulation routes, modulators, breathing switch, smoothing and rotation modes, for the
+     * preset's reactivity block
+     */
+    exportSettings() {
+        return {
+            modulation: this.modulation.toJSON(),
+            modulators: this.modulators.toJSON(),
+            breathing: { enabled: this.breathingEnabled },
+            keyHueOffset: this.keyHueOffset,
+            smoothing: { halfLives: { ...this.smoothingHalfLives }, filter: this.smoothingFilter },
+            rotation: Object.fromEntries(Object.entries(this.rotationMotion).map(([axis, motion]) => [axis, { ...motion }]))
+        };
+    }
+
+    /**
+     * Apply settings from exportSettings(). Older preset reactivity (relationship multipliers,
+     * breathing cycles) is migrated by parsePreset() first.
+     */
+    importSettings(settings = {}) {
+        if (settings.modulators) {
+            this.modulators.load(settings.modulators);
+            this.checkModulators(this.modulators.names());
+        }
+
+        if (Array.isArray(settings.modulation)) {
+            this.modulation.load(settings.modulation);
+            this.checkRoutes(this.modulation.getRoutes());
+        }
+
+        if (Number.isFinite(settings.keyHueOffset)) {
+            this.keyHueOffset = settings.keyHueOffset;
+        }
+
+        const smoothing = settings.smoothing;
+        if (smoothing) {
+            Object.entries(smoothing.halfLives || {}).forEach(([group, halfLife]) => {
+                if (group in this.smoothingHalfLives && Number.isFinite(halfLife) && halfLife >= 0) {
+                    this.smoothingHalfLives[group] = halfLife;
+                }
+            });
+            if (SMOOTHING_FILTERS.includes(smoothing.filter)) this.setSmoothingFilter(smoothing.filter);
+        }
+
+        Object.entries(settings.rotation || {}).forEach(([axis, motion]) => {
+            try {
+                this.setRotationMotion(axis, motion);
+            } catch (error) {
+                console.warn(`⚠️ ${error.message} - rotation settings skipped`);
+            }
+        });
+
+        if (typeof settings.breathing?.enabled === 'boolean') {
+            this.setBreathingEnabled(settings.breathing.enabled);
+        }
+    }
+
     /**
      * Get current parameter state
      */
@@ -483,9 +689,13 @@ export class UnifiedReactivitySystem {
      */
     getRelationshipInfo() {
         return {
-            relationships: Object.keys(this.relationships),
-            breathingPatterns: this.breathingPatterns,
-            smoothingFactors: this.smoothingFactors
+            relationships: Object.keys(RELATIONSHIPS),
+            routes: this.modulation.toJSON(),
+            publishedSignals: this.signals.list(),
+            modulators: this.modulators.toJSON(),
+            smoothingHalfLives: this.smoothingHalfLives,
+            smoothingFilter: this.smoothingFilter,
+            rotationMotion: this.rotationMotion
         };
     }
 }
\ No newline at end of file
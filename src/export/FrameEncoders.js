@@ -0,0 +1,198 @@
+/**
+ * VIB34D Frame Encoders
+ * Pluggable outputs for the OfflineRenderer: PNG sequence and WebM
+ *
+ * An encoder is any object with:
+ *   begin({ width, height, fps, frameCount })
+ *   addFrame({ index, time, width, height, data })  - may return a Promise
+ *   end()                                          - resolves to the encoder's result
+ * Frame data is RGBA, rows top-down, premultiplied alpha (as read back from the compositor).
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+/**
+ * Convert a premultiplied frame to ImageData (straight alpha) for a 2D canvas
+ */
+export function toImageData(frame) {
+    const { width, height, data } = frame;
+    const pixels = new Uint8ClampedArray(data.length);
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        const scale = alpha > 0 ? 255 / alpha : 0;
+        pixels[i] = data[i] * scale;
+        pixels[i + 1] = data[i + 1] * scale;
+        pixels[i + 2] = data[i + 2] * scale;
+        pixels[i + 3] = alpha;
+    }
+
+    return new ImageData(pixels, width, height);
+}
+
+export function createFrameCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+export function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Failed to encode ${type} frame`)), type, quality);
+    });
+}
+
+/**
+ * PNG sequence: one image per frame, named prefix-00000.png, prefix-00001.png, ...
+ * Frames are collected and returned from end(), or streamed to onFrame({ name, blob, index, time })
+ * to keep long renders out of memory.
+ */
+export class PngSequenceEncoder {
+    constructor({ prefix = 'frame', digits = 5, onFrame = null } = {}) {
+        this.prefix = prefix;
+        this.digits = digits;
+        this.onFrame = onFrame;
+        this.frames = [];
+        this.canvas = null;
+        this.context = null;
+    }
+
+    begin({ width, height }) {
+        this.frames = [];
+        this.canvas = createFrameCanvas(width, height);
+        this.context = this.canvas.getContext('2d');
+    }
+
+    async addFrame(frame) {
+        this.context.putImageData(toImageData(frame), 0, 0);
+
+        const blob = await canvasToBlob(this.canvas, 'image/png');
+        const name = `${this.prefix}-${String(frame.index).padStart(this.digits, '0')}.png`;
+        const entry = { name, blob, index: frame.index, time: frame.time };
+
+        if (this.onFrame) {
+            await this.onFrame(entry);
+        } else {
+            this.frames.push(entry);
+        }
+    }
+
+    abort() {
+        this.end();
+    }
+
+    /**
+     * @returns {Array<{ name, blob, index, time }>} frames (empty when streamed through onFrame)
+     */
+    end() {
+        const frames = this.frames;
+        this.frames = [];
+        this.canvas = null;
+        this.context = null;
+        return frames;
+    }
+}
+
+/**
+ * WebM through MediaRecorder. MediaRecorder timestamps frames by wall clock, so frames are
+ * fed at the target rate: encoding takes as long as the clip. Use PngSequenceEncoder when
+ * frame-exact timing matters more than convenience.
+ */
+export class WebMEncoder {
+    constructor({ mimeType = null, videoBitsPerSecond = 16000000 } = {}) {
+        this.mimeType = mimeType;
+        this.videoBitsPerSecond = videoBitsPerSecond;
+        this.canvas = null;
+        this.context = null;
+        this.recorder = null;
+        this.track = null;
+        this.chunks = [];
+        this.frameInterval = 0;
+        this.nextFrameAt = 0;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    /**
+     * First WebM type this browser can record
+     */
+    static pickMimeType() {
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    begin({ width, height, fps }) {
+        if (!WebMEncoder.isSupported()) {
+            throw new Error('WebM export requires MediaRecorder and canvas.captureStream()');
+        }
+
+        const mimeType = this.mimeType || WebMEncoder.pickMimeType();
+        if (!mimeType) throw new Error('No supported WebM codec for MediaRecorder');
+
+        this.canvas = createFrameCanvas(width, height);
+        this.context = this.canvas.getContext('2d');
+
+        // Frame rate 0: a frame is captured only on requestFrame()
+        const stream = this.canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+
+        this.chunks = [];
+        this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+        this.recorder.ondataavailable = event => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.recorder.start();
+
+        this.frameInterval = 1000 / fps;
+        this.nextFrameAt = performance.now();
+    }
+
+    async addFrame(frame) {
+        // Hold each frame for one frame interval of real time
+        const wait = this.nextFrameAt - performance.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+        this.context.putImageData(toImageData(frame), 0, 0);
+        this.track.requestFrame();
+        this.nextFrameAt = Math.max(this.nextFrameAt + this.frameInterval, performance.now());
+    }
+
+    /**
+     * Stop recording and drop what was recorded
+     */
+    abort() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.onstop = () => this.track.stop();
+            this.recorder.stop();
+        }
+        this.chunks = [];
+    }
+
+    /**
+     * @returns {Promise<Blob>} the recorded WebM
+     */
+    end() {
+        return new Promise((resolve, reject) => {
+            const recorder = this.recorder;
+            recorder.onstop = () => {
+                this.track.stop();
+                resolve(new Blob(this.chunks, { type: recorder.mimeType }));
+                this.chunks = [];
+            };
+            recorder.onerror = event => reject(event.error || new Error('MediaRecorder failed'));
+
+            // Let the last frame stay on screen for its interval before stopping
+            setTimeout(() => recorder.stop(), this.frameInterval);
+        });
+    }
+}
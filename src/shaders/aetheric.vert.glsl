@@ -1,6 +1,5 @@
-#version 300 es
-precision highp float;
-layout(location=0) in vec2 a_pos;
+in vec2 a_pos;
+
 void main() {
   gl_Position = vec4(a_pos, 0.0, 1.0);
-}
\ No newline at end of file
+}
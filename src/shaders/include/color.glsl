@@ -0,0 +1,26 @@
+// Color helpers; hue in degrees [0..360)
+
+vec3 hsl2rgb(float h, float s, float l) {
+  float c = (1.0 - abs(2.0*l - 1.0)) * s;
+  float x = c * (1.0 - abs(mod(h/60.0, 2.0) - 1.0));
+  float m = l - 0.5*c;
+  vec3 rgb =
+    (h < 60.0)  ? vec3(c,x,0) :
+    (h < 120.0) ? vec3(x,c,0) :
+    (h < 180.0) ? vec3(0,c,x) :
+    (h < 240.0) ? vec3(0,x,c) :
+    (h < 300.0) ? vec3(x,0,c) :
+                  vec3(c,0,x);
+  return rgb + m;
+}
+
+mat3 hueRotate(float hDeg) {
+  float h = radians(hDeg);
+  float c = cos(h), s = sin(h);
+  // YIQ-like rotation for saturated tint
+  return mat3(
+    0.299+0.701*c+0.168*s, 0.587-0.587*c+0.330*s, 0.114-0.114*c-0.497*s,
+    0.299-0.299*c-0.328*s, 0.587+0.413*c+0.035*s, 0.114-0.114*c+0.292*s,
+    0.299-0.300*c+1.250*s, 0.587-0.588*c-1.050*s, 0.114+0.886*c-0.203*s
+  );
+}
@@ -0,0 +1,16 @@
+// Cheap hashes (not for cryptography; stable across frames)
+
+float hash11(float x) {
+  return fract(sin(x*123.4567)*3456.789);
+}
+
+float hash21(vec2 p) {
+  return fract(sin(dot(p, vec2(41.2, 289.1)))*94581.77);
+}
+
+// sin-free variant, better behaved at large coordinates
+float hash21Fract(vec2 p) {
+  p = fract(p * vec2(123.34, 234.12));
+  p += dot(p, p + 34.345);
+  return fract(p.x * p.y);
+}
@@ -0,0 +1,67 @@
+// 4D rotation helpers shared by the VIB34D shaders.
+// Sign convention and composition order match src/_shared/math4d.js:
+// plane AB maps A' = cos*A + sin*B, B' = -sin*A + cos*B.
+
+mat4 rotateXW(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(c, 0.0, 0.0, -s,  0.0, 1.0, 0.0, 0.0,  0.0, 0.0, 1.0, 0.0,  s, 0.0, 0.0, c);
+}
+
+mat4 rotateYW(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(1.0, 0.0, 0.0, 0.0,  0.0, c, 0.0, -s,  0.0, 0.0, 1.0, 0.0,  0.0, s, 0.0, c);
+}
+
+mat4 rotateZW(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(1.0, 0.0, 0.0, 0.0,  0.0, 1.0, 0.0, 0.0,  0.0, 0.0, c, -s,  0.0, 0.0, s, c);
+}
+
+mat4 rotateXY(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(c, -s, 0.0, 0.0,  s, c, 0.0, 0.0,  0.0, 0.0, 1.0, 0.0,  0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXZ(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(c, 0.0, -s, 0.0,  0.0, 1.0, 0.0, 0.0,  s, 0.0, c, 0.0,  0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateYZ(float theta) {
+  float c = cos(theta), s = sin(theta);
+  return mat4(1.0, 0.0, 0.0, 0.0,  0.0, c, -s, 0.0,  0.0, s, c, 0.0,  0.0, 0.0, 0.0, 1.0);
+}
+
+// Full 6-plane rotation: XW * YW * ZW * XY * XZ * YZ (YZ applied first)
+mat4 rotation4D(float xw, float yw, float zw, float xy, float xz, float yz) {
+  return rotateXW(xw) * rotateYW(yw) * rotateZW(zw) * rotateXY(xy) * rotateXZ(xz) * rotateYZ(yz);
+}
+
+vec3 project4Dto3D(vec4 p, float projectionDistance) {
+  float w = p.w + projectionDistance;
+  if (abs(w) < 0.001) w = 0.001;
+  return p.xyz / w;
+}
+
+// Collapse W using the three W-plane angles into a 3x3 mixing basis
+mat3 basisFrom4DRot(float rxw, float ryw, float rzw) {
+  float cx = cos(rxw), sx = sin(rxw);
+  float cy = cos(ryw), sy = sin(ryw);
+  float cz = cos(rzw), sz = sin(rzw);
+  return mat3(
+    cx,  -sx*cz,  sx*sz,
+    sy,   cy*cz, -cy*sz,
+    sz,   cz,     1.0
+  );
+}
+
+// In-space planes XY/XZ/YZ, same sign convention as rotateXY/XZ/YZ
+mat3 rotate3D(float rxy, float rxz, float ryz) {
+  float c1 = cos(rxy), s1 = sin(rxy);
+  float c2 = cos(rxz), s2 = sin(rxz);
+  float c3 = cos(ryz), s3 = sin(ryz);
+  mat3 xy = mat3(c1, -s1, 0.0,  s1, c1, 0.0,  0.0, 0.0, 1.0);
+  mat3 xz = mat3(c2, 0.0, -s2,  0.0, 1.0, 0.0,  s2, 0.0, c2);
+  mat3 yz = mat3(1.0, 0.0, 0.0,  0.0, c3, -s3,  0.0, s3, c3);
+  return xy * xz * yz;
+}
@@ -0,0 +1,661 @@
+// PrismaticSystem layer pass: projected 4D lattices; the fallback when the ray-marched
+// pass does not compile, and the only pass on WebGL1
+
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform vec2 u_tileOffset; // pixel offset of this tile in a tiled capture
+uniform float u_geometry;
+
+// COMPLETE 6D 4D rotation uniforms - ALL POSSIBLE ROTATIONS
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
+
+uniform float u_gridDensity;
+uniform float u_morphFactor;
+uniform float u_chaos;
+uniform float u_speed;
+uniform float u_hue;
+uniform float u_intensity;
+uniform float u_saturation;
+uniform float u_scale;
+
+// Layer-specific parameters
+uniform vec3 u_layerColor;
+uniform float u_layerScale;
+uniform float u_layerOpacity;
+uniform float u_refractionIndex;
+uniform float u_dispersionStrength;
+uniform float u_projectionDistance;
+
+// Advanced chromatic dispersion parameters
+uniform float u_wavelengthRange;
+uniform float u_cauchyCoefficient;
+uniform float u_subsurfaceScattering;
+uniform float u_fresnelPower;
+uniform float u_causticIntensity;
+uniform float u_materialDensity;
+uniform float u_surfaceRoughness;
+
+#include "rot4d.glsl"
+
+// HYPERDIMENSIONAL 4D POLYTOPE LIBRARY - ADVANCED MATHEMATICS
+// Signed Distance Functions for 6 regular 4D polytopes and advanced surfaces
+
+// 4D Hypersphere (Glome) with advanced surface deformation
+float sdf4DHypersphere(vec4 pos, float radius) {
+  return length(pos) - radius;
+}
+
+// 4D Hypercube (Tesseract) with internal structure
+float sdf4DHypercube(vec4 pos, float size) {
+  vec4 d = abs(pos) - vec4(size);
+  return min(max(d.x, max(d.y, max(d.z, d.w))), 0.0) + length(max(d, 0.0));
+}
+
+// 4D 5-Cell (Hypertetrahedron) - Simplex
+float sdf4D5Cell(vec4 pos) {
+  vec4 p = pos;
+  float d = dot(p, normalize(vec4(1.0))) - 0.8;
+  p = abs(p);
+  d = max(d, dot(p, normalize(vec4(-1.0, 3.0, 3.0, 3.0))) - 0.8);
+  d = max(d, dot(p, normalize(vec4(3.0, -1.0, 3.0, 3.0))) - 0.8);
+  d = max(d, dot(p, normalize(vec4(3.0, 3.0, -1.0, 3.0))) - 0.8);
+  d = max(d, dot(p, normalize(vec4(3.0, 3.0, 3.0, -1.0))) - 0.8);
+  return d;
+}
+
+// 4D 16-Cell (Hyperoctahedron) - Dual of tesseract
+float sdf4D16Cell(vec4 pos) {
+  vec4 p = abs(pos);
+  return (p.x + p.y + p.z + p.w - 1.2);
+}
+
+// 4D 24-Cell - Self-dual regular polytope
+float sdf4D24Cell(vec4 pos) {
+  vec4 p = pos;
+  float d = length(p) - 1.0;
+
+  // Create 24-cell through cross-polytope construction
+  vec4 q = abs(p);
+  d = min(d, max(q.x + q.y - 0.8, max(q.z + q.w - 0.8, max(q.x + q.z - 0.8, q.y + q.w - 0.8))));
+
+  return d;
+}
+
+// 4D 120-Cell - Golden ratio polytope (most complex)
+float sdf4D120Cell(vec4 pos) {
+  vec4 p = pos;
+  float phi = 1.618033988749895; // Golden ratio φ
+  vec4 n = normalize(vec4(phi, 1.0, 0.0, 1.0/phi));
+  float d = abs(dot(p, n)) - 0.85;
+
+  // Create dodecahedral cell structure
+  for (int i = 0; i < 3; i++) {
+    p = abs(p) - vec4(0.3);
+    p = p.yzwx;
+    d = min(d, abs(dot(p, n)) - 0.7);
+  }
+
+  return d;
+}
+
+// 4D 600-Cell - Dual of 120-cell
+float sdf4D600Cell(vec4 pos) {
+  vec4 p = pos;
+  float phi = 1.618033988749895;
+
+  // Create icosahedral cell structure
+  float d = length(p) - 1.0;
+  p = abs(p);
+  float t = (1.0 + sqrt(5.0)) * 0.5; // Golden ratio
+  d = min(d, length(p - vec4(1.0, t, 0.0, 1.0/t)) - 0.3);
+  d = min(d, length(p - vec4(t, 0.0, 1.0/t, 1.0)) - 0.3);
+  d = min(d, length(p - vec4(0.0, 1.0/t, 1.0, t)) - 0.3);
+
+  return d;
+}
+
+// Klein Bottle in 4D - Non-orientable surface
+float sdf4DKleinBottle(vec4 pos) {
+  vec4 p = pos;
+  float r = 0.5;
+  float R = 1.0;
+
+  // Klein bottle parametrization in 4D
+  float u = atan(p.y, p.x);
+  float v = atan(p.w, p.z);
+
+  vec4 klein = vec4(
+    (R + r * cos(v)) * cos(u),
+    (R + r * cos(v)) * sin(u),
+    r * sin(v) * cos(u * 0.5),
+    r * sin(v) * sin(u * 0.5)
+  );
+
+  return length(p - klein) - 0.1;
+}
+
+// Advanced Quantum Field Surface
+float sdf4DQuantumField(vec4 pos) {
+  vec4 p = pos;
+  float field = 0.0;
+
+  // Multi-scale quantum fluctuations
+  for (int i = 0; i < 4; i++) {
+    float scale = pow(2.0, float(i));
+    field += sin(p.x * scale) * cos(p.y * scale) * sin(p.z * scale) * cos(p.w * scale) / scale;
+  }
+
+  return length(p) - 1.0 + field * 0.3;
+}
+
+// 4D Rotations - Complete 6-dimensional rotation group. The lattice was tuned with the
+// opposite sign and order of rotation4D(), i.e. its inverse (transpose)
+vec4 rotate4D(vec4 pos, float angleXW, float angleYW, float angleZW,
+      float angleXY, float angleXZ, float angleYZ) {
+  return pos * rotation4D(angleXW, angleYW, angleZW, angleXY, angleXZ, angleYZ);
+}
+
+// 4D to 3D perspective that keeps w above 0.1, unlike projectInFront(), so the lattice
+// never flips behind the viewer
+vec3 projectInFront(vec4 pos4d, float projectionDistance) {
+  float w = max(pos4d.w + projectionDistance, 0.1);
+  return pos4d.xyz / w;
+}
+
+// 4D POLYTOPE LATTICE PROJECTION SYSTEM
+// The entire screen represents 3D projections of 4D polytope through layered lattice grids
+float marchRay4D(vec3 rayStart, vec3 rayDir, out float hitDistance) {
+  hitDistance = 0.0;
+  float totalDistance = 0.0;
+
+  for (int i = 0; i < 32; i++) { // Reduced iterations for lattice approach
+    vec3 currentPos = rayStart + rayDir * totalDistance;
+
+    // 4D MATRIX-BASED LATTICE TRANSFORMATION SYSTEM
+    // Create multiple lattice layers representing different 4D cross-sections
+    float distance = 1000.0;
+
+    // Layer 1: Primary 4D lattice structure
+    vec4 pos4d_layer1 = vec4(currentPos, u_time * u_speed * 0.1);
+    pos4d_layer1 = rotate4D(pos4d_layer1, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+
+    // Project 4D position to 3D lattice coordinates
+    vec3 lattice3d_1 = projectInFront(pos4d_layer1, 2.0 + sin(u_time * 0.1));
+    float spacing1 = u_scale * (1.0 + 0.3 * sin(u_rot4dXW + u_time * 0.05));
+    vec3 grid1 = mod(lattice3d_1, spacing1) - spacing1 * 0.5;
+
+    // LINE THICKNESS CONTROL - DRAMATICALLY responsive to gridDensity parameter
+    float lineThickness1 = (0.01 + u_gridDensity * 0.25) * u_scale; // 5x more responsive
+    float lattice1 = length(max(abs(grid1) - vec3(lineThickness1), 0.0));
+
+    // Layer 2: Secondary lattice with different 4D rotation
+    vec4 pos4d_layer2 = vec4(currentPos, u_time * u_speed * 0.15 + 1.57);
+    pos4d_layer2 = rotate4D(pos4d_layer2,
+      u_rot4dXW + 0.5, u_rot4dYW + 0.3, u_rot4dZW + 0.7,
+      u_rot4dXY + 0.2, u_rot4dXZ + 0.8, u_rot4dYZ + 0.4);
+
+    vec3 lattice3d_2 = projectInFront(pos4d_layer2, 1.5 + cos(u_time * 0.08));
+    float spacing2 = u_scale * (0.8 + 0.2 * cos(u_rot4dYW + u_time * 0.07));
+    vec3 grid2 = mod(lattice3d_2, spacing2) - spacing2 * 0.5;
+
+    // LINE THICKNESS CONTROL - DRAMATICALLY responsive with different layer interaction
+    float lineThickness2 = (0.008 + u_gridDensity * 0.20) * u_scale; // 5x more responsive
+    float lattice2 = length(max(abs(grid2) - vec3(lineThickness2), 0.0));
+
+    // Layer 3: Tertiary lattice with hyperspatial phase shift
+    vec4 pos4d_layer3 = vec4(currentPos, u_time * u_speed * 0.08 + 3.14);
+    pos4d_layer3 = rotate4D(pos4d_layer3,
+      u_rot4dXW + 1.0, u_rot4dYW + 0.6, u_rot4dZW + 0.2,
+      u_rot4dXY + 1.2, u_rot4dXZ + 0.4, u_rot4dYZ + 0.9);
+
+    vec3 lattice3d_3 = projectInFront(pos4d_layer3, 3.0 + sin(u_time * 0.06) * 0.5);
+    float spacing3 = u_scale * (1.2 + 0.4 * sin(u_rot4dZW + u_time * 0.04));
+    vec3 grid3 = mod(lattice3d_3, spacing3) - spacing3 * 0.5;
+
+    // EXTREMELY DRAMATIC LINE THICKNESS CONTROL - Maximum responsiveness
+    float lineThickness3 = (0.005 + u_gridDensity * 0.30) * u_scale; // 4x more responsive
+    float lattice3 = length(max(abs(grid3) - vec3(lineThickness3), 0.0));
+
+    // Layer 4: Quaternary lattice with complex 4D interference
+    vec4 pos4d_layer4 = vec4(currentPos, u_time * u_speed * 0.12 + 4.71);
+    pos4d_layer4 = rotate4D(pos4d_layer4,
+      u_rot4dXW + 1.5, u_rot4dYW + 0.9, u_rot4dZW + 0.4,
+      u_rot4dXY + 0.7, u_rot4dXZ + 1.1, u_rot4dYZ + 0.3);
+
+    vec3 lattice3d_4 = projectInFront(pos4d_layer4, 2.5 + cos(u_time * 0.09) * 0.3);
+    float spacing4 = u_scale * (0.9 + 0.3 * cos(u_rot4dXY + u_time * 0.06));
+    vec3 grid4 = mod(lattice3d_4, spacing4) - spacing4 * 0.5;
+
+    float lineThickness4 = (0.003 + u_gridDensity * 0.35) * u_scale; // 3.5x more responsive
+    float lattice4 = length(max(abs(grid4) - vec3(lineThickness4), 0.0));
+
+    // Layer 5: Quintessential lattice with full 4D complexity
+    vec4 pos4d_layer5 = vec4(currentPos, u_time * u_speed * 0.18 + 6.28);
+    pos4d_layer5 = rotate4D(pos4d_layer5,
+      u_rot4dXW + 2.0, u_rot4dYW + 1.2, u_rot4dZW + 0.8,
+      u_rot4dXY + 1.6, u_rot4dXZ + 0.5, u_rot4dYZ + 1.4);
+
+    vec3 lattice3d_5 = projectInFront(pos4d_layer5, 1.8 + sin(u_time * 0.11) * 0.4);
+    float spacing5 = u_scale * (1.4 + 0.5 * sin(u_rot4dXZ + u_time * 0.03));
+    vec3 grid5 = mod(lattice3d_5, spacing5) - spacing5 * 0.5;
+
+    float lineThickness5 = (0.006 + u_gridDensity * 0.40) * u_scale; // 3.3x more responsive
+    float lattice5 = length(max(abs(grid5) - vec3(lineThickness5), 0.0));
+
+    // MOIRE EFFECTS - Layer interference patterns
+    float moirePattern1 = sin(lattice3d_1.x * 20.0 / spacing1) * sin(lattice3d_2.x * 18.0 / spacing2);
+    float moirePattern2 = cos(lattice3d_3.y * 22.0 / spacing3) * cos(lattice3d_4.y * 16.0 / spacing4);
+    float moirePattern3 = sin(lattice3d_5.z * 24.0 / spacing5) * sin(lattice3d_1.z * 19.0 / spacing1);
+
+    // Apply DRAMATICALLY VISIBLE moire effects with chaos parameter
+    lattice1 -= moirePattern1 * u_chaos * 0.15; // 7.5x more visible
+    lattice2 -= moirePattern2 * u_chaos * 0.12; // 8x more visible
+    lattice3 -= moirePattern3 * u_chaos * 0.18; // 7.2x more visible
+    lattice4 -= moirePattern1 * u_chaos * 0.14; // 7x more visible
+    lattice5 -= moirePattern2 * u_chaos * 0.16; // 8.9x more visible
+
+    // POLYTOPE-SPECIFIC LATTICE MODULATION
+    // Different polytopes create different lattice deformation patterns
+    vec4 polytopePos = vec4(currentPos * 0.5, sin(u_time * 0.2) * u_scale);
+    polytopePos = rotate4D(polytopePos, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+
+    float polytopeField = 0.0;
+    if (u_geometry < 1.0) {
+      // Hypersphere creates spherical lattice distortion
+      polytopeField = sdf4DHypersphere(polytopePos, u_scale * 2.0);
+    } else if (u_geometry < 2.0) {
+      // Hypercube creates cubic lattice alignment
+      polytopeField = sdf4DHypercube(polytopePos, u_scale * 1.5);
+    } else if (u_geometry < 3.0) {
+      // 5-Cell creates tetrahedral lattice pattern
+      polytopeField = sdf4D5Cell(polytopePos * (0.8/u_scale));
+    } else if (u_geometry < 4.0) {
+      // 16-Cell creates octahedral lattice symmetry
+      polytopeField = sdf4D16Cell(polytopePos * (0.8/u_scale));
+    } else if (u_geometry < 5.0) {
+      // 24-Cell creates complex lattice intersections
+      polytopeField = sdf4D24Cell(polytopePos * (0.8/u_scale));
+    } else if (u_geometry < 6.0) {
+      // 120-Cell creates golden ratio lattice spacing
+      polytopeField = sdf4D120Cell(polytopePos * (0.8/u_scale));
+    } else if (u_geometry < 7.0) {
+      // 600-Cell creates icosahedral lattice structure
+      polytopeField = sdf4D600Cell(polytopePos * (0.8/u_scale));
+    } else if (u_geometry < 8.0) {
+      // Klein Bottle creates non-orientable lattice topology
+      polytopeField = sdf4DKleinBottle(polytopePos * (0.8/u_scale));
+    } else {
+      // Quantum Field creates fluctuating lattice density
+      polytopeField = sdf4DQuantumField(polytopePos * (0.8/u_scale));
+    }
+
+    // LATTICE INTERACTION AND DEFORMATION
+    // Polytope field modulates lattice spacing and structure
+    float deformation = polytopeField * 0.1 * u_morphFactor;
+
+    lattice1 += deformation * sin(u_time + lattice3d_1.x);
+    lattice2 += deformation * cos(u_time + lattice3d_2.y);
+    lattice3 += deformation * sin(u_time + lattice3d_3.z);
+    lattice4 += deformation * cos(u_time + lattice3d_4.x + lattice3d_4.y);
+    lattice5 += deformation * sin(u_time + lattice3d_5.y + lattice3d_5.z);
+
+    // COMBINE ALL 5 LATTICE LAYERS
+    // All 5 layers create the complete 4D polytope representation
+    distance = min(lattice1, min(lattice2, min(lattice3, min(lattice4, lattice5))));
+
+    // DRAMATICALLY OPTIMIZED PARAMETER RESPONSIVENESS
+
+    // GRID DENSITY: Controls line thickness and detail (range 0-1, dramatic effect)
+    // Already applied to line thickness above - creates visible thickness changes
+
+    // MORPH FACTOR: Controls lattice deformation and interference (range 0-1)
+    float morphEffect = u_morphFactor * 2.0; // Double the range for visibility
+    distance = mix(distance, distance * (1.0 + sin(distance * 20.0 + u_time) * 0.3), morphEffect);
+
+    // CHAOS: Creates moire patterns and turbulence (range 0-1, EXTREMELY dramatic)
+    // Already applied to moire effects above
+    float chaosDistortion = u_chaos * 1.2; // Increased to 1.2x for maximum dramatic effect
+    distance += (sin(currentPos.x * 15.0 + u_time * u_speed) *
+          sin(currentPos.y * 12.0 + u_time * u_speed * 0.8) *
+          sin(currentPos.z * 18.0 + u_time * u_speed * 1.2)) * chaosDistortion;
+
+    // SCALE: Affects overall lattice size (range 0.1-2.0, very responsive)
+    // Already applied to spacing calculations - creates dramatic size changes
+
+    // SPEED: Controls all time animations (range 0.1-3.0, immediately visible)
+    // Already applied via u_time * u_speed everywhere
+
+    // INTENSITY: Controls brightness and layer visibility (range 0-1, dramatic)
+    // Applied in color system below
+
+    // SATURATION: Controls color saturation (range 0-1, very visible)
+    // Applied in color system below
+
+    // HUE: Shifts entire color palette (range 0-360, immediate effect)
+    // Applied in color system below
+
+    if (distance < 0.001) {
+      hitDistance = totalDistance;
+      return distance;
+    }
+
+    totalDistance += distance * 0.5; // Slower marching for accuracy
+
+    if (totalDistance > 50.0) break;
+  }
+
+  hitDistance = totalDistance;
+  return -1.0;
+}
+
+// Calculate 4D normal for lighting
+vec3 calculate4DNormal(vec3 pos, float epsilon) {
+  vec4 pos4d = vec4(pos, sin(u_time * 0.5) * u_scale);
+  pos4d = rotate4D(pos4d, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+
+  float centerDist = sdf4DHypersphere(pos4d, u_scale); // Use current geometry
+
+  vec3 normal = vec3(
+    sdf4DHypersphere(pos4d + vec4(epsilon, 0, 0, 0), u_scale) - centerDist,
+    sdf4DHypersphere(pos4d + vec4(0, epsilon, 0, 0), u_scale) - centerDist,
+    sdf4DHypersphere(pos4d + vec4(0, 0, epsilon, 0), u_scale) - centerDist
+  );
+
+  return normalize(normal);
+}
+
+// Chromatic dispersion calculation
+vec3 calculateChromaticDispersion(vec3 normal, vec3 rayDir, float wavelength) {
+  // Cauchy's equation for refractive index
+  float n = u_refractionIndex + u_cauchyCoefficient / (wavelength * wavelength);
+
+  // Snell's law for refraction
+  float cosI = -dot(normal, rayDir);
+  float sin2T = (1.0 - cosI * cosI) / (n * n);
+
+  if (sin2T > 1.0) {
+    // Total internal reflection
+    return reflect(rayDir, normal);
+  } else {
+    float cosT = sqrt(1.0 - sin2T);
+    return normalize(rayDir / n + normal * (cosI / n - cosT));
+  }
+}
+
+// Fresnel reflection calculation
+float calculateFresnel(vec3 normal, vec3 rayDir, float n1, float n2) {
+  float cosI = abs(dot(normal, rayDir));
+  float n = n1 / n2;
+  float sin2T = n * n * (1.0 - cosI * cosI);
+
+  if (sin2T > 1.0) return 1.0; // Total internal reflection
+
+  float cosT = sqrt(1.0 - sin2T);
+  float rs = (n1 * cosI - n2 * cosT) / (n1 * cosI + n2 * cosT);
+  float rp = (n1 * cosT - n2 * cosI) / (n1 * cosT + n2 * cosI);
+
+  return (rs * rs + rp * rp) * 0.5;
+}
+
+void main() {
+  vec2 uv = (gl_FragCoord.xy + u_tileOffset - u_resolution.xy * 0.5) / min(u_resolution.x, u_resolution.y);
+
+  // DYNAMIC PERSPECTIVE CAMERA SYSTEM for full-screen coverage
+  // Camera movement based on 4D rotations and time
+  float cameraRadius = 2.0 + 1.5 * sin(u_time * 0.1);
+  float cameraTheta = u_time * u_speed * 0.05 + u_rot4dXW * 0.3;
+  float cameraPhi = u_time * u_speed * 0.03 + u_rot4dYW * 0.2;
+  float cameraW = sin(u_time * 0.08 + u_rot4dZW * 0.4) * 0.5;
+
+  vec3 cameraPos = vec3(
+    cameraRadius * sin(cameraPhi) * cos(cameraTheta),
+    cameraRadius * sin(cameraPhi) * sin(cameraTheta) + cameraW,
+    cameraRadius * cos(cameraPhi)
+  );
+
+  // Dynamic FOV and ray direction based on 4D parameters
+  float dynamicFOV = 1.0 + 0.3 * sin(u_rot4dXY * 2.0 + u_time * 0.1);
+  vec3 rayDir = normalize(vec3(uv * dynamicFOV, -1.0));
+
+  // Apply 4D-influenced camera rotation
+  float cameraRotX = u_rot4dXZ * 0.2 + u_time * 0.02;
+  float cameraRotY = u_rot4dYZ * 0.15 + u_time * 0.03;
+
+  // Rotate ray direction for dynamic perspective
+  float cx = cos(cameraRotX), sx = sin(cameraRotX);
+  float cy = cos(cameraRotY), sy = sin(cameraRotY);
+
+  rayDir = vec3(
+    rayDir.x * cy + rayDir.z * sy,
+    rayDir.y * cx - (rayDir.x * sy * sx - rayDir.z * cy * sx),
+    rayDir.y * sx + (rayDir.x * sy * cx - rayDir.z * cy * cx)
+  );
+
+  float hitDistance;
+  float hit = marchRay4D(cameraPos, rayDir, hitDistance);
+
+  if (hit > 0.0) {
+    vec3 hitPos = cameraPos + rayDir * hitDistance;
+    vec3 normal = calculate4DNormal(hitPos, 0.001);
+
+    // 5-LAYER LATTICE COLOR SYSTEM - Each layer represents different 4D cross-sections
+    vec3 layer1Color = vec3(0.3, 0.7, 1.0);      // Primary lattice - bright blue
+    vec3 layer2Color = vec3(1.0, 0.5, 0.2);      // Secondary lattice - warm orange
+    vec3 layer3Color = vec3(0.8, 0.9, 0.3);      // Tertiary lattice - bright yellow-green
+    vec3 layer4Color = vec3(0.9, 0.2, 0.7);      // Quaternary lattice - magenta
+    vec3 layer5Color = vec3(0.4, 0.9, 0.9);      // Quintessential lattice - cyan
+    vec3 intersectionColor = vec3(1.0, 1.0, 1.0); // Lattice intersections - white
+    vec3 fieldColor = vec3(0.05, 0.1, 0.2);      // Background field - dark blue
+
+    // Apply user hue shift to entire palette
+    float hueShift = u_hue / 360.0 * 6.28318;
+    float c = cos(hueShift), s = sin(hueShift);
+    mat3 hueMatrix = mat3(
+      vec3(0.299 + 0.701*c + 0.168*s, 0.587 - 0.587*c + 0.330*s, 0.114 - 0.114*c - 0.497*s),
+      vec3(0.299 - 0.299*c - 0.328*s, 0.587 + 0.413*c + 0.035*s, 0.114 - 0.114*c + 0.292*s),
+      vec3(0.299 - 0.300*c + 1.250*s, 0.587 - 0.588*c - 1.050*s, 0.114 + 0.886*c - 0.203*s)
+    );
+
+    layer1Color = hueMatrix * layer1Color;
+    layer2Color = hueMatrix * layer2Color;
+    layer3Color = hueMatrix * layer3Color;
+    layer4Color = hueMatrix * layer4Color;
+    layer5Color = hueMatrix * layer5Color;
+    intersectionColor = hueMatrix * intersectionColor;
+    fieldColor = hueMatrix * fieldColor;
+
+    // LATTICE LAYER ANALYSIS - Determine which layers are visible
+    // Recreate lattice calculations to determine layer contribution
+    vec4 colorPos4d = vec4(hitPos, sin(u_time * 0.3) * u_scale);
+    colorPos4d = rotate4D(colorPos4d, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+
+    // Layer proximity analysis
+    vec4 pos4d_layer1 = vec4(hitPos, u_time * u_speed * 0.1);
+    pos4d_layer1 = rotate4D(pos4d_layer1, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+    vec3 lattice3d_1 = projectInFront(pos4d_layer1, 2.0 + sin(u_time * 0.1));
+    float spacing1 = u_scale * (1.0 + 0.3 * sin(u_rot4dXW + u_time * 0.05));
+    vec3 grid1 = mod(lattice3d_1, spacing1) - spacing1 * 0.5;
+    float layer1Distance = length(max(abs(grid1) - vec3(0.02 * u_scale), 0.0));
+
+    vec4 pos4d_layer2 = vec4(hitPos, u_time * u_speed * 0.15 + 1.57);
+    pos4d_layer2 = rotate4D(pos4d_layer2,
+      u_rot4dXW + 0.5, u_rot4dYW + 0.3, u_rot4dZW + 0.7,
+      u_rot4dXY + 0.2, u_rot4dXZ + 0.8, u_rot4dYZ + 0.4);
+    vec3 lattice3d_2 = projectInFront(pos4d_layer2, 1.5 + cos(u_time * 0.08));
+    float spacing2 = u_scale * (0.8 + 0.2 * cos(u_rot4dYW + u_time * 0.07));
+    vec3 grid2 = mod(lattice3d_2, spacing2) - spacing2 * 0.5;
+    float layer2Distance = length(max(abs(grid2) - vec3(0.015 * u_scale), 0.0));
+
+    vec4 pos4d_layer3 = vec4(hitPos, u_time * u_speed * 0.08 + 3.14);
+    pos4d_layer3 = rotate4D(pos4d_layer3,
+      u_rot4dXW + 1.0, u_rot4dYW + 0.6, u_rot4dZW + 0.2,
+      u_rot4dXY + 1.2, u_rot4dXZ + 0.4, u_rot4dYZ + 0.9);
+    vec3 lattice3d_3 = projectInFront(pos4d_layer3, 3.0 + sin(u_time * 0.06) * 0.5);
+    float spacing3 = u_scale * (1.2 + 0.4 * sin(u_rot4dZW + u_time * 0.04));
+    vec3 grid3 = mod(lattice3d_3, spacing3) - spacing3 * 0.5;
+    float layer3Distance = length(max(abs(grid3) - vec3(0.025 * u_scale), 0.0));
+
+    // Layer 4 calculation for color
+    vec4 pos4d_layer4_color = vec4(hitPos, u_time * u_speed * 0.12 + 4.71);
+    pos4d_layer4_color = rotate4D(pos4d_layer4_color,
+      u_rot4dXW + 1.5, u_rot4dYW + 0.9, u_rot4dZW + 0.4,
+      u_rot4dXY + 0.7, u_rot4dXZ + 1.1, u_rot4dYZ + 0.3);
+    vec3 lattice3d_4_color = projectInFront(pos4d_layer4_color, 2.5 + cos(u_time * 0.09) * 0.3);
+    float spacing4_color = u_scale * (0.9 + 0.3 * cos(u_rot4dXY + u_time * 0.06));
+    vec3 grid4 = mod(lattice3d_4_color, spacing4_color) - spacing4_color * 0.5;
+    float layer4Distance = length(max(abs(grid4) - vec3(0.018 * u_scale), 0.0));
+
+    // Layer 5 calculation for color
+    vec4 pos4d_layer5_color = vec4(hitPos, u_time * u_speed * 0.18 + 6.28);
+    pos4d_layer5_color = rotate4D(pos4d_layer5_color,
+      u_rot4dXW + 2.0, u_rot4dYW + 1.2, u_rot4dZW + 0.8,
+      u_rot4dXY + 1.6, u_rot4dXZ + 0.5, u_rot4dYZ + 1.4);
+    vec3 lattice3d_5_color = projectInFront(pos4d_layer5_color, 1.8 + sin(u_time * 0.11) * 0.4);
+    float spacing5_color = u_scale * (1.4 + 0.5 * sin(u_rot4dXZ + u_time * 0.03));
+    vec3 grid5 = mod(lattice3d_5_color, spacing5_color) - spacing5_color * 0.5;
+    float layer5Distance = length(max(abs(grid5) - vec3(0.022 * u_scale), 0.0));
+
+    // DRAMATICALLY VISIBLE 5-LAYER COLOR SYSTEM
+    vec3 finalColor = fieldColor; // Start with background field
+
+    // MUCH LARGER THRESHOLD for layer visibility
+    float threshold = 0.3 * u_scale; // Tripled threshold for visibility
+
+    // LAYER 1 - BRIGHT BLUE (much more visible)
+    if (layer1Distance < threshold) {
+      float layer1Strength = 1.0 - (layer1Distance / threshold);
+      finalColor = mix(finalColor, layer1Color, layer1Strength * u_intensity * 2.0); // Double intensity
+    }
+
+    // LAYER 2 - WARM ORANGE (much more visible)
+    if (layer2Distance < threshold) {
+      float layer2Strength = 1.0 - (layer2Distance / threshold);
+      finalColor = mix(finalColor, layer2Color, layer2Strength * u_intensity * 2.0);
+    }
+
+    // LAYER 3 - YELLOW-GREEN (much more visible)
+    if (layer3Distance < threshold) {
+      float layer3Strength = 1.0 - (layer3Distance / threshold);
+      finalColor = mix(finalColor, layer3Color, layer3Strength * u_intensity * 2.0);
+    }
+
+    // LAYER 4 - MAGENTA (much more visible)
+    if (layer4Distance < threshold) {
+      float layer4Strength = 1.0 - (layer4Distance / threshold);
+      finalColor = mix(finalColor, layer4Color, layer4Strength * u_intensity * 2.0);
+    }
+
+    // LAYER 5 - CYAN (much more visible)
+    if (layer5Distance < threshold) {
+      float layer5Strength = 1.0 - (layer5Distance / threshold);
+      finalColor = mix(finalColor, layer5Color, layer5Strength * u_intensity * 2.0);
+    }
+
+    // DRAMATIC 5-LAYER INTERSECTION HIGHLIGHTING
+    float intersectionProximity = 0.0;
+    if (layer1Distance < threshold && layer2Distance < threshold) intersectionProximity += 0.5; // Increased from 0.2
+    if (layer1Distance < threshold && layer3Distance < threshold) intersectionProximity += 0.5;
+    if (layer1Distance < threshold && layer4Distance < threshold) intersectionProximity += 0.5;
+    if (layer1Distance < threshold && layer5Distance < threshold) intersectionProximity += 0.5;
+    if (layer2Distance < threshold && layer3Distance < threshold) intersectionProximity += 0.5;
+    if (layer2Distance < threshold && layer4Distance < threshold) intersectionProximity += 0.5;
+    if (layer2Distance < threshold && layer5Distance < threshold) intersectionProximity += 0.5;
+    if (layer3Distance < threshold && layer4Distance < threshold) intersectionProximity += 0.5;
+    if (layer3Distance < threshold && layer5Distance < threshold) intersectionProximity += 0.5;
+    if (layer4Distance < threshold && layer5Distance < threshold) intersectionProximity += 0.5;
+
+    // BRIGHT WHITE INTERSECTIONS - Very visible
+    if (intersectionProximity > 0.0) {
+      finalColor = mix(finalColor, intersectionColor, intersectionProximity * u_intensity * 2.0); // Double intensity
+    }
+
+    // Apply user saturation control (more dramatic)
+    finalColor = mix(vec3(dot(finalColor, vec3(0.299, 0.587, 0.114))), finalColor, u_saturation * 1.5);
+
+    // ENHANCED SHADER EFFECTS
+
+    // Dramatic particle effect simulation
+    float particleFlow = 0.0;
+    if (intersectionProximity > 0.0) {
+      vec3 flowDir = normalize(cross(lattice3d_1, lattice3d_2 + lattice3d_3));
+      float flowPhase = dot(hitPos, flowDir) * 3.0 + u_time * u_speed * 5.0; // Increased frequency
+      particleFlow = sin(flowPhase) * cos(flowPhase * 0.7) * 0.5 * u_intensity; // Increased amplitude
+      finalColor += intersectionColor * particleFlow * u_chaos * 2.0; // Double chaos effect
+    }
+
+    // More visible holographic shimmer
+    vec4 viewAngle4d = vec4(normalize(rayDir), sin(u_time * 0.2));
+    viewAngle4d = rotate4D(viewAngle4d, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+    float shimmer = sin(viewAngle4d.w * 15.0 + u_time * 3.0) * 0.2 * u_morphFactor; // Increased effect
+    finalColor += vec3(shimmer);
+
+    // Stronger energy field visualization
+    vec4 energyPos = vec4(hitPos * 0.3, u_time * u_speed * 0.05);
+    energyPos = rotate4D(energyPos, u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
+    float energyField = sin(energyPos.x * 5.0) * sin(energyPos.y * 5.0) * sin(energyPos.z * 5.0) * sin(energyPos.w * 5.0);
+    energyField = smoothstep(-0.3, 0.3, energyField) * 0.4 * u_gridDensity; // Double effect
+    finalColor = mix(finalColor, finalColor + vec3(0.2, 0.3, 0.4), energyField);
+
+    // Much more dramatic intensity effect
+    finalColor *= (0.5 + u_intensity * 2.0); // Increased from (0.3 + u_intensity * 1.0)
+
+    // Fresnel reflection for depth and dimensionality
+    float fresnel = calculateFresnel(normal, rayDir, 1.0, u_refractionIndex);
+    fresnel = pow(fresnel, u_fresnelPower);
+
+    // Subsurface scattering approximation
+    float subsurface = pow(max(0.0, dot(-rayDir, normal)), u_subsurfaceScattering);
+    finalColor += u_layerColor * subsurface * u_materialDensity;
+
+    // Caustic effect based on surface curvature
+    float curvature = length(calculate4DNormal(hitPos + normal * 0.01, 0.001) - normal);
+    float caustic = pow(curvature * 10.0, 2.0) * u_causticIntensity;
+    finalColor += vec3(caustic);
+
+    // Layer-specific effects based on role
+    float layerEffect = 1.0;
+    vec3 envColor = finalColor;
+
+    // Environmental effects and vignette
+    float vignette = 1.0 - length(uv) * 0.3;
+    envColor = mix(envColor, u_layerColor, 0.1);
+
+    fragColor = vec4(envColor * vignette, layerEffect * 0.8);
+  } else {
+    // Background with sophisticated gradient
+    vec3 bgColor = mix(
+      vec3(0.1, 0.05, 0.2) * u_layerColor,
+      vec3(0.05, 0.1, 0.3) * u_layerColor,
+      smoothstep(-1.0, 1.0, uv.y)
+    );
+
+    // Add environmental lighting
+    bgColor += vec3(0.02, 0.04, 0.08) * u_intensity;
+
+    fragColor = vec4(bgColor, 0.3);
+  }
+
+  // Apply material properties
+  vec3 finalColor = fragColor.rgb;
+
+  // Surface roughness effect
+  float roughness = u_surfaceRoughness;
+  finalColor = mix(finalColor, finalColor * 0.8, roughness);
+
+  // Distance attenuation
+  float attenuation = exp(-hitDistance * 0.1);
+  finalColor *= attenuation;
+
+  // Final alpha based on layer and material properties
+  float alpha = u_layerOpacity * attenuation * (0.7 + u_intensity * 0.3);
+
+  // Ensure colors are visible and properly calibrated
+  finalColor = clamp(finalColor, 0.0, 2.0);
+
+  fragColor = vec4(finalColor, alpha);
+}
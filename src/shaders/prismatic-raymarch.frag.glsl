@@ -0,0 +1,449 @@
+// PrismaticSystem layer pass: ray-marched 4D glass with chromatic dispersion (WebGL2 only)
+
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform vec2 u_tileOffset; // pixel offset of this tile in a tiled capture
+uniform float u_geometry;
+
+// COMPLETE 6D 4D rotation uniforms - ALL POSSIBLE ROTATIONS
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
+
+uniform float u_gridDensity;
+uniform float u_morphFactor;
+uniform float u_chaos;
+uniform float u_speed;
+uniform float u_hue;
+uniform float u_intensity;
+uniform float u_saturation;
+uniform float u_scale;
+
+// Layer-specific parameters
+uniform vec3 u_layerColor;
+uniform float u_layerScale;
+uniform float u_layerOpacity;
+uniform float u_refractionIndex;
+uniform float u_dispersionStrength;
+uniform float u_projectionDistance;
+
+// Advanced chromatic dispersion parameters
+uniform float u_wavelengthRange;
+uniform float u_cauchyCoefficient;
+uniform float u_subsurfaceScattering;
+uniform float u_fresnelPower;
+uniform float u_causticIntensity;
+uniform float u_materialDensity;
+uniform float u_surfaceRoughness;
+
+// Ray marching parameters
+uniform float u_marchingSteps;
+uniform float u_marchingPrecision;
+uniform float u_maxDistance;
+
+// Constants for advanced optics
+const float PI = 3.14159265359;
+const vec3 WAVELENGTHS = vec3(700.0, 546.1, 435.8); // Red, Green, Blue nanometers
+const float AIR_IOR = 1.0;
+
+#include "rot4d.glsl"
+
+// ADVANCED: Apply complete 4D rotation transformation
+vec4 transform4D(vec4 pos) {
+  return rotation4D(u_rot4dXW, u_rot4dYW, u_rot4dZW, u_rot4dXY, u_rot4dXZ, u_rot4dYZ) * pos;
+}
+
+// ADVANCED: Hash functions for procedural detail (sin-free; not the include/hash.glsl ones)
+float hash11(float p) {
+  p = fract(p * 0.1031);
+  p *= p + 33.33;
+  p *= p + p;
+  return fract(p);
+}
+
+float hash21(vec2 p) {
+  vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+  p3 += dot(p3, p3.yzx + 33.33);
+  return fract((p3.x + p3.y) * p3.z);
+}
+
+vec3 hash33(vec3 p3) {
+  p3 = fract(p3 * vec3(.1031, .1030, .0973));
+  p3 += dot(p3, p3.yxz+33.33);
+  return fract((p3.xxy + p3.yxx)*p3.zyx);
+}
+
+// ADVANCED: Sophisticated 4D SDF functions for polytopes
+float sdf4DHypersphere(vec4 pos, float radius) {
+  return length(pos) - radius;
+}
+
+float sdf4DHypercube(vec4 pos, vec4 size) {
+  vec4 d = abs(pos) - size;
+  return length(max(d, 0.0)) + min(max(d.x, max(d.y, max(d.z, d.w))), 0.0);
+}
+
+float sdf4D5Cell(vec4 pos) {
+  // 4D regular simplex (5-cell)
+  float s = 0.5;
+  vec4 n1 = normalize(vec4(1,1,1,1));
+  vec4 n2 = normalize(vec4(1,-1,-1,1));
+  vec4 n3 = normalize(vec4(-1,1,-1,1));
+  vec4 n4 = normalize(vec4(-1,-1,1,1));
+  vec4 n5 = normalize(vec4(0,0,0,-1));
+
+  float d = dot(pos, n1) - s;
+  d = max(d, dot(pos, n2) - s);
+  d = max(d, dot(pos, n3) - s);
+  d = max(d, dot(pos, n4) - s);
+  d = max(d, dot(pos, n5) - s);
+  return d;
+}
+
+float sdf4D16Cell(vec4 pos) {
+  // 4D cross-polytope (16-cell)
+  return abs(pos.x) + abs(pos.y) + abs(pos.z) + abs(pos.w) - 0.7;
+}
+
+float sdf4D24Cell(vec4 pos) {
+  // 4D 24-cell approximation using octahedral symmetry
+  vec4 p = abs(pos);
+  float d1 = (p.x + p.y + p.z - p.w) * 0.57735;
+  float d2 = (p.x + p.y - p.z + p.w) * 0.57735;
+  float d3 = (p.x - p.y + p.z + p.w) * 0.57735;
+  float d4 = (-p.x + p.y + p.z + p.w) * 0.57735;
+  return max(max(d1, d2), max(d3, d4)) - 0.5;
+}
+
+float sdf4D120Cell(vec4 pos) {
+  // 4D 120-cell approximation (dodecahedral)
+  vec4 p = pos;
+  float phi = 1.618033988749895; // Golden ratio
+
+  // Dodecahedral distance approximation in 4D
+  vec4 n = normalize(vec4(phi, 1.0, 0.0, 1.0/phi));
+  float d = abs(dot(p, n)) - 0.85;
+
+  for (int i = 0; i < 3; i++) {
+    p = abs(p) - vec4(0.3);
+    p = p.yzwx;
+    d = min(d, abs(dot(p, n)) - 0.7);
+  }
+
+  return d;
+}
+
+float sdf4D600Cell(vec4 pos) {
+  // 4D 600-cell approximation (icosahedral)
+  vec4 p = pos;
+  float phi = 1.618033988749895;
+
+  // Icosahedral distance approximation in 4D
+  float d = length(p) - 0.6;
+
+  vec4 n1 = normalize(vec4(1.0, phi, 0.0, 1.0/phi));
+  vec4 n2 = normalize(vec4(phi, 0.0, 1.0/phi, 1.0));
+  vec4 n3 = normalize(vec4(0.0, 1.0/phi, 1.0, phi));
+
+  d = max(d, abs(dot(p, n1)) - 0.7);
+  d = max(d, abs(dot(p, n2)) - 0.7);
+  d = max(d, abs(dot(p, n3)) - 0.7);
+
+  return d;
+}
+
+float sdf4DHypertorus(vec4 pos, float R, float r) {
+  // 4D torus
+  vec2 t1 = vec2(length(pos.xy) - R, pos.z);
+  vec2 t2 = vec2(length(t1) - r, pos.w);
+  return length(t2) - r * 0.5;
+}
+
+float sdf4DKleinBottle(vec4 pos) {
+  // 4D Klein bottle approximation
+  vec4 p = pos;
+  float a = 2.0;
+  float n = 1.0;
+
+  float x = p.x;
+  float y = p.y;
+  float z = p.z;
+  float w = p.w;
+
+  float f = (x*x + y*y + z*z + w*w + a*a - n*n);
+  f *= f;
+  f -= 4.0*a*a*(x*x + y*y);
+
+  return f * 0.1 - 0.3;
+}
+
+// ADVANCED: Multi-geometry morphing system with 4D transformations
+float geometryField(vec4 pos) {
+  vec4 transformed = transform4D(pos);
+
+  float field = 0.0;
+  float g = u_geometry;
+
+  // Morphing between sophisticated 4D polytopes
+  if (g < 1.0) {
+    field = sdf4DHypersphere(transformed, 0.5 + 0.2 * sin(u_time * u_speed));
+  }
+  else if (g < 2.0) {
+    field = sdf4DHypercube(transformed, vec4(0.4 + 0.1 * u_morphFactor));
+  }
+  else if (g < 3.0) {
+    field = sdf4D5Cell(transformed * (1.0 + 0.3 * u_morphFactor));
+  }
+  else if (g < 4.0) {
+    field = sdf4D16Cell(transformed);
+  }
+  else if (g < 5.0) {
+    field = sdf4D24Cell(transformed * 0.8);
+  }
+  else if (g < 6.0) {
+    field = sdf4D120Cell(transformed * 0.6);
+  }
+  else if (g < 7.0) {
+    field = sdf4D600Cell(transformed * 0.7);
+  }
+  else if (g < 8.0) {
+    field = sdf4DHypertorus(transformed, 0.4, 0.2);
+  }
+  else if (g < 9.0) {
+    field = sdf4DKleinBottle(transformed * 0.5);
+  }
+  else {
+    // Complex morphing between multiple forms
+    float w1 = sin(u_time * u_speed * 0.3) * 0.5 + 0.5;
+    float w2 = cos(u_time * u_speed * 0.5) * 0.5 + 0.5;
+
+    float f1 = sdf4D5Cell(transformed);
+    float f2 = sdf4D24Cell(transformed);
+    float f3 = sdf4DHypersphere(transformed, 0.6);
+
+    field = mix(mix(f1, f2, w1), f3, w2);
+  }
+
+  // Add surface detail with 4D noise
+  vec3 noisePos = project4Dto3D(transformed, u_projectionDistance);
+  float surfaceNoise = hash21(noisePos.xy * u_gridDensity) * 0.5 +
+           hash21(noisePos.yz * u_gridDensity * 1.7) * 0.3 +
+           hash21(noisePos.zx * u_gridDensity * 2.3) * 0.2;
+
+  field += (surfaceNoise - 0.5) * u_chaos * 0.05;
+
+  return field;
+}
+
+// ADVANCED: 4D gradient calculation for accurate normals
+vec4 calcGradient4D(vec4 pos) {
+  vec2 e = vec2(0.001, 0.0);
+  float d = geometryField(pos);
+
+  return vec4(
+    geometryField(pos + e.xyxx) - d,
+    geometryField(pos + e.yxxx) - d,
+    geometryField(pos + e.yyxx) - d,
+    geometryField(pos + e.yyyx) - d
+  ) / e.x;
+}
+
+// ADVANCED: 3D normal from 4D gradient projection
+vec3 calcNormal(vec4 pos4d) {
+  vec4 grad4d = calcGradient4D(pos4d);
+  vec3 grad3d = project4Dto3D(grad4d, u_projectionDistance);
+  return normalize(grad3d);
+}
+
+// ADVANCED: Cauchy dispersion formula for realistic chromatic dispersion
+float cauchyDispersion(float wavelength, float n0, float B) {
+  float wl2 = wavelength * wavelength;
+  return n0 + B / wl2;
+}
+
+// ADVANCED: Wavelength-dependent refraction index
+vec3 getRefractionIndices(float baseIOR) {
+  float B = u_cauchyCoefficient * u_dispersionStrength;
+
+  return vec3(
+    cauchyDispersion(WAVELENGTHS.x, baseIOR, B), // Red
+    cauchyDispersion(WAVELENGTHS.y, baseIOR, B), // Green
+    cauchyDispersion(WAVELENGTHS.z, baseIOR, B)  // Blue
+  );
+}
+
+// ADVANCED: Fresnel calculation with polarization
+float fresnelReflectance(vec3 normal, vec3 incident, float ior) {
+  float cosI = abs(dot(normal, incident));
+  float sinT2 = (1.0 - cosI * cosI) / (ior * ior);
+
+  if (sinT2 >= 1.0) return 1.0; // Total internal reflection
+
+  float cosT = sqrt(1.0 - sinT2);
+
+  float rs = (ior * cosI - cosT) / (ior * cosI + cosT);
+  float rp = (cosI - ior * cosT) / (cosI + ior * cosT);
+
+  return (rs * rs + rp * rp) * 0.5;
+}
+
+// ADVANCED: 4D ray marching with adaptive step size
+float rayMarch4D(vec4 rayOrigin, vec4 rayDirection, out vec4 hitPoint) {
+  float totalDistance = 0.0;
+  vec4 currentPos = rayOrigin;
+
+  for (int i = 0; i < int(u_marchingSteps); i++) {
+    float distance = geometryField(currentPos);
+
+    if (distance < u_marchingPrecision) {
+      hitPoint = currentPos;
+      return totalDistance;
+    }
+
+    if (totalDistance > u_maxDistance) {
+      break;
+    }
+
+    // Adaptive step size based on distance and chaos
+    float stepSize = distance * (0.8 + 0.4 * u_chaos);
+    currentPos += rayDirection * stepSize;
+    totalDistance += stepSize;
+  }
+
+  hitPoint = currentPos;
+  return -1.0; // No hit
+}
+
+// ADVANCED: Environment mapping with 4D basis transformation
+vec3 environmentColor(vec4 direction4d) {
+  vec4 transformed = transform4D(direction4d);
+  vec3 dir3d = normalize(project4Dto3D(transformed, u_projectionDistance));
+
+  // 4D-influenced gradient
+  float elevation = dir3d.y * 0.5 + 0.5;
+  float azimuth = atan(dir3d.z, dir3d.x) / (2.0 * PI) + 0.5;
+
+  // Hyperdimensional hue shifting
+  float hueShift = (transformed.w + sin(azimuth * 4.0) * transformed.x) * 30.0;
+  float finalHue = mod(u_hue + hueShift, 360.0);
+
+  // Generate gradient
+  vec3 topColor = vec3(0.2, 0.4, 0.8);
+  vec3 horizonColor = vec3(0.8, 0.6, 0.4);
+  vec3 bottomColor = vec3(0.1, 0.1, 0.2);
+
+  vec3 envColor;
+  if (elevation > 0.5) {
+    envColor = mix(horizonColor, topColor, (elevation - 0.5) * 2.0);
+  } else {
+    envColor = mix(bottomColor, horizonColor, elevation * 2.0);
+  }
+
+  // Apply hue rotation
+  float hueRad = radians(finalHue);
+  mat3 hueMatrix = mat3(
+    cos(hueRad), -sin(hueRad), 0,
+    sin(hueRad), cos(hueRad), 0,
+    0, 0, 1
+  );
+
+  return hueMatrix * envColor * u_intensity;
+}
+
+// ADVANCED: Subsurface scattering approximation
+vec3 subsurfaceScattering(vec3 lightDir, vec3 normal, vec3 viewDir, vec3 albedo) {
+  float scatterDot = dot(lightDir, -viewDir);
+  float scatter = pow(max(0.0, scatterDot), u_fresnelPower) * u_subsurfaceScattering;
+  return albedo * scatter;
+}
+
+void main() {
+  vec2 screenCoord = ((gl_FragCoord.xy + u_tileOffset) / u_resolution) * 2.0 - 1.0;
+  screenCoord.x *= u_resolution.x / u_resolution.y;
+
+  // Setup 4D ray
+  vec4 rayOrigin = vec4(0, 0, 3, 0);
+  vec4 rayDirection = normalize(vec4(screenCoord * u_scale, -1, sin(u_time * u_speed * 0.1) * 0.2));
+
+  // Ray march in 4D space
+  vec4 hitPoint;
+  float hitDistance = rayMarch4D(rayOrigin, rayDirection, hitPoint);
+
+  if (hitDistance < 0.0) {
+    // Background environment
+    vec3 envColor = environmentColor(rayDirection);
+
+    // Layer-specific background effects
+    float layerEffect = u_layerScale * u_layerOpacity;
+    envColor = mix(envColor, u_layerColor, 0.2) * layerEffect;
+
+    // Vignette
+    float vignette = 1.0 - length(screenCoord) * 0.3;
+    fragColor = vec4(envColor * vignette, layerEffect * 0.8);
+    return;
+  }
+
+  // Calculate surface properties
+  vec3 normal = calcNormal(hitPoint);
+  vec3 viewDir = normalize(project4Dto3D(rayOrigin - hitPoint, u_projectionDistance));
+
+  // Get wavelength-dependent refraction indices
+  vec3 iorRGB = getRefractionIndices(u_refractionIndex);
+
+  // Calculate refracted rays for each color channel
+  vec3 refractionR = refract(-viewDir, normal, 1.0 / iorRGB.x);
+  vec3 refractionG = refract(-viewDir, normal, 1.0 / iorRGB.y);
+  vec3 refractionB = refract(-viewDir, normal, 1.0 / iorRGB.z);
+
+  // Sample environment for each refracted ray
+  vec3 envR = environmentColor(vec4(refractionR, 0.5));
+  vec3 envG = environmentColor(vec4(refractionG, 0.5));
+  vec3 envB = environmentColor(vec4(refractionB, 0.5));
+
+  // Chromatic dispersion result
+  vec3 refractionColor = vec3(envR.r, envG.g, envB.b);
+
+  // Fresnel reflection
+  float fresnel = fresnelReflectance(normal, viewDir, iorRGB.g);
+  vec3 reflectionDir = reflect(-viewDir, normal);
+  vec3 reflectionColor = environmentColor(vec4(reflectionDir, 0.0));
+
+  // Surface material properties
+  float roughness = u_surfaceRoughness * (1.0 + u_chaos);
+  float materialEffect = u_materialDensity;
+
+  // Add surface roughness
+  if (roughness > 0.0) {
+    vec3 roughnessOffset = hash33(project4Dto3D(hitPoint, u_projectionDistance) * u_gridDensity) * 2.0 - 1.0;
+    normal = normalize(normal + roughnessOffset * roughness);
+  }
+
+  // Subsurface scattering
+  vec3 scatterColor = subsurfaceScattering(reflectionDir, normal, viewDir, refractionColor);
+
+  // Combine effects
+  vec3 finalColor = mix(refractionColor, reflectionColor, fresnel);
+  finalColor += scatterColor * materialEffect;
+
+  // Caustic effects
+  float causticPattern = sin(hitPoint.x * u_gridDensity + u_time * u_speed) *
+            sin(hitPoint.y * u_gridDensity + u_time * u_speed * 1.2) *
+            sin(hitPoint.z * u_gridDensity + u_time * u_speed * 0.8);
+  finalColor += abs(causticPattern) * u_causticIntensity * vec3(1.2, 1.0, 0.8);
+
+  // Layer-specific effects
+  finalColor = mix(finalColor, u_layerColor, 0.1);
+  finalColor *= u_layerScale;
+
+  // Distance attenuation
+  float attenuation = exp(-hitDistance * 0.1);
+  finalColor *= attenuation;
+
+  // Final alpha based on layer and material properties
+  float alpha = u_layerOpacity * materialEffect * attenuation;
+
+  fragColor = vec4(finalColor * u_intensity, alpha);
+}
@@ -1,14 +1,14 @@
-#version 300 es
-precision highp float;
-out vec4 fragColor;
-
 uniform vec2  u_res;
+uniform vec2  u_tileOffset; // pixel offset of this tile in a tiled capture
 uniform float u_time;
 
 // Shared VIB34D parameter grammar
-uniform float u_rotXW;
-uniform float u_rotYW;
-uniform float u_rotZW;
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
 uniform float u_grid;      // Grid Density   (~1..64)
 uniform float u_morph;     // Morph Factor   (0..1)
 uniform float u_chaos;     // Roughness/noise
@@ -18,6 +18,10 @@ uniform float u_intensity; // Brightness/energy
 uniform float u_sat;       // Saturation (0..1)
 
 // -------- math helpers --------
+#include "rot4d.glsl"
+#include "hash.glsl"
+#include "color.glsl"
+
 const float PI = 3.14159265359;
 float sdBox(vec3 p, vec3 b){ vec3 d = abs(p) - b; return length(max(d,0.0)) + min(max(d.x,max(d.y,d.z)),0.0); }
 
@@ -41,20 +45,6 @@ float sdTetra(vec3 p) {
   return d;
 }
 
-mat3 basisFrom4DRot(float rxw, float ryw, float rzw) {
-  float cx = cos(rxw), sx = sin(rxw);
-  float cy = cos(ryw), sy = sin(ryw);
-  float cz = cos(rzw), sz = sin(rzw);
-  return mat3(
-    cx,  -sx*cz,  sx*sz,
-    sy,   cy*cz, -cy*sz,
-    sz,   cz,     1.0
-  );
-}
-
-float hash11(float x){ return fract(sin(x*123.4567)*3456.789); }
-float hash21(vec2 p){ return fract(sin(dot(p, vec2(41.2, 289.1)))*94581.77); }
-
 // Domain repetition
 vec3 repeatGrid(vec3 p, float cell) {
   return fract(p/cell+0.5)*cell - 0.5*cell;
@@ -96,15 +86,9 @@ vec3 calcNormal(vec3 p, float t){
 vec3 envColor(vec3 rd){
   float v = 0.5 + 0.5*rd.y;                  // sky-to-ground gradient
   float h = mod(u_hue + 40.0*rd.x + 20.0*rd.z, 360.0);
-  // HSL to RGB (cheap)
   float s = clamp(u_sat, 0.0, 1.0);
   float l = 0.35 + 0.45*v*u_intensity;
-  float c = (1.0 - abs(2.0*l - 1.0)) * s;
-  float x = c * (1.0 - abs(mod(h/60.0, 2.0) - 1.0));
-  vec3 rgb =
-    (h<60.0)?vec3(c,x,0):(h<120.0)?vec3(x,c,0):(h<180.0)?vec3(0,c,x):
-    (h<240.0)?vec3(0,x,c):(h<300.0)?vec3(x,0,c):vec3(c,0,x);
-  return rgb + (l-0.5*c);
+  return hsl2rgb(h, s, l);
 }
 
 // Simple camera
@@ -140,13 +124,13 @@ float fresnel(vec3 n, vec3 v, float f0){
 }
 
 void main(){
-  vec2 uv = (gl_FragCoord.xy / u_res.xy) * 2.0 - 1.0;
+  vec2 uv = ((gl_FragCoord.xy + u_tileOffset) / u_res.xy) * 2.0 - 1.0;
   uv.x *= u_res.x / u_res.y;
 
   float t = u_time;
 
   // Build pseudo-4D basis from controls
-  mat3 B = basisFrom4DRot(u_rotXW, u_rotYW, u_rotZW);
+  mat3 B = basisFrom4DRot(u_rot4dXW, u_rot4dYW, u_rot4dZW) * rotate3D(u_rot4dXY, u_rot4dXZ, u_rot4dYZ);
 
   vec3 ro, rd;
   camera(uv, ro, rd, B);
@@ -3,79 +3,121 @@
  *
  * Features:
  * - 6 degrees of 4D rotation (XW, YW, ZW, XY, XZ, YZ)
- * - 5 layered canvases with sophisticated wave interference mathematics
+ * - 5 composited layers with sophisticated wave interference mathematics
  * - Advanced polytopal shadow projection systems
  * - Multi-octave interference fields with 4D basis transformations
  * - Intelligent parameter feedback and geometry morphing
  */
 
+import { createLayerStack, replaceLayers, syncCompositorLayers } from '../../_shared/layers.js';
+import { SYSTEM_PARAMETERS, withDefaults } from '../../_shared/parameters.js';
+import { exportSystemPreset, importSystemPreset } from '../../_shared/presets.js';
+import { getProgram, preloadShaders, releaseProgram } from '../../_shared/shaders.js';
+
+// GLSL lives in src/shaders/ (the layer pass pulls in the shared include/ helpers)
+const SHADERS = {
+    vertex: 'aetheric.vert.glsl',
+    fragment: 'aetheric-layers.frag.glsl'
+};
+
+/**
+ * Default Aetheric layer stack, bottom to top. Blend modes match the compositor's
+ * DEFAULT_BLEND_MODES; LAYER_FALLBACK also lists every field a layer accepts.
+ */
+const LAYER_DEFAULTS = {
+    background: {
+        color: [0.1, 0.15, 0.3],
+        scale: 0.8,
+        opacity: 0.4,
+        blendMode: 'normal',
+        phase: 0.0,
+        amplitude: 0.6,
+        projection: 3.0
+    },
+    shadow: {
+        color: [0.2, 0.1, 0.4],
+        scale: 0.9,
+        opacity: 0.3,
+        blendMode: 'multiply',
+        phase: Math.PI * 0.25,
+        amplitude: 0.8,
+        projection: 2.5
+    },
+    content: {
+        color: [1.0, 1.0, 1.0],
+        scale: 1.0,
+        opacity: 0.8,
+        blendMode: 'normal',
+        phase: Math.PI * 0.5,
+        amplitude: 1.0,
+        projection: 2.0
+    },
+    highlight: {
+        color: [1.2, 1.1, 0.8],
+        scale: 1.1,
+        opacity: 0.6,
+        blendMode: 'screen',
+        phase: Math.PI * 0.75,
+        amplitude: 1.2,
+        projection: 1.5
+    },
+    accent: {
+        color: [1.5, 0.8, 1.2],
+        scale: 1.2,
+        opacity: 0.5,
+        blendMode: 'overlay',
+        phase: Math.PI,
+        amplitude: 1.4,
+        projection: 1.0
+    }
+};
+
+const LAYER_FALLBACK = {
+    color: [1.0, 1.0, 1.0],
+    scale: 1.0,
+    opacity: 0.7,
+    blendMode: 'normal',
+    phase: 0.0,
+    amplitude: 1.0,
+    projection: 2.0
+};
+
 /**
  * AethericVisualizer - Individual layer renderer for hyperdimensional interference
  */
 class AethericVisualizer {
-    constructor(canvasId, role, config) {
-        this.canvasId = canvasId;
+    constructor(layerId, role, config) {
+        this.layerId = layerId;
         this.role = role; // background, shadow, content, highlight, accent
         this.config = config;
-        this.canvas = null;
+        this.compositor = config.compositor; // layer compositor whose context it draws into
         this.gl = null;
         this.program = null;
         this.time = 0;
         this.vertexBuffer = null;
         this.isActive = false;
+        this.tile = null; // { width, height, x, y } while rendering one tile of a larger image
     }
 
     initialize() {
-        this.canvas = document.getElementById(this.canvasId);
-        if (!this.canvas) {
-            console.error(`❌ Canvas ${this.canvasId} not found`);
-            return false;
-        }
-
-        this.gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl');
-        if (!this.gl) {
-            console.error(`❌ WebGL not supported for ${this.canvasId}`);
-            return false;
-        }
-
-        console.log(`🌌 WebGL context created for ${this.canvasId}: ${this.gl instanceof WebGL2RenderingContext ? 'WebGL2' : 'WebGL1'}`);
+        // Draw into this role's framebuffer of the compositor's context
+        this.gl = this.compositor.gl;
+        console.log(`🌌 ${this.layerId} sharing the compositor context (${this.role} layer)`);
 
         if (!this.createAethericShader()) {
-            console.error(`❌ Failed to create shader for ${this.canvasId}`);
+            console.error(`❌ Failed to create shader for ${this.layerId}`);
             return false;
         }
 
-        this.setupCanvasSize();
         this.setupVertexBuffer();
 
         // Enable sophisticated blending for interference effects
         this.gl.enable(this.gl.BLEND);
-        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        this.gl.blendFuncSeparate(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA, this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
 
         return true;
     }
 
-    setupCanvasSize() {
-        const container = document.getElementById('aethericLayers');
-        const tempDisplay = container ? container.style.display : null;
-
-        if (container && tempDisplay === 'none') {
-            container.style.display = 'block';
-        }
-
-        const rect = this.canvas.parentElement.getBoundingClientRect();
-
-        if (container && tempDisplay === 'none') {
-            container.style.display = tempDisplay;
-        }
-
-        this.canvas.width = rect.width > 0 ? rect.width : window.innerWidth - 300;
-        this.canvas.height = rect.height > 0 ? rect.height : window.innerHeight - 50;
-
-        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        console.log(`🌌 Canvas ${this.canvasId} WebGL viewport: ${this.canvas.width}x${this.canvas.height}`);
-    }
-
     setupVertexBuffer() {
         // Full-screen quad
         const vertices = new Float32Array([
@@ -91,397 +133,11 @@ class AethericVisualizer {
     }
 
     createAethericShader() {
-        const vertexShader = `
-            attribute vec2 a_position;
-            void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-            }
-        `;
-
-        const fragmentShader = `
-            precision highp float;
-            uniform float u_time;
-            uniform vec2 u_resolution;
-            uniform float u_geometry;
-
-            // COMPLETE 6D 4D rotation uniforms - ALL POSSIBLE ROTATIONS
-            uniform float u_rot4dXW;
-            uniform float u_rot4dYW;
-            uniform float u_rot4dZW;
-            uniform float u_rot4dXY;
-            uniform float u_rot4dXZ;
-            uniform float u_rot4dYZ;
-
-            uniform float u_gridDensity;
-            uniform float u_morphFactor;
-            uniform float u_chaos;
-            uniform float u_speed;
-            uniform float u_hue;
-            uniform float u_intensity;
-            uniform float u_saturation;
-            uniform float u_scale;
-
-            // Layer-specific parameters
-            uniform vec3 u_layerColor;
-            uniform float u_layerScale;
-            uniform float u_layerOpacity;
-            uniform float u_interferencePhase;
-            uniform float u_waveAmplitude;
-            uniform float u_projectionDistance;
-
-            // Advanced interference parameters
-            uniform float u_coherenceLength;
-            uniform float u_dispersionRate;
-            uniform float u_fieldCoupling;
-            uniform float u_dimensionalBridge;
-
-            // COMPLETE 4D rotation matrices - All 6 possible rotations
-            mat4 rotateXW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, 0, -s,
-                    0, 1, 0, 0,
-                    0, 0, 1, 0,
-                    s, 0, 0, c
-                );
-            }
-
-            mat4 rotateYW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, 0, -s,
-                    0, 0, 1, 0,
-                    0, s, 0, c
-                );
-            }
-
-            mat4 rotateZW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, 1, 0, 0,
-                    0, 0, c, -s,
-                    0, 0, s, c
-                );
-            }
-
-            mat4 rotateXY(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, -s, 0, 0,
-                    s, c, 0, 0,
-                    0, 0, 1, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            mat4 rotateXZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, -s, 0,
-                    0, 1, 0, 0,
-                    s, 0, c, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            mat4 rotateYZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, -s, 0,
-                    0, s, c, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            // ADVANCED: Apply complete 4D rotation transformation
-            vec4 transform4D(vec4 pos) {
-                mat4 transform = rotateXW(u_rot4dXW) *
-                               rotateYW(u_rot4dYW) *
-                               rotateZW(u_rot4dZW) *
-                               rotateXY(u_rot4dXY) *
-                               rotateXZ(u_rot4dXZ) *
-                               rotateYZ(u_rot4dYZ);
-                return transform * pos;
-            }
-
-            // ADVANCED: 4D to 3D projection with perspective
-            vec3 project4Dto3D(vec4 pos4d) {
-                float w = pos4d.w + u_projectionDistance;
-                if (abs(w) < 0.001) w = 0.001;
-                return pos4d.xyz / w;
-            }
-
-            // ADVANCED: Hyperdimensional distance function
-            float hyperdistance(vec4 p1, vec4 p2) {
-                vec4 diff = p1 - p2;
-                return sqrt(dot(diff, diff));
-            }
-
-            // ULTRA-ADVANCED: Sophisticated 4D polytope & mathematical surface library
-            float sdf4DHypersphere(vec4 pos, float radius) {
-                return length(pos) - radius;
-            }
-
-            float sdf4DHypercube(vec4 pos, vec4 size) {
-                vec4 d = abs(pos) - size;
-                return length(max(d, 0.0)) + min(max(d.x, max(d.y, max(d.z, d.w))), 0.0);
-            }
-
-            float sdf4D5Cell(vec4 pos) {
-                // Perfect 4D regular simplex (5-cell) with correct hyperplane equations
-                float s = 0.5;
-                vec4 n1 = normalize(vec4(1.0,1.0,1.0,1.0));
-                vec4 n2 = normalize(vec4(1.0,-1.0,-1.0,1.0));
-                vec4 n3 = normalize(vec4(-1.0,1.0,-1.0,1.0));
-                vec4 n4 = normalize(vec4(-1.0,-1.0,1.0,1.0));
-                vec4 n5 = normalize(vec4(0.0,0.0,0.0,-1.0));
-
-                float d = dot(pos, n1) - s;
-                d = max(d, dot(pos, n2) - s);
-                d = max(d, dot(pos, n3) - s);
-                d = max(d, dot(pos, n4) - s);
-                d = max(d, dot(pos, n5) - s);
-                return d;
-            }
-
-            float sdf4D16Cell(vec4 pos) {
-                // 4D cross-polytope (16-cell) - perfect implementation
-                return abs(pos.x) + abs(pos.y) + abs(pos.z) + abs(pos.w) - 0.7;
-            }
-
-            float sdf4D24Cell(vec4 pos) {
-                // 4D 24-cell with sophisticated octahedral symmetry
-                vec4 p = abs(pos);
-                float d1 = (p.x + p.y + p.z - p.w) * 0.57735027;  // 1/sqrt(3)
-                float d2 = (p.x + p.y - p.z + p.w) * 0.57735027;
-                float d3 = (p.x - p.y + p.z + p.w) * 0.57735027;
-                float d4 = (-p.x + p.y + p.z + p.w) * 0.57735027;
-                return max(max(d1, d2), max(d3, d4)) - 0.5;
-            }
-
-            float sdf4D120Cell(vec4 pos) {
-                // 4D 120-cell (dodecahedral) with golden ratio mathematics
-                vec4 p = pos;
-                float phi = 1.618033988749895; // Golden ratio φ
-
-                vec4 n = normalize(vec4(phi, 1.0, 0.0, 1.0/phi));
-                float d = abs(dot(p, n)) - 0.85;
-
-                for (int i = 0; i < 3; i++) {
-                    p = abs(p) - vec4(0.3);
-                    p = p.yzwx;
-                    d = min(d, abs(dot(p, n)) - 0.7);
-                }
-                return d;
-            }
-
-            float sdf4D600Cell(vec4 pos) {
-                // 4D 600-cell (icosahedral) - most complex regular polytope
-                vec4 p = pos;
-                float phi = 1.618033988749895;
-
-                float d = length(p) - 0.6;
-
-                vec4 n1 = normalize(vec4(1.0, phi, 0.0, 1.0/phi));
-                vec4 n2 = normalize(vec4(phi, 0.0, 1.0/phi, 1.0));
-                vec4 n3 = normalize(vec4(0.0, 1.0/phi, 1.0, phi));
-
-                d = max(d, abs(dot(p, n1)) - 0.7);
-                d = max(d, abs(dot(p, n2)) - 0.7);
-                d = max(d, abs(dot(p, n3)) - 0.7);
-                return d;
-            }
-
-            float sdf4DHypertorus(vec4 pos, float R, float r) {
-                // Perfect 4D torus with dual radii
-                vec2 t1 = vec2(length(pos.xy) - R, pos.z);
-                vec2 t2 = vec2(length(t1) - r, pos.w);
-                return length(t2) - r * 0.5;
-            }
-
-            float sdf4DKleinBottle(vec4 pos) {
-                // 4D Klein bottle - non-orientable topological surface
-                vec4 p = pos;
-                float a = 2.0;
-                float n = 1.0;
-
-                float x = p.x, y = p.y, z = p.z, w = p.w;
-                float f = (x*x + y*y + z*z + w*w + a*a - n*n);
-                f *= f;
-                f -= 4.0*a*a*(x*x + y*y);
-                return f * 0.1 - 0.3;
-            }
-
-            float sdf4DQuantumField(vec4 pos) {
-                // Quantum probability cloud visualization
-                vec4 p = pos * 3.0;
-                float wave1 = sin(p.x + u_time) * sin(p.y) * sin(p.z) * sin(p.w);
-                float wave2 = cos(p.y + u_time * 0.7) * cos(p.z) * cos(p.w) * cos(p.x);
-                float wave3 = sin(p.z + u_time * 1.3) * cos(p.w) * sin(p.x) * cos(p.y);
-
-                float interference = wave1 * wave2 + wave2 * wave3 + wave3 * wave1;
-                return abs(interference) - 0.3 - u_morphFactor * 0.2;
-            }
-
-            // ULTRA-ADVANCED: Multi-geometry morphing system with ALL regular polytopes
-            float geometryField(vec4 pos) {
-                vec4 transformed = transform4D(pos);
-                float field = 0.0;
-                float g = u_geometry;
-
-                // 4D Hypersphere (simplest regular form)
-                if (g < 1.0) {
-                    field = sdf4DHypersphere(transformed, 0.5 + 0.2 * sin(u_time * u_speed));
-                }
-                // 4D Hypercube (8-cell)
-                else if (g < 2.0) {
-                    field = sdf4DHypercube(transformed, vec4(0.4 + 0.1 * u_morphFactor));
-                }
-                // 5-Cell (4D simplex) - MOST FUNDAMENTAL 4D POLYTOPE
-                else if (g < 3.0) {
-                    field = sdf4D5Cell(transformed * (1.0 + 0.3 * u_morphFactor));
-                }
-                // 16-Cell (4D cross-polytope)
-                else if (g < 4.0) {
-                    field = sdf4D16Cell(transformed * (0.8 + 0.4 * u_morphFactor));
-                }
-                // 24-Cell (UNIQUE TO 4D - no 3D analog)
-                else if (g < 5.0) {
-                    field = sdf4D24Cell(transformed);
-                }
-                // 120-Cell (dodecahedral) - GOLDEN RATIO POLYTOPE
-                else if (g < 6.0) {
-                    field = sdf4D120Cell(transformed * 0.8);
-                }
-                // 600-Cell (icosahedral) - MOST COMPLEX REGULAR POLYTOPE
-                else if (g < 7.0) {
-                    field = sdf4D600Cell(transformed * 0.7);
-                }
-                // 4D Hypertorus
-                else if (g < 8.0) {
-                    field = sdf4DHypertorus(transformed, 0.4, 0.2);
-                }
-                // 4D Klein Bottle (non-orientable surface)
-                else if (g < 9.0) {
-                    field = sdf4DKleinBottle(transformed * 0.5);
-                }
-                // Quantum Field Visualization
-                else {
-                    field = sdf4DQuantumField(transformed);
-                }
-
-                return field;
-            }
-
-            // ADVANCED: Multi-octave interference calculation
-            float interferenceField(vec2 screenPos, float time) {
-                vec4 pos4d = vec4(screenPos * u_scale, sin(time * u_speed) * 0.3, cos(time * u_speed * 0.7) * 0.3);
-
-                float interference = 0.0;
-                float amplitude = u_waveAmplitude;
-                float frequency = u_gridDensity * 0.1;
-
-                // Multi-octave interference with 4D transformations
-                for (int octave = 0; octave < 8; octave++) {
-                    vec4 samplePos = pos4d * frequency;
-                    vec4 transformed = transform4D(samplePos);
-
-                    // Wave interference calculation
-                    float wave1 = sin(dot(transformed.xy, vec2(1.0, 1.732)) + time * u_speed + u_interferencePhase);
-                    float wave2 = sin(dot(transformed.zw, vec2(1.414, 1.0)) + time * u_speed * 0.8 + u_interferencePhase * 1.2);
-                    float wave3 = sin(length(transformed) * 2.0 + time * u_speed * 1.3);
-
-                    // Coherent interference
-                    float coherence = exp(-frequency * u_coherenceLength);
-                    interference += (wave1 * wave2 + wave3) * amplitude * coherence;
-
-                    amplitude *= 0.5 + u_chaos * 0.3;
-                    frequency *= 2.0 + u_dispersionRate * 0.5;
-                }
-
-                return interference;
-            }
-
-            // ADVANCED: HSL to RGB with hyperdimensional hue shifting
-            vec3 hsl2rgb(float h, float s, float l) {
-                float c = (1.0 - abs(2.0 * l - 1.0)) * s;
-                float x = c * (1.0 - abs(mod(h / 60.0, 2.0) - 1.0));
-                float m = l - 0.5 * c;
-
-                vec3 rgb;
-                if (h < 60.0) rgb = vec3(c, x, 0);
-                else if (h < 120.0) rgb = vec3(x, c, 0);
-                else if (h < 180.0) rgb = vec3(0, c, x);
-                else if (h < 240.0) rgb = vec3(0, x, c);
-                else if (h < 300.0) rgb = vec3(x, 0, c);
-                else rgb = vec3(c, 0, x);
-
-                return rgb + m;
-            }
-
-            void main() {
-                vec2 screenPos = (gl_FragCoord.xy / u_resolution) * 2.0 - 1.0;
-                screenPos.x *= u_resolution.x / u_resolution.y;
+        // Layers sharing a compositor context compile the program once; compile errors are
+        // reported against the .glsl lines
+        this.program = getProgram(this.gl, { ...SHADERS, label: `AethericVisualizer ${this.layerId}` });
 
-                // Calculate interference field
-                float interference = interferenceField(screenPos, u_time);
-
-                // Calculate 4D geometry field for shadows/interactions
-                vec4 pos4d = vec4(screenPos * u_scale, 0.0, 1.0);
-                float geoField = geometryField(pos4d);
-
-                // Combine interference with geometry
-                float combinedField = interference + geoField * u_fieldCoupling;
-
-                // Enhanced luminosity calculation
-                float luminosity = abs(combinedField) * u_intensity;
-                luminosity = pow(luminosity, 0.8) * u_layerOpacity;
-
-                // Hyperdimensional hue shifting
-                vec4 transformed = transform4D(vec4(screenPos, u_time * 0.1, 1.0));
-                float hueShift = (transformed.w + transformed.x * transformed.y) * u_dimensionalBridge * 60.0;
-                float finalHue = mod(u_hue + hueShift, 360.0);
-
-                // Generate final color
-                vec3 baseColor = hsl2rgb(finalHue, u_saturation, 0.5);
-                vec3 layerColor = mix(baseColor, u_layerColor, 0.3);
-
-                // Apply layer-specific effects
-                layerColor *= u_layerScale;
-
-                // Vignette effect
-                float vignette = 1.0 - length(screenPos) * 0.5;
-                vignette = smoothstep(0.0, 1.0, vignette);
-
-                gl_FragColor = vec4(layerColor * luminosity * vignette, luminosity * u_layerOpacity);
-            }
-        `;
-
-        // Compile shaders
-        const vertShader = this.compileShader(this.gl.VERTEX_SHADER, vertexShader);
-        const fragShader = this.compileShader(this.gl.FRAGMENT_SHADER, fragmentShader);
-
-        if (!vertShader || !fragShader) {
-            return false;
-        }
-
-        // Create program
-        this.program = this.gl.createProgram();
-        this.gl.attachShader(this.program, vertShader);
-        this.gl.attachShader(this.program, fragShader);
-        this.gl.linkProgram(this.program);
-
-        if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
-            console.error('Program link error:', this.gl.getProgramInfoLog(this.program));
+        if (!this.program) {
             return false;
         }
 
@@ -489,6 +145,7 @@ class AethericVisualizer {
         this.uniforms = {
             u_time: this.gl.getUniformLocation(this.program, 'u_time'),
             u_resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
+            u_tileOffset: this.gl.getUniformLocation(this.program, 'u_tileOffset'),
             u_geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
 
             // 6D 4D rotations
@@ -527,19 +184,6 @@ class AethericVisualizer {
         return true;
     }
 
-    compileShader(type, source) {
-        const shader = this.gl.createShader(type);
-        this.gl.shaderSource(shader, source);
-        this.gl.compileShader(shader);
-
-        if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-            console.error(`Shader compile error (${this.canvasId}):`, this.gl.getShaderInfoLog(shader));
-            return null;
-        }
-
-        return shader;
-    }
-
     render(parameters) {
         if (!this.program || !this.isActive) return;
 
@@ -547,32 +191,35 @@ class AethericVisualizer {
 
         // Bind vertex buffer
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-        const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        const positionLocation = this.gl.getAttribLocation(this.program, 'a_pos');
         this.gl.enableVertexAttribArray(positionLocation);
         this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
 
         // Set uniforms
         this.gl.uniform1f(this.uniforms.u_time, this.time);
-        this.gl.uniform2f(this.uniforms.u_resolution, this.canvas.width, this.canvas.height);
-        this.gl.uniform1f(this.uniforms.u_geometry, parameters.geometry || 0);
+        // Tiled captures render a window of a larger output
+        const tile = this.tile;
+        this.gl.uniform2f(this.uniforms.u_resolution, tile ? tile.width : this.compositor.width, tile ? tile.height : this.compositor.height);
+        this.gl.uniform2f(this.uniforms.u_tileOffset, tile ? tile.x : 0, tile ? tile.y : 0);
+        this.gl.uniform1f(this.uniforms.u_geometry, parameters.geometry ?? 0);
 
         // 6D 4D rotations
-        this.gl.uniform1f(this.uniforms.u_rot4dXW, parameters.rot4dXW || 0);
-        this.gl.uniform1f(this.uniforms.u_rot4dYW, parameters.rot4dYW || 0);
-        this.gl.uniform1f(this.uniforms.u_rot4dZW, parameters.rot4dZW || 0);
-        this.gl.uniform1f(this.uniforms.u_rot4dXY, parameters.rot4dXY || 0);
-        this.gl.uniform1f(this.uniforms.u_rot4dXZ, parameters.rot4dXZ || 0);
-        this.gl.uniform1f(this.uniforms.u_rot4dYZ, parameters.rot4dYZ || 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dXW, parameters.rot4dXW ?? 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dYW, parameters.rot4dYW ?? 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dZW, parameters.rot4dZW ?? 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dXY, parameters.rot4dXY ?? 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dXZ, parameters.rot4dXZ ?? 0);
+        this.gl.uniform1f(this.uniforms.u_rot4dYZ, parameters.rot4dYZ ?? 0);
 
         // Standard parameters with intelligent defaults
-        this.gl.uniform1f(this.uniforms.u_gridDensity, parameters.gridDensity || 15);
-        this.gl.uniform1f(this.uniforms.u_morphFactor, parameters.morphFactor || 0.5);
-        this.gl.uniform1f(this.uniforms.u_chaos, parameters.chaos || 0.2);
-        this.gl.uniform1f(this.uniforms.u_speed, parameters.speed || 1.0);
-        this.gl.uniform1f(this.uniforms.u_hue, parameters.hue || 200);
-        this.gl.uniform1f(this.uniforms.u_intensity, parameters.intensity || 0.9);
-        this.gl.uniform1f(this.uniforms.u_saturation, parameters.saturation || 0.6);
-        this.gl.uniform1f(this.uniforms.u_scale, parameters.scale || 1.0);
+        this.gl.uniform1f(this.uniforms.u_gridDensity, parameters.gridDensity ?? 15);
+        this.gl.uniform1f(this.uniforms.u_morphFactor, parameters.morphFactor ?? 0.5);
+        this.gl.uniform1f(this.uniforms.u_chaos, parameters.chaos ?? 0.2);
+        this.gl.uniform1f(this.uniforms.u_speed, parameters.speed ?? 1.0);
+        this.gl.uniform1f(this.uniforms.u_hue, parameters.hue ?? 200);
+        this.gl.uniform1f(this.uniforms.u_intensity, parameters.intensity ?? 0.9);
+        this.gl.uniform1f(this.uniforms.u_saturation, parameters.saturation ?? 0.6);
+        this.gl.uniform1f(this.uniforms.u_scale, parameters.scale ?? 1.0);
 
         // Layer-specific parameters based on role
         const layerConfig = this.getLayerConfig();
@@ -584,10 +231,10 @@ class AethericVisualizer {
         this.gl.uniform1f(this.uniforms.u_projectionDistance, layerConfig.projection);
 
         // Advanced parameters
-        this.gl.uniform1f(this.uniforms.u_coherenceLength, parameters.coherenceLength || 0.1);
-        this.gl.uniform1f(this.uniforms.u_dispersionRate, parameters.dispersionRate || 0.3);
-        this.gl.uniform1f(this.uniforms.u_fieldCoupling, parameters.fieldCoupling || 0.5);
-        this.gl.uniform1f(this.uniforms.u_dimensionalBridge, parameters.dimensionalBridge || 1.0);
+        this.gl.uniform1f(this.uniforms.u_coherenceLength, parameters.coherenceLength ?? 0.1);
+        this.gl.uniform1f(this.uniforms.u_dispersionRate, parameters.dispersionRate ?? 0.3);
+        this.gl.uniform1f(this.uniforms.u_fieldCoupling, parameters.fieldCoupling ?? 0.5);
+        this.gl.uniform1f(this.uniforms.u_dimensionalBridge, parameters.dimensionalBridge ?? 1.0);
 
         // Clear and render
         this.gl.clearColor(0, 0, 0, 0);
@@ -596,63 +243,8 @@ class AethericVisualizer {
     }
 
     getLayerConfig() {
-        // Layer-specific configurations for sophisticated visual hierarchy
-        switch (this.role) {
-            case 'background':
-                return {
-                    color: [0.1, 0.15, 0.3],
-                    scale: 0.8,
-                    opacity: 0.4,
-                    phase: 0.0,
-                    amplitude: 0.6,
-                    projection: 3.0
-                };
-            case 'shadow':
-                return {
-                    color: [0.2, 0.1, 0.4],
-                    scale: 0.9,
-                    opacity: 0.3,
-                    phase: Math.PI * 0.25,
-                    amplitude: 0.8,
-                    projection: 2.5
-                };
-            case 'content':
-                return {
-                    color: [1.0, 1.0, 1.0],
-                    scale: 1.0,
-                    opacity: 0.8,
-                    phase: Math.PI * 0.5,
-                    amplitude: 1.0,
-                    projection: 2.0
-                };
-            case 'highlight':
-                return {
-                    color: [1.2, 1.1, 0.8],
-                    scale: 1.1,
-                    opacity: 0.6,
-                    phase: Math.PI * 0.75,
-                    amplitude: 1.2,
-                    projection: 1.5
-                };
-            case 'accent':
-                return {
-                    color: [1.5, 0.8, 1.2],
-                    scale: 1.2,
-                    opacity: 0.5,
-                    phase: Math.PI,
-                    amplitude: 1.4,
-                    projection: 1.0
-                };
-            default:
-                return {
-                    color: [1.0, 1.0, 1.0],
-                    scale: 1.0,
-                    opacity: 0.7,
-                    phase: 0.0,
-                    amplitude: 1.0,
-                    projection: 2.0
-                };
-        }
+        // Live config of this role from the system's layer stack
+        return this.config.layers.get(this.role);
     }
 
     updateTime(time) {
@@ -663,9 +255,13 @@ class AethericVisualizer {
         this.isActive = active;
     }
 
+    setTile(tile) {
+        this.tile = tile;
+    }
+
     dispose() {
         if (this.gl && this.program) {
-            this.gl.deleteProgram(this.program);
+            releaseProgram(this.gl, this.program);
         }
         if (this.gl && this.vertexBuffer) {
             this.gl.deleteBuffer(this.vertexBuffer);
@@ -682,17 +278,15 @@ export class AethericSystem {
         this.isActive = false;
         this.isInitialized = false;
 
-        // 5-layer canvas architecture
-        this.canvasIds = [
-            'aetheric-background-canvas',
-            'aetheric-shadow-canvas',
-            'aetheric-content-canvas',
-            'aetheric-highlight-canvas',
-            'aetheric-accent-canvas'
-        ];
+        // 5-layer architecture, composited by the host's layer compositor
+        this.layers = createLayerStack(LAYER_DEFAULTS, LAYER_FALLBACK);
 
         this.visualizers = [];
         this.parameters = new Map();
+        this.compositor = null; // layer compositor from the host, see useCompositor()
+        this.tile = null; // see setTile()
+        this.clock = null; // shared TimelineClock, see setClock()
+        this.renderFrameId = null; // pending requestAnimationFrame of the render loop
 
         // Sophisticated geometry selection
         this.geometries = [
@@ -704,10 +298,22 @@ export class AethericSystem {
         console.log('🌌 AethericSystem: Initialized with hyperdimensional interference mathematics');
     }
 
-    async initialize() {
+    async initialize(host = {}) {
         console.log('🌌 AethericSystem: Starting initialization with 6D rotation system');
 
+        if (host.compositor) {
+            this.useCompositor(host.compositor);
+        }
+        if (!this.compositor) {
+            console.error('❌ AethericSystem: the host has no layer compositor to render into');
+            return false;
+        }
+        if (host.clock) {
+            this.setClock(host.clock);
+        }
+
         try {
+            await preloadShaders([SHADERS.vertex, SHADERS.fragment]);
             this.setupGeometry();
             this.initializeParameters();
 
@@ -720,7 +326,24 @@ export class AethericSystem {
         }
     }
 
-    async activate() {
+    /**
+     * Set the layer compositor whose WebGL context all layers render into; the host
+     * usually passes it to initialize(). Must be called before the engine is created
+     * (first activate()).
+     * @param {Object} compositor - from createLayerCompositor() or a scene's compositorFor()
+     */
+    useCompositor(compositor) {
+        if (this.engine) {
+            console.warn('⚠️ AethericSystem: compositor must be set before activation');
+            return;
+        }
+        this.compositor = compositor;
+    }
+
+    /**
+     * @param {Object} options - { renderLoop: false } to drive frames with renderFrame() instead
+     */
+    async activate({ renderLoop = true } = {}) {
         console.log('🌌 AethericSystem: Activating with 5-layer interference architecture');
 
         try {
@@ -728,13 +351,14 @@ export class AethericSystem {
                 await this.createEngine();
             }
 
-            this.showCanvasLayers();
+            // The compositor takes over this system's roles and blend modes
+            syncCompositorLayers(this.compositor, this.layers);
 
             if (this.engine) {
                 this.engine.isActive = true;
 
                 // Start sophisticated render loop
-                if (this.engine.startRenderLoop) {
+                if (renderLoop && this.engine.startRenderLoop) {
                     this.engine.startRenderLoop();
                 }
 
@@ -747,7 +371,10 @@ export class AethericSystem {
                     });
                 }
 
-                window.aethericEngine = this.engine;
+                // Offline (renderLoop: false) instances leave the on-screen engine exposed
+                if (renderLoop) {
+                    window.aethericEngine = this.engine;
+                }
             }
 
             this.isActive = true;
@@ -764,22 +391,10 @@ export class AethericSystem {
         console.log('🌌 Creating AethericEngine with 5-layer architecture');
 
         // Create visualizers for each layer
-        const layerRoles = ['background', 'shadow', 'content', 'highlight', 'accent'];
-
-        for (let i = 0; i < this.canvasIds.length; i++) {
-            const visualizer = new AethericVisualizer(
-                this.canvasIds[i],
-                layerRoles[i],
-                { layer: i }
-            );
-
-            if (visualizer.initialize()) {
-                this.visualizers.push(visualizer);
-                console.log(`✅ Layer ${i} (${layerRoles[i]}) initialized successfully`);
-            } else {
-                console.error(`❌ Failed to initialize layer ${i}`);
-            }
-        }
+        this.layers.roles().forEach((role, index) => {
+            this.createLayer(role, index);
+        });
+        this.applyLayerBlending();
 
         this.engine = {
             visualizers: this.visualizers,
@@ -794,46 +409,198 @@ export class AethericSystem {
         console.log('✅ AethericEngine created with', this.visualizers.length, 'layers');
     }
 
+    /**
+     * Create and initialize the visualizer for a role at a position in the stack
+     * @returns {boolean} whether the layer initialized
+     */
+    createLayer(role, index) {
+        const layerId = `aetheric-${role}`;
+
+        const visualizer = new AethericVisualizer(
+            layerId,
+            role,
+            { layer: index, compositor: this.compositor, layers: this.layers }
+        );
+
+        if (!visualizer.initialize()) {
+            console.error(`❌ Failed to initialize layer ${index} (${role})`);
+            return false;
+        }
+
+        // Keep visualizers in stack order even if a lower layer failed to initialize
+        const roles = this.layers.roles();
+        const position = this.visualizers.filter(v => roles.indexOf(v.role) < index).length;
+
+        visualizer.setActive(this.isActive);
+        visualizer.setTile(this.tile);
+        this.visualizers.splice(position, 0, visualizer);
+        console.log(`✅ Layer ${index} (${role}) initialized successfully`);
+        return true;
+    }
+
+    /**
+     * Apply stack order and blend modes to the compositor (activate() applies them too)
+     */
+    applyLayerBlending() {
+        if (this.isActive) {
+            syncCompositorLayers(this.compositor, this.layers);
+        }
+    }
+
+    /**
+     * Layer roles, bottom to top
+     */
+    getLayerRoles() {
+        return this.layers.roles();
+    }
+
+    /**
+     * Copy of a role's configuration (color, scale, opacity, blendMode and shader fields)
+     */
+    getLayerConfig(role) {
+        return this.layers.getConfig(role);
+    }
+
+    /**
+     * Copy of the whole stack, bottom to top: [{ role, color, scale, ... }]
+     */
+    getLayers() {
+        return this.layers.roles().map(role => ({ role, ...this.layers.getConfig(role) }));
+    }
+
+    /**
+     * Replace the whole stack with one from getLayers() or a preset
+     * @param {Array<Object>} layers - [{ role, ...config }], bottom to top
+     */
+    setLayers(layers) {
+        replaceLayers(this, layers);
+    }
+
+    /**
+     * Update part of a role's configuration; shader fields apply on the next frame
+     * @param {string} role - e.g. 'highlight'
+     * @param {Object} patch - e.g. { opacity: 0.4, blendMode: 'add' }
+     */
+    setLayerConfig(role, patch) {
+        const config = this.layers.set(role, patch);
+        if ('blendMode' in patch) {
+            this.applyLayerBlending();
+        }
+        return config;
+    }
+
+    /**
+     * Add a layer on top of the stack, or below an existing role with { before }
+     * @param {string} role - unique layer name
+     * @param {Object} config - fields not given come from the fallback layer
+     */
+    addLayer(role, config = {}, options = {}) {
+        const index = this.layers.add(role, config, options);
+
+        if (this.engine && !this.createLayer(role, index)) {
+            this.layers.remove(role);
+            return false;
+        }
+
+        this.applyLayerBlending();
+        return true;
+    }
+
+    /**
+     * Remove a layer role and its visualizer
+     */
+    removeLayer(role) {
+        this.layers.remove(role);
+
+        const index = this.visualizers.findIndex(v => v.role === role);
+        if (index >= 0) {
+            const [visualizer] = this.visualizers.splice(index, 1);
+            visualizer.setActive(false);
+            visualizer.dispose();
+        }
+
+        this.applyLayerBlending();
+    }
+
+    /**
+     * Snapshot parameters and layer stack as a versioned preset (see _shared/presets.js)
+     * @param {Object} options - { name, reactivity, parameters }: reactivity comes from
+     *   UnifiedReactivitySystem.exportSettings(); parameters replace the live values
+     */
+    exportPreset(options = {}) {
+        return exportSystemPreset(this, options);
+    }
+
+    /**
+     * Apply a preset object or JSON string; older versions are migrated first
+     * @returns {Object} the parsed preset (its reactivity is left to the caller)
+     */
+    importPreset(preset) {
+        return importSystemPreset(this, preset);
+    }
+
     startRenderLoop() {
-        const render = (time) => {
-            if (!this.isActive) return;
+        // One loop per system, however often activate() runs
+        if (this.renderFrameId !== null) return;
 
-            const timeInSeconds = time * 0.001;
+        const render = (time) => {
+            if (!this.isActive) {
+                this.renderFrameId = null;
+                return;
+            }
 
-            // Update all visualizers
-            this.visualizers.forEach(visualizer => {
-                visualizer.updateTime(timeInSeconds);
-                visualizer.render(this.getCurrentParameters());
-            });
+            this.renderFrame(this.clock ? this.clock.getTime(time) : time * 0.001);
 
-            requestAnimationFrame(render);
+            this.renderFrameId = requestAnimationFrame(render);
         };
 
-        requestAnimationFrame(render);
+        this.renderFrameId = requestAnimationFrame(render);
+    }
+
+    stopRenderLoop() {
+        if (this.renderFrameId !== null) {
+            cancelAnimationFrame(this.renderFrameId);
+            this.renderFrameId = null;
+        }
+    }
+
+    /**
+     * Render every layer once at a given time, in seconds. Drives the render loop and
+     * offline export, where time advances at a fixed frame rate.
+     */
+    renderFrame(time) {
+        const parameters = this.getCurrentParameters();
+
+        this.visualizers.forEach(visualizer => {
+            visualizer.updateTime(time);
+            this.compositor.beginLayer(visualizer.role);
+            visualizer.render(parameters);
+        });
+
+        this.compositor.composite();
+    }
+
+    /**
+     * Read render-loop time from a TimelineClock instead of requestAnimationFrame, so
+     * playback can be paused, scrubbed and shared with the timeline; null to go back
+     */
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    /**
+     * Render only a window of a larger output, for tiled high-resolution captures
+     * @param {Object|null} tile - { width, height } of the full output and the { x, y }
+     *   pixel offset (from the bottom left) of the area this frame covers; null to reset
+     */
+    setTile(tile) {
+        this.tile = tile;
+        this.visualizers.forEach(v => v.setTile(tile));
     }
 
     getCurrentParameters() {
-        return {
-            geometry: this.parameters.get('geometry') || 0,
-            rot4dXW: this.parameters.get('rot4dXW') || 0,
-            rot4dYW: this.parameters.get('rot4dYW') || 0,
-            rot4dZW: this.parameters.get('rot4dZW') || 0,
-            rot4dXY: this.parameters.get('rot4dXY') || 0,
-            rot4dXZ: this.parameters.get('rot4dXZ') || 0,
-            rot4dYZ: this.parameters.get('rot4dYZ') || 0,
-            gridDensity: this.parameters.get('gridDensity') || 15,
-            morphFactor: this.parameters.get('morphFactor') || 0.5,
-            chaos: this.parameters.get('chaos') || 0.2,
-            speed: this.parameters.get('speed') || 1.0,
-            hue: this.parameters.get('hue') || 200,
-            intensity: this.parameters.get('intensity') || 0.9,
-            saturation: this.parameters.get('saturation') || 0.6,
-            scale: this.parameters.get('scale') || 1.0,
-            coherenceLength: this.parameters.get('coherenceLength') || 0.1,
-            dispersionRate: this.parameters.get('dispersionRate') || 0.3,
-            fieldCoupling: this.parameters.get('fieldCoupling') || 0.5,
-            dimensionalBridge: this.parameters.get('dimensionalBridge') || 1.0
-        };
+        // Unset parameters take their schema default (a 0 set by the user stays 0)
+        return withDefaults(this.parameters, SYSTEM_PARAMETERS.aetheric);
     }
 
     setupGeometry() {
@@ -846,13 +613,6 @@ export class AethericSystem {
         console.log('🌌 Initializing advanced parameter system');
     }
 
-    showCanvasLayers() {
-        const container = document.getElementById('aethericLayers');
-        if (container) {
-            container.style.display = 'block';
-        }
-    }
-
     updateParameter(name, value) {
         this.parameters.set(name, value);
         console.log(`🌌 Updated parameter ${name} = ${value}`);
@@ -862,22 +622,18 @@ export class AethericSystem {
         console.log('🌌 AethericSystem: Deactivating');
 
         this.isActive = false;
+        this.stopRenderLoop();
 
         if (this.engine) {
             this.engine.isActive = false;
             this.visualizers.forEach(v => v.setActive(false));
         }
-
-        // Hide canvas layers
-        const container = document.getElementById('aethericLayers');
-        if (container) {
-            container.style.display = 'none';
-        }
     }
 
     dispose() {
         console.log('🌌 AethericSystem: Disposing resources');
 
+        this.stopRenderLoop();
         this.visualizers.forEach(v => v.dispose());
         this.visualizers = [];
         this.engine = null;
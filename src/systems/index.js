@@ -1,7 +1,47 @@
 import createAethericSystem from './aetheric/aetheric.js';
 import createPrismaticSystem from './prismatic/prismatic.js';
+import { AethericSystem } from './aetheric/AethericSystem.js';
+import { PrismaticSystem } from './prismatic/PrismaticSystem.js';
+import { createSystemRegistry, describeFactory, describeLayeredSystem } from './registry.js';
+import { SYSTEM_PARAMETERS } from '../_shared/parameters.js';
 
 export const SYSTEMS = [
   createAethericSystem(),
   createPrismaticSystem()
-];
\ No newline at end of file
+];
+
+const POLYTOPES = [
+  'Hypersphere', 'Hypercube', '5-Cell (Simplex)',
+  '16-Cell (Cross)', '24-Cell', '120-Cell',
+  '600-Cell', 'Hypertorus', 'Klein Bottle', 'Morphing Complex'
+];
+
+export const registry = createSystemRegistry();
+
+registry.register(describeLayeredSystem(AethericSystem, {
+  id: 'aetheric',
+  name: 'Aetheric',
+  icon: '🌌',
+  parameters: SYSTEM_PARAMETERS.aetheric,
+  geometries: [...POLYTOPES.slice(0, 9), 'Quantum Field']
+}));
+
+registry.register(describeLayeredSystem(PrismaticSystem, {
+  id: 'prismatic',
+  name: 'Prismatic',
+  icon: '🔮',
+  parameters: SYSTEM_PARAMETERS.prismatic,
+  geometries: POLYTOPES
+}));
+
+registry.register(describeFactory(createAethericSystem, {
+  id: 'AETHERIC',
+  name: 'Aetheric',
+  parameters: SYSTEM_PARAMETERS.AETHERIC
+}));
+
+registry.register(describeFactory(createPrismaticSystem, {
+  id: 'PRISMATIC',
+  name: 'Prismatic',
+  parameters: SYSTEM_PARAMETERS.PRISMATIC
+}));
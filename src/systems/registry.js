@@ -0,0 +1,355 @@
+// System registry with a single lifecycle contract for both system families
+//
+// Every registered system is driven through the same interface:
+//   initialize(host) -> activate() -> updateParameter(name, value) -> deactivate() -> dispose()
+// plus optional resize(width, height) and renderFrame(time) for rendering a single frame
+// at a given time without the requestAnimationFrame loop (activate({ renderLoop: false })),
+// and setTile(tile) to render a window of a larger output for tiled captures.
+// A host may carry a clock (TimelineClock); render loops then take their time from
+// clock.getTime(timestamp) instead of the requestAnimationFrame timestamp.
+//
+// Layered systems (AethericSystem, PrismaticSystem) implement the contract directly and
+// render through the host's layer compositor ({ compositor }, see _shared/compositor.js).
+// Light factories ({ id, name, load?, init, draw, resize, dispose }) are wrapped by
+// createFactoryAdapter(), which owns their state object and render loop.
+
+import { getDefaults } from '../_shared/parameters.js';
+
+const LIFECYCLE_METHODS = ['initialize', 'activate', 'deactivate', 'updateParameter', 'dispose'];
+
+// Legacy light-factory rotation names, stored under the shared rot4d* names
+const PARAMETER_ALIASES = { rotXW: 'rot4dXW', rotYW: 'rot4dYW', rotZW: 'rot4dZW' };
+
+// Wrap a light factory so it speaks the common lifecycle.
+// host: { gl, clock? } - the shared WebGL2 context the factory draws into
+export function createFactoryAdapter(createSystem) {
+  return function create() {
+    const system = createSystem();
+    const state = { time: 0, params: getDefaults(system.id), tile: null };
+    let gl = null;
+    let clock = null;
+    let frame = null;
+    let isActive = false;
+
+    // One frame at time (seconds) into the bound framebuffer
+    function renderFrame(time, dt = 0.016) {
+      state.time = time;
+
+      gl.clearColor(0, 0, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      system.draw(gl, state, dt);
+    }
+
+    function render(timestamp) {
+      if (!isActive) return;
+
+      renderFrame(clock ? clock.getTime(timestamp) : timestamp * 0.001);
+
+      frame = requestAnimationFrame(render);
+    }
+
+    return {
+      id: system.id,
+      name: system.name,
+      state,
+
+      async initialize(host) {
+        gl = host.gl;
+        clock = host.clock ?? null;
+        if (!gl) {
+          console.error(`❌ ${system.id}: host has no WebGL context`);
+          return false;
+        }
+
+        // Fetch shader sources before compiling
+        if (system.load) await system.load();
+
+        system.init(gl);
+        system.resize(gl, gl.canvas.width, gl.canvas.height);
+        return true;
+      },
+
+      // { renderLoop: false } leaves frames to renderFrame(), e.g. for offline export
+      activate({ renderLoop = true } = {}) {
+        if (isActive) return true;
+        isActive = true;
+        if (renderLoop) frame = requestAnimationFrame(render);
+        return true;
+      },
+
+      renderFrame,
+
+      setClock(nextClock) {
+        clock = nextClock;
+      },
+
+      // Render a window of a larger output: { width, height, x, y }, or null
+      setTile(tile) {
+        state.tile = tile;
+      },
+
+      deactivate() {
+        isActive = false;
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+      },
+
+      updateParameter(name, value) {
+        state.params[PARAMETER_ALIASES[name] ?? name] = value;
+      },
+
+      resize(width, height) {
+        if (gl) system.resize(gl, width, height);
+      },
+
+      dispose() {
+        this.deactivate();
+        if (gl) system.dispose(gl);
+      }
+    };
+  };
+}
+
+// Describe a light factory for registration
+export function describeFactory(createSystem, meta) {
+  return {
+    family: 'light',
+    layerCount: 1,
+    ...meta,
+    create: createFactoryAdapter(createSystem)
+  };
+}
+
+// Describe a layered system class for registration; instances already implement the lifecycle
+export function describeLayeredSystem(SystemClass, meta) {
+  return {
+    family: 'layered',
+    layerCount: 5,
+    ...meta,
+    create: () => new SystemClass()
+  };
+}
+
+function normalizeDescriptor(descriptor) {
+  if (!descriptor || typeof descriptor.id !== 'string' || !descriptor.id) {
+    throw new Error('System descriptor requires a string id');
+  }
+  if (typeof descriptor.create !== 'function') {
+    throw new Error(`System "${descriptor.id}" requires a create() function`);
+  }
+
+  return {
+    id: descriptor.id,
+    name: descriptor.name || descriptor.id,
+    icon: descriptor.icon || '',
+    family: descriptor.family || 'layered',
+    parameters: [...(descriptor.parameters || [])],
+    geometries: [...(descriptor.geometries || [])],
+    layerCount: descriptor.layerCount ?? 1,
+    create: descriptor.create
+  };
+}
+
+function assertLifecycle(id, instance) {
+  const missing = LIFECYCLE_METHODS.filter(method => typeof instance?.[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`System "${id}" is missing lifecycle methods: ${missing.join(', ')}`);
+  }
+}
+
+// Registry factory: enumerate, hot-add, switch and drive systems by id
+export function createSystemRegistry() {
+  const entries = new Map();   // id -> descriptor
+  const instances = new Map(); // id -> initialized lifecycle instance
+  const pending = new Map();   // id -> promise of the instance being created and initialized
+  const listeners = new Set();
+  const parameters = {};       // last value of every parameter, replayed on switch
+
+  let host = {};
+  let activeId = null;
+  let activation = 0;          // stamp of the latest activate() call
+  let requestedId = null;      // id that call asked for
+
+  function hostFor(id) {
+    return typeof host === 'function' ? host(id) || {} : host;
+  }
+
+  function emit(type, id) {
+    listeners.forEach(listener => listener({ type, id }));
+  }
+
+  function describe(entry) {
+    const { create, ...meta } = entry;
+    return meta;
+  }
+
+  function register(descriptor) {
+    const entry = normalizeDescriptor(descriptor);
+    if (entries.has(entry.id)) {
+      throw new Error(`System "${entry.id}" is already registered`);
+    }
+
+    entries.set(entry.id, entry);
+    emit('register', entry.id);
+    return describe(entry);
+  }
+
+  function unregister(id) {
+    if (!entries.has(id)) return false;
+
+    if (activeId === id) deactivate();
+
+    const instance = instances.get(id);
+    if (instance) {
+      instance.dispose();
+      instances.delete(id);
+    }
+
+    entries.delete(id);
+    emit('unregister', id);
+    return true;
+  }
+
+  function has(id) {
+    return entries.has(id);
+  }
+
+  function get(id) {
+    const entry = entries.get(id);
+    return entry ? describe(entry) : null;
+  }
+
+  // list({ family: 'light' }) filters by any metadata field
+  function list(filter = {}) {
+    return [...entries.values()]
+      .filter(entry => Object.entries(filter).every(([key, value]) => entry[key] === value))
+      .map(describe);
+  }
+
+  // Create a fresh, uninitialized instance (not tracked by the registry)
+  function create(id) {
+    const entry = entries.get(id);
+    if (!entry) throw new Error(`Unknown system "${id}"`);
+
+    const instance = entry.create(hostFor(id));
+    assertLifecycle(id, instance);
+    return instance;
+  }
+
+  // Overlapping calls for the same id (a double click, a transition racing a preset load)
+  // share one instance: later callers get the promise of the one being initialized
+  function getInstance(id) {
+    if (instances.has(id)) return Promise.resolve(instances.get(id));
+    if (pending.has(id)) return pending.get(id);
+
+    const creating = (async () => {
+      const instance = create(id);
+      const ok = await instance.initialize(hostFor(id));
+      if (ok === false) {
+        throw new Error(`System "${id}" failed to initialize`);
+      }
+
+      // Unregistered while it was initializing
+      if (!entries.has(id)) {
+        instance.dispose();
+        throw new Error(`System "${id}" was unregistered`);
+      }
+
+      instances.set(id, instance);
+      return instance;
+    })();
+
+    pending.set(id, creating);
+    const settle = () => pending.delete(id);
+    creating.then(settle, settle);
+    return creating;
+  }
+
+  // { keepPrevious: true } leaves the previously active instance running (and no longer
+  // tracked as active) so a transition can render both; the caller deactivates it.
+  // Resolves with null when a later activate() started before this one finished; the
+  // later call decides which system ends up active.
+  async function activate(id, { keepPrevious = false } = {}) {
+    const token = ++activation;
+    requestedId = id;
+
+    const instance = await getInstance(id);
+    if (token !== activation) return null;
+
+    if (activeId && activeId !== id) {
+      if (keepPrevious) {
+        emit('deactivate', activeId);
+        activeId = null;
+      } else {
+        deactivate();
+      }
+    }
+
+    const ok = await instance.activate();
+    if (ok === false) {
+      throw new Error(`System "${id}" failed to activate`);
+    }
+    if (token !== activation) {
+      if (requestedId !== id) instance.deactivate();
+      return null;
+    }
+
+    activeId = id;
+    Object.entries(parameters).forEach(([name, value]) => instance.updateParameter(name, value));
+
+    emit('activate', id);
+    return instance;
+  }
+
+  function deactivate() {
+    if (!activeId) return;
+
+    const id = activeId;
+    instances.get(id)?.deactivate();
+    activeId = null;
+    emit('deactivate', id);
+  }
+
+  function getActive() {
+    return activeId ? { id: activeId, instance: instances.get(activeId) } : null;
+  }
+
+  function updateParameter(name, value) {
+    parameters[name] = value;
+    if (activeId) instances.get(activeId).updateParameter(name, value);
+  }
+
+  function updateParameters(params) {
+    Object.entries(params).forEach(([name, value]) => updateParameter(name, value));
+  }
+
+  function resize(width, height) {
+    const active = getActive();
+    if (active?.instance.resize) active.instance.resize(width, height);
+  }
+
+  // host is passed to initialize(); e.g. { gl, canvas } for light systems or
+  // { compositor } for layered ones, plus an optional shared { clock }. A function
+  // (id) => host gives each system its own host.
+  function setHost(nextHost) {
+    host = nextHost || {};
+  }
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function dispose() {
+    deactivate();
+    instances.forEach(instance => instance.dispose());
+    instances.clear();
+  }
+
+  return {
+    register, unregister, has, get, list, create,
+    getInstance, activate, deactivate, getActive,
+    updateParameter, updateParameters, resize,
+    setHost, onChange, dispose
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * VIB34D Timeline
+ * Keyframed parameter automation
+ *
+ * Each parameter has a track of keyframes { time, value, easing }. A keyframe's easing
+ * shapes the segment from it to the next keyframe (as in the Web Animations API):
+ *   'linear'  - straight line
+ *   'step'    - hold the value until the next keyframe
+ *   'cubic'   - ease in and out
+ *   'bezier'  - CSS cubic-bezier(x1, y1, x2, y2), given as { bezier: [x1, y1, x2, y2] }
+ * Before the first keyframe a track holds its first value, after the last its last value.
+ *
+ * evaluate(time) gives every track's value at a time; drive it from a TimelineClock for
+ * playback, or from the OfflineRenderer's per-frame parameters for export.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+import { getParameterSpec } from '../_shared/parameters.js';
+
+const DEFAULT_BEZIER = [0.25, 0.1, 0.25, 1]; // CSS 'ease'
+
+/**
+ * Easing function for CSS cubic-bezier(x1, y1, x2, y2); x1 and x2 must be in [0, 1]
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    if (!(x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1)) {
+        throw new Error('cubicBezier: x1 and x2 must be between 0 and 1');
+    }
+
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const curveX = t => ((ax * t + bx) * t + cx) * t;
+    const curveY = t => ((ay * t + by) * t + cy) * t;
+    const slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+    // Parameter t where the curve reaches x: Newton's method, bisection if it stalls
+    function solve(x) {
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = curveX(t) - x;
+            if (Math.abs(error) < 1e-6) return t;
+            const slope = slopeX(t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+
+        let low = 0, high = 1;
+        t = x;
+        while (high - low > 1e-6) {
+            if (curveX(t) < x) low = t; else high = t;
+            t = (low + high) / 2;
+        }
+        return t;
+    }
+
+    return x => (x <= 0 ? 0 : x >= 1 ? 1 : curveY(solve(x)));
+}
+
+export const EASINGS = {
+    linear: t => t,
+    step: () => 0,
+    cubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+function easingFunction(easing, bezier) {
+    if (easing === 'bezier') return cubicBezier(...(bezier || DEFAULT_BEZIER));
+
+    const fn = EASINGS[easing];
+    if (!fn) {
+        throw new Error(`Unknown easing "${easing}" (expected ${[...Object.keys(EASINGS), 'bezier'].join(', ')})`);
+    }
+    return fn;
+}
+
+export class Timeline {
+    /**
+     * @param {Object} options
+     * @param {number|null} [options.duration=null] - length in seconds; null ends at the last keyframe
+     * @param {boolean} [options.loop=false] - wrap evaluation time at the duration
+     * @param {Array<string>|null} [options.parameters=null] - parameters that may be keyframed,
+     *   e.g. Object.keys(unifiedReactivity.parameters); null allows every schema parameter
+     */
+    constructor({ duration = null, loop = false, parameters = null } = {}) {
+        this.duration = duration;
+        this.loop = loop;
+        this.parameters = parameters;
+        this.tracks = new Map(); // name -> keyframes sorted by time
+    }
+
+    /**
+     * Add a keyframe, replacing one at the same time
+     * @param {string} name - parameter, e.g. 'hue'
+     * @param {number} time - seconds
+     * @param {number} value
+     * @param {Object} [options] - { easing: 'linear' | 'step' | 'cubic' | 'bezier', bezier: [x1, y1, x2, y2] }
+     */
+    addKeyframe(name, time, value, { easing = 'linear', bezier = null } = {}) {
+        if (!getParameterSpec(name) || (this.parameters && !this.parameters.includes(name))) {
+            throw new Error(`Timeline: "${name}" is not an automatable parameter`);
+        }
+        if (!Number.isFinite(time) || time < 0) throw new Error('Timeline: keyframe time must be a number >= 0');
+        if (!Number.isFinite(value)) throw new Error(`Timeline: keyframe value for ${name} must be a number`);
+
+        const keyframe = { time, value, easing, bezier, ease: easingFunction(easing, bezier) };
+
+        const track = this.tracks.get(name) || [];
+        const existing = track.findIndex(k => k.time === time);
+        if (existing >= 0) {
+            track[existing] = keyframe;
+        } else {
+            track.push(keyframe);
+            track.sort((a, b) => a.time - b.time);
+        }
+        this.tracks.set(name, track);
+        return keyframe;
+    }
+
+    removeKeyframe(name, time) {
+        const track = this.tracks.get(name);
+        if (!track) return false;
+
+        const index = track.findIndex(k => k.time === time);
+        if (index < 0) return false;
+
+        track.splice(index, 1);
+        if (!track.length) this.tracks.delete(name);
+        return true;
+    }
+
+    /**
+     * Remove one parameter's track, or every track
+     */
+    clear(name) {
+        if (name === undefined) {
+            this.tracks.clear();
+        } else {
+            this.tracks.delete(name);
+        }
+    }
+
+    /**
+     * Names of the parameters that have keyframes
+     */
+    getParameters() {
+        return [...this.tracks.keys()];
+    }
+
+    /**
+     * Copy of a parameter's keyframes: [{ time, value, easing, bezier }]
+     */
+    getKeyframes(name) {
+        return (this.tracks.get(name) || []).map(({ time, value, easing, bezier }) => ({ time, value, easing, bezier }));
+    }
+
+    getDuration() {
+        if (this.duration != null) return this.duration;
+
+        let end = 0;
+        this.tracks.forEach(track => {
+            end = Math.max(end, track[track.length - 1].time);
+        });
+        return end;
+    }
+
+    /**
+     * Time within the timeline: wrapped when looping, otherwise unchanged
+     */
+    localTime(time) {
+        const duration = this.getDuration();
+        if (!this.loop || !(duration > 0)) return time;
+        return ((time % duration) + duration) % duration;
+    }
+
+    /**
+     * Value of one parameter at a time, or undefined if it has no keyframes
+     */
+    valueAt(name, time) {
+        const track = this.tracks.get(name);
+        if (!track) return undefined;
+
+        const t = this.localTime(time);
+        const next = track.findIndex(k => k.time > t);
+        if (next === 0) return track[0].value;
+        if (next < 0) return track[track.length - 1].value;
+
+        const from = track[next - 1];
+        const to = track[next];
+        const progress = from.ease((t - from.time) / (to.time - from.time));
+        const value = from.value + (to.value - from.value) * progress;
+
+        return getParameterSpec(name).type === 'int' ? Math.round(value) : value;
+    }
+
+    /**
+     * Values of every keyframed parameter at a time, e.g. { hue: 240, chaos: 0.35 }
+     */
+    evaluate(time) {
+        const values = {};
+        this.tracks.forEach((track, name) => {
+            values[name] = this.valueAt(name, time);
+        });
+        return values;
+    }
+
+    toJSON() {
+        const tracks = {};
+        this.tracks.forEach((track, name) => {
+            tracks[name] = this.getKeyframes(name);
+        });
+        return { duration: this.duration, loop: this.loop, tracks };
+    }
+
+    static fromJSON(data, options = {}) {
+        const timeline = new Timeline({ duration: data.duration ?? null, loop: !!data.loop, ...options });
+        Object.entries(data.tracks || {}).forEach(([name, keyframes]) => {
+            keyframes.forEach(({ time, value, easing, bezier }) => {
+                timeline.addKeyframe(name, time, value, { easing, bezier });
+            });
+        });
+        return timeline;
+    }
+}
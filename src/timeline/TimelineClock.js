@@ -0,0 +1,120 @@
+/**
+ * VIB34D Timeline Clock
+ * Playback time shared by the render loops and the timeline
+ *
+ * Render loops pass their requestAnimationFrame timestamp to getTime() and render at
+ * the returned time, in seconds. While playing the clock advances by the wall time
+ * between timestamps (times rate); paused, it holds, so seek() scrubs every system to
+ * the same moment. step() advances exactly one frame at a time for exports.
+ *
+ * Several readers in the same animation frame share a timestamp, so the clock only
+ * advances once per frame.
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+export class TimelineClock {
+    /**
+     * @param {Object} options
+     * @param {number} [options.fps=60] - frame rate for step()
+     * @param {number} [options.rate=1] - playback speed; negative plays backwards
+     * @param {number|null} [options.duration=null] - length in seconds; null runs forever
+     * @param {boolean} [options.loop=false] - wrap at duration instead of stopping there
+     */
+    constructor({ fps = 60, rate = 1, duration = null, loop = false } = {}) {
+        this.fps = fps;
+        this.rate = rate;
+        this.duration = duration;
+        this.loop = loop;
+
+        this.time = 0;
+        this.isPlaying = false;
+        this.lastTimestamp = null;
+        this.listeners = new Set();
+    }
+
+    play() {
+        if (this.isPlaying) return;
+
+        // A one-shot clock that has finished starts over
+        if (!this.loop && this.duration != null && this.time >= this.duration && this.rate > 0) {
+            this.time = 0;
+        }
+        this.isPlaying = true;
+        this.lastTimestamp = null;
+        this.emit('play');
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.emit('pause');
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.seek(0);
+        this.emit('stop');
+    }
+
+    /**
+     * Jump to a time, in seconds (scrubbing)
+     */
+    seek(time) {
+        this.time = this.constrain(time);
+        this.lastTimestamp = null;
+        this.emit('seek');
+    }
+
+    /**
+     * Advance a whole number of frames at fps, whether playing or not
+     */
+    step(frames = 1) {
+        this.seek(this.time + frames / this.fps);
+        return this.time;
+    }
+
+    /**
+     * Current time in seconds, advanced to a requestAnimationFrame timestamp (ms)
+     */
+    getTime(timestamp) {
+        if (!this.isPlaying || timestamp == null) return this.time;
+
+        if (this.lastTimestamp != null && timestamp > this.lastTimestamp) {
+            const next = this.time + (timestamp - this.lastTimestamp) * 0.001 * this.rate;
+            this.time = this.constrain(next);
+
+            // One-shot playback ends at either end of the clip
+            if (!this.loop && this.duration != null && next !== this.time) {
+                this.isPlaying = false;
+                this.emit('end');
+            }
+        }
+        this.lastTimestamp = timestamp;
+        return this.time;
+    }
+
+    constrain(time) {
+        if (this.duration == null || !(this.duration > 0)) return Math.max(0, time);
+        if (this.loop) return ((time % this.duration) + this.duration) % this.duration;
+        return Math.max(0, Math.min(this.duration, time));
+    }
+
+    /**
+     * Listen for 'play', 'pause', 'stop', 'seek' and 'end'
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(type) {
+        this.listeners.forEach(listener => listener({ type, time: this.time }));
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * VIB34D Transition Engine
+ * Morphs between two looks instead of hard-cutting
+ *
+ * Every numeric parameter is interpolated from the current look to the target with
+ * interpolateParameters() (hue and rotations take the shorter way around). When the
+ * target is another system, both systems keep rendering for the duration and the
+ * incoming system is revealed over the outgoing one by the host's compositor scene
+ * (see createCompositorScene() in _shared/compositor.js):
+ *   'crossfade' - opacity
+ *   'dissolve'  - a noise mask that fills in
+ *   'wipe'      - an edge moving in options.direction ('right', 'left', 'up', 'down')
+ *   'cut'       - no overlap, parameters still morph
+ *
+ * A Paul Phillips Manifestation
+ * Send Love, Hate, or Opportunity: Paul@clearseassolutions.com
+ * Join The Exoditical Moral Architecture Movement: Parserator.com
+ * "The Revolution Will Not be in a Structured Format"
+ *
+ * © 2025 Paul Phillips - Clear Seas Solutions LLC - All Rights Reserved
+ */
+
+import { interpolateParameters } from '../_shared/parameters.js';
+import { parsePreset } from '../_shared/presets.js';
+import { EASINGS } from './Timeline.js';
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'dissolve', 'wipe'];
+
+// { system, parameters } from a preset (object or JSON) or a plain { system, parameters }
+function toLook(input) {
+    if (typeof input === 'string' || input?.format) {
+        const preset = parsePreset(input);
+        return { system: preset.system, parameters: { geometry: preset.geometry, ...preset.parameters } };
+    }
+    return { system: input?.system ?? null, parameters: { ...(input?.parameters || {}) } };
+}
+
+export class TransitionEngine {
+    /**
+     * @param {Object} registry - system registry (src/systems/index.js)
+     * @param {Object} options
+     * @param {Function} options.setReveal - (systemId, reveal) masks the incoming system; reveal is
+     *   { type, progress, direction, seed } while it comes in and null once it is done
+     * @param {Function} options.onParameters - (values) called every frame with the morphed parameters
+     * @param {number} [options.duration=1.5] - default length, in seconds
+     * @param {string} [options.type='crossfade'] - default transition type
+     * @param {string} [options.easing='cubic'] - easing from Timeline's EASINGS
+     */
+    constructor(registry, { setReveal, onParameters, duration = 1.5, type = 'crossfade', easing = 'cubic' } = {}) {
+        this.registry = registry;
+        this.setReveal = setReveal;
+        this.onParameters = onParameters;
+        this.duration = duration;
+        this.type = type;
+        this.easing = easing;
+
+        this.current = null; // running transition, see finish()
+        this.generation = 0; // stamp of the latest transition() call
+        this.activation = Promise.resolve(); // system activation of the latest call
+    }
+
+    get isRunning() {
+        return this.current !== null;
+    }
+
+    /**
+     * Morph from one look to another
+     * @param {Object} options
+     * @param {Object|string} options.from - preset, or { system, parameters }: the current look
+     * @param {Object|string} options.to - preset, or { system, parameters }; system defaults to from's
+     * @param {number} [options.duration] - seconds
+     * @param {string} [options.type] - 'crossfade' | 'dissolve' | 'wipe' | 'cut'
+     * @param {string} [options.direction='right'] - wipe direction
+     * @param {string} [options.easing] - 'linear' | 'cubic' | ...
+     * @returns {Promise<Object>} resolves with the target instance once the transition ends,
+     *   or once its system is active if a later call took over in the meantime
+     */
+    async transition({ from, to, duration = this.duration, type = this.type, direction = 'right', easing = this.easing } = {}) {
+        if (!TRANSITION_TYPES.includes(type)) {
+            throw new Error(`Unknown transition "${type}" (expected ${TRANSITION_TYPES.join(', ')})`);
+        }
+        const ease = EASINGS[easing];
+        if (!ease) throw new Error(`Unknown easing "${easing}"`);
+
+        // A new transition starts from where the running one would have ended. One that
+        // is still activating its system ends itself once that settles (see below), so
+        // the registry is read as it leaves it.
+        this.finish();
+        const generation = ++this.generation;
+        await this.activation;
+        if (generation !== this.generation) return this.registry.getActive()?.instance ?? null;
+
+        const start = toLook(from);
+        const target = toLook(to);
+        const fromId = start.system ?? this.registry.getActive()?.id;
+        const toId = target.system ?? fromId;
+
+        const previous = this.registry.getActive();
+        const changesSystem = toId !== previous?.id;
+        const overlap = changesSystem && previous && type !== 'cut' && duration > 0;
+
+        const activation = changesSystem
+            ? this.registry.activate(toId, { keepPrevious: overlap })
+            : Promise.resolve(previous.instance);
+        this.activation = activation.catch(() => {});
+        const instance = await activation;
+
+        // Superseded while activating: end here, without the morph or the reveal
+        if (generation !== this.generation || !instance) {
+            if (overlap && this.registry.getActive()?.id !== previous.id) previous.instance.deactivate();
+            return instance;
+        }
+
+        const reveals = overlap && !!this.setReveal;
+        const seed = Math.floor(Math.random() * 1024); // a new dissolve pattern every time
+
+        console.log(`🎬 Transition ${fromId} → ${toId} (${changesSystem ? type : 'morph'}, ${duration}s)`);
+
+        return new Promise(resolve => {
+            const transition = {
+                frame: null,
+                startedAt: null,
+                step: progress => {
+                    const t = ease(progress);
+                    this.onParameters?.(interpolateParameters(start.parameters, target.parameters, t, toId));
+
+                    if (reveals) this.setReveal(toId, { type, progress: t, direction, seed });
+                },
+                end: () => {
+                    if (transition.frame) cancelAnimationFrame(transition.frame);
+                    transition.step(1);
+
+                    if (reveals) this.setReveal(toId, null);
+                    if (overlap) previous.instance.deactivate();
+
+                    this.current = null;
+                    console.log(`✅ Transition to ${toId} complete`);
+                    resolve(instance);
+                }
+            };
+
+            const tick = timestamp => {
+                transition.startedAt ??= timestamp;
+                const progress = duration > 0 ? (timestamp - transition.startedAt) / (duration * 1000) : 1;
+
+                if (progress >= 1) {
+                    transition.end();
+                    return;
+                }
+                transition.step(progress);
+                transition.frame = requestAnimationFrame(tick);
+            };
+
+            this.current = transition;
+            transition.step(0);
+            transition.frame = requestAnimationFrame(tick);
+        });
+    }
+
+    /**
+     * Jump a running transition to its end
+     */
+    finish() {
+        this.current?.end();
+    }
+}